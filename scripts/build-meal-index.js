@@ -0,0 +1,18 @@
+/**
+ * Rebuild data/meal_index.json from MealDB.
+ * Usage: npm run build-meal-index
+ */
+const mealdb = require('../services/mealdb');
+
+async function main() {
+  try {
+    console.log('Building meal index from MealDB...');
+    const { indexed, failed } = await mealdb.refreshMealIndex();
+    console.log(`✅ Meal index updated with ${indexed} meals${failed > 0 ? ` (${failed} could not be fetched)` : ''}`);
+  } catch (error) {
+    console.error('❌ Meal index rebuild failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,18 @@
+/**
+ * Rebuild data/exercises.json from the WGER API.
+ * Usage: npm run refresh-exercises
+ */
+const wger = require('../services/wger');
+
+async function main() {
+  try {
+    console.log('Refreshing exercise catalog from WGER...');
+    const count = await wger.refreshExerciseCatalog();
+    console.log(`✅ Exercise catalog updated with ${count} exercises`);
+  } catch (error) {
+    console.error('❌ Exercise catalog refresh failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
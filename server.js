@@ -3,13 +3,30 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
 
 // Import custom service files
 const firebase = require('./services/firebase');
-const ollama = require('./services/ollama');
+const llm = require('./services/llm');
 const wger = require('./services/wger');
 const promptTemplates = require('./services/promptTemplates');
+const conversations = require('./services/conversations');
+const fitnessPlan = require('./services/fitnessPlan');
+const nutrition = require('./services/nutrition');
+const meals = require('./services/meals');
+const mealPlanner = require('./services/mealPlanner');
+const allergens = require('./services/allergens');
+const mealdb = require('./services/mealdb');
+const responseGuard = require('./services/responseGuard');
+const foodDiary = require('./services/foodDiary');
+const workoutLog = require('./services/workoutLog');
+const bodyMetrics = require('./services/bodyMetrics');
+const planStore = require('./services/planStore');
+const trainingProgram = require('./services/trainingProgram');
+const muscles = require('./services/muscles');
+const fitnessLevels = require('./services/fitnessLevels');
+const intentRouter = require('./services/intentRouter');
+const chatAttachments = require('./services/chatAttachments');
+const fallbackReplies = require('./services/fallbackReplies');
 
 // Simple cache implementation
 const cache = {
@@ -20,6 +37,33 @@ const cache = {
 // Load environment variables
 dotenv.config();
 
+// Conversation memory: 'transcript' replays recent messages, 'context' reuses Ollama's context tokens
+// (providers without context tokens replay the messages instead)
+const CHAT_MEMORY_MODE = process.env.CHAT_MEMORY_MODE || 'transcript';
+
+// How meals whose ingredients can't be verified are treated for users with allergies:
+// 'strict' excludes them from suggestions and plans, 'lenient' keeps them with an 'unverified' status
+const ALLERGY_SAFETY_MODE = process.env.ALLERGY_SAFETY_MODE === 'lenient' ? 'lenient' : 'strict';
+
+// Apply calorie adjustments suggested by the weight trend automatically (otherwise they are only suggested)
+const AUTO_CALORIE_ADJUSTMENT = process.env.AUTO_CALORIE_ADJUSTMENT === 'true';
+
+// Number of times a daily meal plan is rebuilt after unsafe meals are found
+const MAX_MEAL_PLAN_ATTEMPTS = 3;
+
+// Parts of a plan day that can be regenerated
+const PLAN_DAY_PARTS = ['workout', 'meals', 'both'];
+
+// Meal slots of a plan day that can be swapped
+const PLAN_MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snacks'];
+
+// Candidate meals checked for allergens when picking a replacement
+const MAX_REPLACEMENT_CANDIDATES = 10;
+
+// A replacement meal's protein, carbs and fat must each be within this share (or a few grams) of the meal it replaces
+const REPLACEMENT_MACRO_TOLERANCE = 0.35;
+const REPLACEMENT_MACRO_SLACK_GRAMS = 10;
+
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,194 +72,161 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// Function to detect if a message is asking for nutrition information
-function isNutritionQuery(message) {
-  const messageLower = message.toLowerCase();
-  
-  // Patterns that indicate nutrition queries
-  const nutritionPatterns = [
-    /what(?:'s| is| are) the nutrition(?: information| facts| data)? (?:for|of) ([\w\s]+)/i,
-    /nutrition(?: information| facts| data)? (?:for|of) ([\w\s]+)/i,
-    /how many calories (?:are |is |does |in |)+([\w\s]+)/i,
-    /(?:calories|protein|carbs|fat) in ([\w\s]+)/i,
-    /what(?:'s| is| are) the (?:calories|protein|carbs|fat) (?:for|of|in) ([\w\s]+)/i,
-    /tell me (?:about |the |)(?:nutrition|calories|macros) (?:for |of |in |)([\w\s]+)/i
-  ];
-  
-  for (const pattern of nutritionPatterns) {
-    if (pattern.test(messageLower)) {
-      return true;
-    }
-  }
-  
-  return false;
-}
+// Chat intent patterns, tried in order. Named groups are the intent's slots.
 
-// Function to extract meal name from nutrition query
-function extractMealName(message) {
-  const messageLower = message.toLowerCase();
-  
-  // Patterns to extract meal names
-  const extractionPatterns = [
-    /what(?:'s| is| are) the nutrition(?: information| facts| data)? (?:for|of) ([\w\s]+)/i,
-    /nutrition(?: information| facts| data)? (?:for|of) ([\w\s]+)/i,
-    /how many calories (?:are |is |does |in |)+([\w\s]+)/i,
-    /(?:calories|protein|carbs|fat) in ([\w\s]+)/i,
-    /what(?:'s| is| are) the (?:calories|protein|carbs|fat) (?:for|of|in) ([\w\s]+)/i,
-    /tell me (?:about |the |)(?:nutrition|calories|macros) (?:for |of |in |)([\w\s]+)/i
-  ];
-  
-  for (const pattern of extractionPatterns) {
-    const match = messageLower.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim();
-    }
-  }
-  
-  return null;
-}
+// Greetings on their own
+const GREETING_PATTERNS = [
+  /^\s*(hi|hello|hey|hi there|hello there|greetings|yo|howdy|hola|bonjour|sup|start)\s*$/i,
+  /^\s*good (morning|afternoon|evening)\s*$/i,
+  /^\s*what'?s up\s*$/i
+];
 
-// Function to detect allergy-related questions
-function isMealSafetyQuestion(message) {
-  const messageLower = message.toLowerCase();
-  
-  const mealSafetyPatterns = [
-    /can i (eat|have|consume|try) ([\w\s\-]+)(\?)?/i,
-    /is ([\w\s\-]+) safe for me(\?)?/i,
-    /should i avoid ([\w\s\-]+)(\?)?/i,
-    /am i allergic to ([\w\s\-]+)(\?)?/i,
-    /will ([\w\s\-]+) cause (an|a) (allergic reaction|allergy)(\?)?/i,
-    /is it safe for me to eat ([\w\s\-]+)(\?)?/i,
-    /is ([\w\s\-]+) ok with my allergies(\?)?/i
-  ];
-  
-  for (const pattern of mealSafetyPatterns) {
-    if (pattern.test(messageLower)) {
-      return true;
-    }
-  }
-  
-  return false;
-}
+// Questions about whether a food is safe with the user's allergies
+const MEAL_SAFETY_PATTERNS = [
+  /can i (?:eat|have|consume|try) (?<mealName>[\w\s\-]+)/i,
+  /is it safe for me to eat (?<mealName>[\w\s\-]+)/i,
+  /is (?<mealName>[\w\s\-]+) safe for me/i,
+  /should i avoid (?<mealName>[\w\s\-]+)/i,
+  /am i allergic to (?<mealName>[\w\s\-]+)/i,
+  /will (?<mealName>[\w\s\-]+) cause (?:an|a) (?:allergic reaction|allergy)/i,
+  /is (?<mealName>[\w\s\-]+) ok with my allergies/i
+];
 
-// Function to extract meal name from safety questions
-function extractMealNameFromSafetyQuestion(message) {
-  const messageLower = message.toLowerCase();
-  
-  const extractionPatterns = [
-    /can i (eat|have|consume|try) ([\w\s\-]+)(\?)?/i,
-    /is ([\w\s\-]+) safe for me(\?)?/i,
-    /should i avoid ([\w\s\-]+)(\?)?/i,
-    /am i allergic to ([\w\s\-]+)(\?)?/i,
-    /will ([\w\s\-]+) cause (an|a) (allergic reaction|allergy)(\?)?/i,
-    /is it safe for me to eat ([\w\s\-]+)(\?)?/i,
-    /is ([\w\s\-]+) ok with my allergies(\?)?/i
-  ];
-  
-  for (const pattern of extractionPatterns) {
-    const match = messageLower.match(pattern);
-    if (match) {
-      // Different patterns have the meal name in different capture groups
-      if (pattern.toString().includes("can i (eat|have|consume|try)")) {
-        return match[2].trim();
-      } else if (pattern.toString().includes("is (")) {
-        return match[1].trim();
-      } else if (pattern.toString().includes("should i avoid")) {
-        return match[1].trim();
-      } else if (pattern.toString().includes("am i allergic to")) {
-        return match[1].trim();
-      } else if (pattern.toString().includes("will (")) {
-        return match[1].trim();
-      } else if (pattern.toString().includes("safe for me to eat")) {
-        return match[1].trim();
-      }
-    }
-  }
-  
-  return null;
-}
+// Requests for a meal at a specific meal time
+const MEAL_SUGGESTION_PATTERNS = [
+  /what (should|can|could) i (eat|have) for (breakfast|lunch|dinner|snack)/i,
+  /suggest (a|some) (breakfast|lunch|dinner|snack)/i,
+  /recommend (a|some) (meal|food) for (breakfast|lunch|dinner|snack)/i,
+  /(breakfast|lunch|dinner|snack) (suggestion|recommendation|idea)/i,
+  /what('s| is) (a good|healthy) (breakfast|lunch|dinner|snack)/i,
+  /what (breakfast|lunch|dinner|snack) (should|can|could) i (eat|have)/i
+];
+
+// Requests for a full day of meals
+const DAILY_MEAL_PLAN_PATTERNS = [
+  /(daily|day|full day|whole day) (meal|food|eating) plan/i,
+  /meal plan for (today|tomorrow|the day|a day)/i,
+  /plan (my|all my|out my) meals/i,
+  /what (should|can|could) i eat (today|tomorrow|all day)/i,
+  /full day of eating/i
+];
+
+// Questions about weight progress
+const PROGRESS_PATTERNS = [
+  /(am i|are we) (on track|making progress|losing|gaining)/i,
+  /how('s| is| am i doing with) my (weight|weight loss|diet|cut|bulk|progress)/i,
+  /my (weight )?(progress|trend)/i,
+  /when will i (reach|hit|get to) my (goal|target)/i,
+  /(weight|weigh-in) (trend|history|progress)/i
+];
 
-// Function to check if a meal contains user's allergens
-async function checkMealForAllergens(mealName, userAllergies) {
+// Nutrition lookups for a meal
+const NUTRITION_PATTERNS = [
+  /what(?:'s| is| are) the nutrition(?: information| facts| data)? (?:for|of) (?<mealName>[\w\s]+)/i,
+  /nutrition(?: information| facts| data)? (?:for|of) (?<mealName>[\w\s]+)/i,
+  /how many calories (?:are |is |does |in |)+(?<mealName>[\w\s]+)/i,
+  /(?:calories|protein|carbs|fat) in (?<mealName>[\w\s]+)/i,
+  /what(?:'s| is| are) the (?:calories|protein|carbs|fat) (?:for|of|in) (?<mealName>[\w\s]+)/i,
+  /tell me (?:about |the |)(?:nutrition|calories|macros) (?:for |of |in |)(?<mealName>[\w\s]+)/i
+];
+
+// Questions about today's workout in the user's plan
+const TODAY_WORKOUT_PATTERNS = [
+  /what('?s| is) (my |the )?(workout|training|session|exercise)s? (for )?today/i,
+  /today'?s (workout|training|session|exercises)/i,
+  /what (should|do|am) i (train|do|doing|training) today/i,
+  /(workout|training) (for|of) (today|the day)/i
+];
+
+// Workout requests
+const WORKOUT_PATTERNS = [
+  /workout for ([\w\s]+)/i,
+  /exercises? for ([\w\s]+)/i,
+  /how (to|do i|can i|should i) (train|work|exercise) (my )?([\w\s]+)/i,
+  /what (exercises?|workout|training) (for|to) ([\w\s]+)/i,
+  /(recommend|suggest) (a|some) (exercises?|workout) for ([\w\s]+)/i,
+  /help me (train|build|tone|strengthen) (my )?([\w\s]+)/i,
+  /best (exercises?|workout|training) for ([\w\s]+)/i,
+  /how (to|do i|can i) (gain muscle|lose weight|get stronger|build strength)/i,
+  /what (should|can) i do (at|in) (the )?(gym|home|outdoors)/i,
+  /workout plan/i,
+  /training (plan|program|routine|schedule)/i,
+  /fitness (plan|program|routine|schedule)/i,
+  /my (workout|exercise|training) (plan|routine)/i
+];
+
+// Questions about a specific exercise
+const EXERCISE_PATTERNS = [
+  /how (?:to|do i) do (?:a |an )?(?<exerciseName>[\w\s\-]+)/i,
+  /correct form for (?<exerciseName>[\w\s\-]+)/i,
+  /technique for (?<exerciseName>[\w\s\-]+)/i,
+  /proper way to do (?<exerciseName>[\w\s\-]+)/i,
+  /form check for (?<exerciseName>[\w\s\-]+)/i,
+  /is my (?<exerciseName>[\w\s\-]+) form correct/i,
+  /what muscles does (?<exerciseName>[\w\s\-]+) work/i,
+  /what are the benefits of (?<exerciseName>[\w\s\-]+)/i,
+  /is (?<exerciseName>[\w\s\-]+) good for [\w\s\-]+/i,
+  /alternative to (?<exerciseName>[\w\s\-]+)/i,
+  /replace (?<exerciseName>[\w\s\-]+) with/i
+];
+
+// Function to check if a meal contains user's allergens (pass idMeal when known for an exact ingredient lookup)
+async function checkMealForAllergens(mealName, userAllergies, idMeal = null) {
   if (!userAllergies || userAllergies.length === 0) {
-    return { safe: true, allergens: [] };
+    return { safe: true, allergens: [], matches: [] };
   }
   
   try {
     // First check if the meal name itself contains an allergen
-    const directAllergens = [];
-    const mealNameLower = mealName.toLowerCase();
+    const nameCheck = allergens.checkIngredients([mealName], userAllergies);
     
-    for (const allergen of userAllergies) {
-      const allergenLower = allergen.toLowerCase();
-      if (mealNameLower.includes(allergenLower)) {
-        directAllergens.push(allergen);
-      }
-    }
-    
-    if (directAllergens.length > 0) {
+    if (!nameCheck.safe) {
       return {
         safe: false,
-        allergens: directAllergens,
-        message: `This meal name "${mealName}" directly contains your allergen(s): ${directAllergens.join(', ')}.`
+        allergens: nameCheck.allergens,
+        matches: nameCheck.matches,
+        message: `This meal name "${mealName}" directly contains your allergen(s): ${allergens.describeMatches(nameCheck.matches)}.`
       };
     }
     
-    // Then check MealDB for ingredients
-    console.log(`Checking MealDB for ingredients in ${mealName}...`);
-    
+    // Then look up the ingredients, from the local meal index first and MealDB otherwise
     try {
-      const response = await axios.get(`https://www.themealdb.com/api/json/v1/1/search.php?s=${encodeURIComponent(mealName)}`);
+      const mealIngredients = await mealdb.getMealIngredients({ idMeal, name: mealName });
       
-      if (response.data && response.data.meals && response.data.meals.length > 0) {
-        const meal = response.data.meals[0];
-        const foundAllergens = [];
-        const ingredients = [];
+      if (mealIngredients) {
+        const { ingredients } = mealIngredients;
         
-        // Extract ingredients
-        for (let i = 1; i <= 20; i++) {
-          const ingredient = meal[`strIngredient${i}`];
-          if (ingredient && ingredient.trim()) {
-            ingredients.push(ingredient.toLowerCase());
-          }
-        }
+        console.log(`Found ingredients in ${mealName} (${mealIngredients.source}): ${ingredients.join(', ')}`);
         
-        console.log(`Found ingredients in ${mealName}: ${ingredients.join(', ')}`);
-        
-        // Check each ingredient against allergies
-        for (const ingredient of ingredients) {
-          for (const allergen of userAllergies) {
-            const allergenLower = allergen.toLowerCase();
-            if (ingredient.includes(allergenLower) || allergenLower.includes(ingredient)) {
-              foundAllergens.push({ allergen, ingredient });
-            }
-          }
-        }
+        // Check each ingredient against the allergen families of the user's allergies
+        const ingredientCheck = allergens.checkIngredients(ingredients, userAllergies);
         
-        if (foundAllergens.length > 0) {
-          const uniqueAllergens = [...new Set(foundAllergens.map(a => a.allergen))];
+        if (!ingredientCheck.safe) {
           return {
             safe: false,
-            allergens: uniqueAllergens,
-            ingredients: foundAllergens.map(a => a.ingredient),
-            message: `The meal "${mealName}" contains ingredients (${foundAllergens.map(a => a.ingredient).join(', ')}) that contain allergens you're allergic to: ${uniqueAllergens.join(', ')}.`
+            allergens: ingredientCheck.allergens,
+            ingredients: ingredientCheck.matches.map(match => match.ingredient),
+            matches: ingredientCheck.matches,
+            message: `The meal "${mealName}" contains ingredients that contain allergens you're allergic to: ${allergens.describeMatches(ingredientCheck.matches)}.`
           };
         }
         
         return {
           safe: true,
           allergens: [],
+          matches: [],
           message: `Based on our ingredient check, "${mealName}" appears safe for you to eat.`
         };
       }
     } catch (error) {
-      console.error(`Error checking MealDB for ${mealName}:`, error);
+      console.error(`Error looking up ingredients for ${mealName}:`, error);
     }
     
     // If we couldn't check detailed ingredients or no match found
     return {
       safe: null,
       allergens: [],
+      matches: [],
       message: `I couldn't verify all ingredients in "${mealName}". Since you have allergies to ${userAllergies.join(', ')}, please check ingredients carefully before eating.`
     };
   } catch (error) {
@@ -224,54 +235,35 @@ async function checkMealForAllergens(mealName, userAllergies) {
     return {
       safe: false,
       allergens: userAllergies,
+      matches: [],
       message: `Due to a technical error, I couldn't verify if "${mealName}" is safe with your allergies to ${userAllergies.join(', ')}. For safety, please assume it may contain allergens.`
     };
   }
 }
 
-// Helper function to calculate age from DD/MM/YYYY format
-function calculateAge(dateString) {
-  try {
-    if (!dateString) return null;
-    
-    const parts = dateString.split('/');
-    if (parts.length !== 3) return null;
-    
-    const day = parseInt(parts[0]);
-    const month = parseInt(parts[1]);
-    const year = parseInt(parts[2]);
-    
-    const birthDate = new Date(year, month - 1, day);
-    const today = new Date();
-    
-    let age = today.getFullYear() - birthDate.getFullYear();
-    const monthDiff = today.getMonth() - birthDate.getMonth();
-    
-    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-      age--;
-    }
-    
-    return age;
-  } catch (e) {
-    console.error('Error calculating age:', e);
-    return null;
-  }
+// Function to turn an allergen check into a status: 'safe', 'unsafe' or 'unverified'
+function getAllergyStatus(allergenCheck) {
+  if (allergenCheck.safe === false) return 'unsafe';
+  if (allergenCheck.safe === null) return 'unverified';
+  return 'safe';
 }
 
-// Function to detect meal suggestion queries for specific meal times
-function isMealSuggestionQuery(message) {
-  const messageLower = message.toLowerCase();
-  
-  const mealSuggestionPatterns = [
-    /what (should|can|could) i (eat|have) for (breakfast|lunch|dinner|snack)/i,
-    /suggest (a|some) (breakfast|lunch|dinner|snack)/i,
-    /recommend (a|some) (meal|food) for (breakfast|lunch|dinner|snack)/i,
-    /(breakfast|lunch|dinner|snack) (suggestion|recommendation|idea)/i,
-    /what('s| is) (a good|healthy) (breakfast|lunch|dinner|snack)/i,
-    /what (breakfast|lunch|dinner|snack) (should|can|could) i (eat|have)/i
-  ];
+// Function to check whether a meal may be offered under the allergy safety policy
+function isAllowedBySafetyPolicy(allergenCheck) {
+  const status = getAllergyStatus(allergenCheck);
+  return status === 'safe' || (status === 'unverified' && ALLERGY_SAFETY_MODE === 'lenient');
+}
+
+// Function to list what an allergy check reply warns about, so the guard doesn't flag the warning itself
+function getAllergyWarning(metadata, payload, userAllergies) {
+  const checks = metadata.intent === 'multi' ? (payload.results || []) : [metadata];
+  const warnings = checks.filter(check => check.intent === 'allergy_check' && ['unsafe', 'unverified'].includes(check.allergyCheck));
   
-  return mealSuggestionPatterns.some(pattern => pattern.test(messageLower));
+  return {
+    // An unverified check names no allergens, so the reply may warn about any of them
+    allergies: [...new Set(warnings.flatMap(check => check.allergens?.length ? check.allergens : userAllergies))],
+    foods: warnings.map(check => check.mealName).filter(Boolean)
+  };
 }
 
 // Function to extract meal time from the query
@@ -288,8 +280,9 @@ function extractMealTime(message) {
   return null;
 }
 
-// Function to get nutritional requirements for a specific meal time
-function getMealNutritionRequirements(nutritionData, mealTime) {
+// Function to get nutritional requirements for a specific meal time.
+// With a food log for the day, the meal gets its share of what's left, split between the meal times not logged yet.
+function getMealNutritionRequirements(nutritionData, mealTime, dayLog = null) {
   // Default distribution if not specified in user data
   const defaultDistribution = {
     breakfast: { calories: 0.25, protein: 0.25, carbs: 0.3, fat: 0.25 },
@@ -299,8 +292,24 @@ function getMealNutritionRequirements(nutritionData, mealTime) {
   };
   
   // Get the distribution for the requested meal time
-  const distribution = nutritionData.mealDistribution?.[mealTime] || 
-                       defaultDistribution[mealTime];
+  const distributionFor = time => nutritionData.mealDistribution?.[time] || defaultDistribution[time];
+  const distribution = distributionFor(mealTime);
+  
+  if (dayLog && dayLog.entries.length > 0 && dayLog.remaining) {
+    const openMealTimes = Object.keys(defaultDistribution)
+      .filter(time => time === mealTime || !dayLog.loggedMealTimes.includes(time));
+    const remainingShare = macro => {
+      const openShare = openMealTimes.reduce((sum, time) => sum + distributionFor(time)[macro], 0);
+      return Math.max(0, dayLog.remaining[macro]) * distribution[macro] / openShare;
+    };
+    
+    return {
+      calories: Math.round(remainingShare('calories')),
+      protein: Math.round(remainingShare('protein')),
+      carbs: Math.round(remainingShare('carbs')),
+      fat: Math.round(remainingShare('fat'))
+    };
+  }
   
   // Calculate target nutrition values
   return {
@@ -311,51 +320,271 @@ function getMealNutritionRequirements(nutritionData, mealTime) {
   };
 }
 
-// Function to find meals matching nutritional requirements
-function findMatchingMeals(allMeals, requirements, tolerance = 0.15) {
-  const matchingMeals = [];
+// Function to get a user's daily nutrition targets, calculating them when none are saved
+async function getNutritionTargets(userId, userData) {
+  const nutritionDataRef = firebase.admin.database().ref(`users/${userId}/nutritionData`);
+  const nutritionSnapshot = await nutritionDataRef.once('value');
+  const savedData = nutritionSnapshot.exists() ? nutritionSnapshot.val() : null;
   
-  // Calculate tolerance ranges
-  const ranges = {
-    calories: {
-      min: requirements.calories * (1 - tolerance),
-      max: requirements.calories * (1 + tolerance)
-    },
-    protein: {
-      min: requirements.protein * (1 - tolerance),
-      max: requirements.protein * (1 + tolerance)
-    },
-    carbs: {
-      min: requirements.carbs * (1 - tolerance),
-      max: requirements.carbs * (1 + tolerance)
-    },
-    fat: {
-      min: requirements.fat * (1 - tolerance),
-      max: requirements.fat * (1 + tolerance)
+  if (savedData && savedData.dailyCalories) {
+    // Calorie adjustments from the weight trend apply to saved targets too
+    const savedAdjustment = await bodyMetrics.getAdjustment(userId);
+    return nutrition.applyCalorieChange(savedData, savedAdjustment?.calorieChange || 0, userData?.bodyData?.gender);
+  }
+  
+  const { calculated, trend } = await calculateTrendAdjustedTargets(userId, userData);
+  if (!calculated.hasData) {
+    return null;
+  }
+  
+  console.log(`Calculated nutrition targets for ${userId}: ${calculated.dailyCalories} kcal`);
+  
+  // Keep any saved meal distribution
+  return {
+    ...calculated,
+    mealDistribution: savedData?.mealDistribution,
+    trendAdjustment: trend.hasData ? trend.adjustment : null
+  };
+}
+
+// Function to calculate nutrition targets from body data and the user's weight trend.
+// Uses the trend weight and any applied calorie adjustment. New suggestions are only applied by applyTrendAdjustment.
+async function calculateTrendAdjustedTargets(userId, userData) {
+  const entries = await bodyMetrics.listEntries(userId);
+  const savedAdjustment = await bodyMetrics.getAdjustment(userId);
+  const trend = bodyMetrics.analyzeTrend(entries, userData?.bodyData, savedAdjustment?.appliedAt);
+  
+  const calculated = nutrition.calculateNutritionTargets(userData?.bodyData, {
+    weight: trend.hasData ? trend.trendWeight : null,
+    calorieChange: savedAdjustment?.calorieChange || 0
+  });
+  
+  if (calculated.hasData && trend.hasData && trend.adjustment) {
+    trend.adjustment.suggestedCalories = calculated.dailyCalories + trend.adjustment.calorieChange;
+  }
+  
+  return { calculated, trend };
+}
+
+// Function to apply the calorie adjustment the weight trend currently suggests.
+// Returns the applied adjustment, or null when none is suggested.
+async function applyTrendAdjustment(userId, userData) {
+  const { trend } = await calculateTrendAdjustedTargets(userId, userData);
+  if (!trend.hasData || !trend.adjustment) {
+    return null;
+  }
+  
+  console.log(`Applying calorie adjustment of ${trend.adjustment.calorieChange} kcal for ${userId}: ${trend.adjustment.reason}`);
+  await bodyMetrics.applyAdjustment(userId, trend.adjustment.calorieChange, trend.adjustment.reason);
+  return { ...trend.adjustment, applied: true };
+}
+
+// Function to check whether a meal name mentions any food from a list
+function mentionsFood(mealName, foods) {
+  const mealNameLower = mealName.toLowerCase();
+  return foods.some(food => 
+    mealNameLower.includes(food.toLowerCase()) || 
+    food.toLowerCase().includes(mealNameLower)
+  );
+}
+
+// Function to find the meals of a generated plan day that the user is allergic to or dislikes.
+// Generated meals are free text and rarely in the meal index, so only meals found to be unsafe are reported.
+async function findAvoidedPlanMeals(mealDay, bodyData) {
+  const allergies = bodyData?.allergies || [];
+  const dislikes = bodyData?.foodDislikes || [];
+  const dayMeals = [mealDay.breakfast, mealDay.lunch, mealDay.dinner, ...(mealDay.snacks || [])].filter(meal => meal?.name);
+  const avoided = [];
+  
+  for (const meal of dayMeals) {
+    const allergenCheck = await checkMealForAllergens(meal.name, allergies);
+    if (allergenCheck.safe === false) {
+      avoided.push({ name: meal.name, reason: 'allergy', allergens: allergenCheck.allergens });
+    } else if (allergens.findAllergensInText(meal.name, dislikes).length > 0) {
+      avoided.push({ name: meal.name, reason: 'dislike' });
+    }
+  }
+  
+  return avoided;
+}
+
+// Function to plan a full day of meals for a user against their daily targets
+async function planDailyMeals(userId, userData, { snacks = 1, excludeMealIds = [] } = {}) {
+  const nutritionData = await getNutritionTargets(userId, userData);
+  if (!nutritionData) {
+    return { hasData: false, reason: 'Nutrition targets unavailable, body data is incomplete' };
+  }
+  
+  const allergies = userData?.bodyData?.allergies || [];
+  const likes = userData?.bodyData?.foodLikes || [];
+  const dislikes = userData?.bodyData?.foodDislikes || [];
+  
+  // Drop excluded, disliked and obviously unsafe meals before planning
+  let candidates = meals.loadMeals().filter(item => 
+    !excludeMealIds.includes(item.meal.idMeal) &&
+    !mentionsFood(item.meal.strMeal, dislikes) &&
+    allergens.findAllergensInText(item.meal.strMeal, allergies).length === 0
+  );
+  
+  const likedMealIds = candidates
+    .filter(item => mentionsFood(item.meal.strMeal, likes))
+    .map(item => item.meal.idMeal);
+  
+  // Verify the chosen meals' ingredients and re-plan without any unsafe ones
+  for (let attempt = 0; attempt < MAX_MEAL_PLAN_ATTEMPTS; attempt++) {
+    const plan = mealPlanner.planDay(candidates, nutritionData, { snacks, likedMealIds });
+    
+    if (!plan) {
+      return { hasData: false, reason: 'Not enough safe meals to build a plan' };
+    }
+    
+    const unsafeMealIds = [];
+    if (allergies.length > 0) {
+      for (const meal of plan.meals) {
+        const allergenCheck = await checkMealForAllergens(meal.name, allergies, meal.idMeal);
+        meal.allergyStatus = getAllergyStatus(allergenCheck);
+        if (!isAllowedBySafetyPolicy(allergenCheck)) unsafeMealIds.push(meal.idMeal);
+      }
+    }
+    
+    if (unsafeMealIds.length === 0) {
+      return { hasData: true, plan };
+    }
+    
+    console.log(`Re-planning without unsafe or unverified meals: ${unsafeMealIds.join(', ')}`);
+    candidates = candidates.filter(item => !unsafeMealIds.includes(item.meal.idMeal));
+  }
+  
+  return { hasData: false, reason: 'Could not find a plan of meals verified to be free of your allergens' };
+}
+
+// Function to get the exercise filters a user's plans are built with (their equipment and fitness level)
+function getExerciseFilters(workoutData) {
+  return {
+    equipment: wger.getEquipmentIds(workoutData?.equipment || []),
+    difficulty: fitnessLevels.DIFFICULTY_BY_LEVEL[workoutData?.fitnessLevel] || null
+  };
+}
+
+// Function to get the macros of a plan meal. Plan meals carry calories and protein; carbs and fat
+// come from the meal itself or, for dataset meals, from the recipe scaled to the meal's calories.
+function getPlanMealMacros(currentMeal) {
+  const macros = { calories: currentMeal.calories, protein: currentMeal.protein };
+  const item = currentMeal.idMeal ? meals.getMealById(currentMeal.idMeal) : null;
+  const recipeNutrition = item ?
+    meals.scaleNutrition(item.nutrition, currentMeal.calories / Math.max(item.nutrition.calories, 1)) : null;
+  
+  for (const macro of ['carbs', 'fat']) {
+    const value = currentMeal[macro] ?? recipeNutrition?.[macro];
+    if (value !== undefined) macros[macro] = value;
+  }
+  
+  return macros;
+}
+
+// Function to check that a portion's protein, carbs and fat are close to the meal it replaces
+function macrosWithinTolerance(nutrition, targetMacros) {
+  return ['protein', 'carbs', 'fat']
+    .filter(macro => targetMacros[macro] !== undefined)
+    .every(macro => Math.abs(nutrition[macro] - targetMacros[macro]) <=
+      Math.max(targetMacros[macro] * REPLACEMENT_MACRO_TOLERANCE, REPLACEMENT_MACRO_SLACK_GRAMS));
+}
+
+// Function to pick a replacement for a plan meal, portioned to the same calories as the meal it replaces
+// and with protein, carbs and fat close to it
+async function findReplacementMeal(userData, currentMeal, { idMeal = null, excludeNames = [] } = {}) {
+  const allergies = userData?.bodyData?.allergies || [];
+  const dislikes = userData?.bodyData?.foodDislikes || [];
+  const excluded = excludeNames.map(name => name.toLowerCase());
+  const targetMacros = getPlanMealMacros(currentMeal);
+  
+  let candidates;
+  if (idMeal) {
+    const item = meals.getMealById(idMeal);
+    if (!item) {
+      return { found: false, reason: `Unknown idMeal: ${idMeal}` };
+    }
+    candidates = [item];
+  } else {
+    candidates = meals.loadMeals().filter(item => 
+      !excluded.includes(item.meal.strMeal.toLowerCase()) &&
+      !mentionsFood(item.meal.strMeal, dislikes) &&
+      allergens.findAllergensInText(item.meal.strMeal, allergies).length === 0
+    );
+  }
+  
+  // Prefer meals whose portion lands closest to the old meal's calories and macros
+  const ranked = candidates
+    .map(item => ({ item, portion: meals.portionForTarget(item, currentMeal.calories) }))
+    .filter(({ portion }) => macrosWithinTolerance(portion.nutrition, targetMacros))
+    .sort((a, b) => replacementDistance(a.portion.nutrition, targetMacros) - replacementDistance(b.portion.nutrition, targetMacros))
+    .slice(0, MAX_REPLACEMENT_CANDIDATES);
+  
+  if (idMeal && ranked.length === 0) {
+    return { found: false, reason: `The protein, carbs or fat of ${candidates[0].meal.strMeal} are not close to ${currentMeal.name}` };
+  }
+  
+  for (const { item, portion } of ranked) {
+    let allergyStatus = null;
+    if (allergies.length > 0) {
+      const allergenCheck = await checkMealForAllergens(item.meal.strMeal, allergies, item.meal.idMeal);
+      allergyStatus = getAllergyStatus(allergenCheck);
+      if (!isAllowedBySafetyPolicy(allergenCheck)) continue;
     }
+    
+    return {
+      found: true,
+      meal: {
+        name: item.meal.strMeal,
+        calories: portion.nutrition.calories,
+        protein: portion.nutrition.protein,
+        carbs: portion.nutrition.carbs,
+        fat: portion.nutrition.fat,
+        idMeal: item.meal.idMeal,
+        recipeShare: portion.recipeShare,
+        servings: portion.servings,
+        ...(allergyStatus && { allergyStatus })
+      }
+    };
+  }
+  
+  return {
+    found: false,
+    reason: idMeal ? 'That meal is not verified to be free of your allergens' : 'No safe replacement meal found'
   };
+}
+
+// Function to score how far a portion is from the meal it replaces (summed relative difference of each known macro)
+function replacementDistance(nutrition, targetMacros) {
+  return Object.keys(targetMacros).reduce((distance, macro) =>
+    distance + Math.abs(nutrition[macro] - targetMacros[macro]) / Math.max(targetMacros[macro], 1), 0);
+}
+
+// Function to find meals matching nutritional requirements.
+// Each meal is scaled to the portion closest to the calorie target before its macros are compared.
+function findMatchingMeals(allMeals, requirements, tolerance = 0.15, macroTolerance = 0.35) {
+  const matchingMeals = [];
+  
+  // Check if a value is within a tolerance of its target
+  const withinTolerance = (value, target, allowed) =>
+    value >= target * (1 - allowed) && value <= target * (1 + allowed);
   
   // Check each meal against requirements
   for (const meal of allMeals) {
     // Skip meals without nutrition data
     if (!meal.nutrition) continue;
     
-    // Check if meal is within tolerance for all nutrients
-    const caloriesMatch = meal.nutrition.calories >= ranges.calories.min && 
-                          meal.nutrition.calories <= ranges.calories.max;
-    
-    const proteinMatch = meal.nutrition.protein >= ranges.protein.min && 
-                         meal.nutrition.protein <= ranges.protein.max;
-    
-    const carbsMatch = meal.nutrition.carbs >= ranges.carbs.min && 
-                       meal.nutrition.carbs <= ranges.carbs.max;
+    const portion = meals.portionForTarget(meal, requirements.calories);
     
-    const fatMatch = meal.nutrition.fat >= ranges.fat.min && 
-                     meal.nutrition.fat <= ranges.fat.max;
+    // Check if the portion is within tolerance for all nutrients
+    const caloriesMatch = withinTolerance(portion.nutrition.calories, requirements.calories, tolerance);
+    const proteinMatch = withinTolerance(portion.nutrition.protein, requirements.protein, macroTolerance);
+    const carbsMatch = withinTolerance(portion.nutrition.carbs, requirements.carbs, macroTolerance);
+    const fatMatch = withinTolerance(portion.nutrition.fat, requirements.fat, macroTolerance);
     
     // Add to matching meals if all criteria are met
     if (caloriesMatch && proteinMatch && carbsMatch && fatMatch) {
-      matchingMeals.push(meal);
+      matchingMeals.push({ ...meal, portion });
     }
   }
   
@@ -379,23 +608,41 @@ app.post('/api/fitness-recommendations', async (req, res) => {
     }
     
     // Load nutrition data
-    const nutritionData = JSON.parse(
-      fs.readFileSync(path.join(__dirname, 'data', 'meals_nutrition.json'), 'utf8')
-    );
+    const nutritionData = meals.loadMeals();
     
-    // Get workout recommendations based on user's fitness level
+    // Get workout recommendations based on user's fitness level and equipment
     const workoutDays = userData.workoutDaysPerWeek || 3;
-    const workoutPlan = await wger.getFullBodyWorkoutPlan(workoutDays);
+    const workoutPlan = await wger.getFullBodyWorkoutPlan(workoutDays, getExerciseFilters(userData.workoutData));
     
     // Build a comprehensive prompt using the template
     const prompt = promptTemplates.buildWorkoutMealPrompt(userData, nutritionData, workoutPlan);
     
-    // Call Ollama with the prompt
-    const recommendations = await ollama.generateResponse(prompt);
+    // Generate the plan and validate it against the plan schema and the workout catalog
+    const result = await fitnessPlan.generateValidatedPlan(prompt, {
+      exerciseCatalog: fitnessPlan.getExerciseNames(workoutPlan)
+    });
     
-    // Return the result
-    res.json(recommendations);
+    if (!result.valid) {
+      return res.status(422).json({
+        error: 'Generated plan failed validation',
+        attempts: result.attempts,
+        validation: {
+          valid: false,
+          errors: result.errors
+        }
+      });
+    }
+    
+    // Save the plan as a new version and make it the user's active plan
+    const saved = await planStore.savePlan(userId, result.plan, {
+      change: 'generated',
+      startDate: foodDiary.toDateKey(),
+      exerciseCatalog: fitnessPlan.getExerciseNames(workoutPlan)
+    });
     
+    // Return the result
+    res.json({ ...result.plan, planId: saved.id, version: saved.version });
+  
   } catch (error) {
     console.error('Error generating recommendations:', error);
     res.status(500).json({ error: 'Failed to generate recommendations' });
@@ -419,7 +666,7 @@ app.post('/api/simple-chat', async (req, res) => {
     console.log("Sending simple prompt to Ollama");
     
     // Call Ollama with minimal processing
-    const response = await ollama.generateResponse(prompt);
+    const response = await llm.generateResponse(prompt);
     
     console.log("Received response from Ollama");
     
@@ -433,9 +680,164 @@ app.post('/api/simple-chat', async (req, res) => {
 });
 
 // MAIN CHAT ENDPOINT - ONE IMPLEMENTATION THAT HANDLES ALL CASES
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', (req, res) => handleChat(req, res));
+
+// Streaming variant of the chat endpoint using Server-Sent Events
+app.post('/api/chat/stream', (req, res) => handleChat(req, res, true));
+
+// LLM status endpoint: provider, models and circuit breaker state
+app.get('/api/llm/status', (req, res) => {
+  res.json(llm.getStatus());
+});
+
+// Intent explanation endpoint: shows which intent a message matches without answering it
+app.post('/api/chat/intent', async (req, res) => {
+  try {
+    const { message, userId } = req.body || {};
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    const { userData, userAllergies, foodLikes, foodDislikes } = await loadChatContext(userId);
+    const context = { message, userId, userData, userAllergies, foodLikes, foodDislikes };
+    const { compound, parts } = await intentRouter.classifyParts(message, context);
+    
+    // Compound messages are answered part by part, so report the first matched part instead of classifying the whole message again
+    const classification = compound ?
+      parts.find(part => part.classification.source !== 'fallback' && part.classification.intent).classification :
+      await intentRouter.classifyMessage(message, context);
+    
+    res.json({
+      message,
+      ...classification,
+      compound,
+      parts: parts.map(({ text, classification: part }) => ({
+        text,
+        intent: part.intent,
+        confidence: part.confidence,
+        source: part.source,
+        slots: part.slots
+      })),
+      intents: intentRouter.getIntents()
+    });
+  } catch (error) {
+    console.error('Error classifying chat message:', error);
+    res.status(500).json({ error: 'Failed to classify message', message: error.message });
+  }
+});
+
+// Chat intents, in priority order. Each one lists its regex patterns (named groups are
+// its slots), describes itself and its slots for the LLM classifier and names its handler.
+intentRouter.registerIntent({
+  name: 'greeting',
+  description: 'A greeting on its own, such as "hi" or "good morning"',
+  patterns: GREETING_PATTERNS,
+  handle: handleGreetingIntent
+});
+
+intentRouter.registerIntent({
+  name: 'allergy_check',
+  description: 'Asks whether a food or meal is safe to eat with their allergies',
+  patterns: MEAL_SAFETY_PATTERNS,
+  slots: { mealName: 'the food or meal asked about' },
+  isAvailable: context => context.userAllergies.length > 0,
+  handle: handleAllergyCheckIntent
+});
+
+intentRouter.registerIntent({
+  name: 'meal_suggestion',
+  description: 'Wants a meal suggestion for breakfast, lunch, dinner or a snack',
+  patterns: MEAL_SUGGESTION_PATTERNS,
+  slots: { mealTime: 'breakfast, lunch, dinner or snack' },
+  extractSlots: message => ({ mealTime: extractMealTime(message) }),
+  isAvailable: context => !!context.userId,
+  handle: handleMealSuggestionIntent
+});
+
+intentRouter.registerIntent({
+  name: 'daily_meal_plan',
+  description: 'Wants meals planned for a whole day',
+  patterns: DAILY_MEAL_PLAN_PATTERNS,
+  isAvailable: context => !!context.userId,
+  handle: handleDailyMealPlanIntent
+});
+
+intentRouter.registerIntent({
+  name: 'progress',
+  description: 'Asks about their weight progress or when they will reach their goal',
+  patterns: PROGRESS_PATTERNS,
+  isAvailable: context => !!context.userId,
+  handle: handleProgressIntent
+});
+
+intentRouter.registerIntent({
+  name: 'nutrition_lookup',
+  description: 'Asks for the calories, macros or nutrition facts of a food or meal',
+  patterns: NUTRITION_PATTERNS,
+  slots: { mealName: 'the food or meal asked about' },
+  handle: handleNutritionLookupIntent
+});
+
+intentRouter.registerIntent({
+  name: 'plan_workout_today',
+  description: 'Asks what their workout is today',
+  patterns: TODAY_WORKOUT_PATTERNS,
+  isAvailable: context => !!context.userId,
+  handle: handlePlanWorkoutTodayIntent
+});
+
+intentRouter.registerIntent({
+  name: 'workout',
+  description: 'Wants a workout, exercises for a muscle group or a training plan',
+  patterns: WORKOUT_PATTERNS,
+  slots: { muscleGroup: 'the muscle group or body part to train' },
+  extractSlots: message => ({ muscleGroup: muscles.findMuscleGroupInText(message) }),
+  isAvailable: context => !!context.userId,
+  handle: handleWorkoutIntent
+});
+
+intentRouter.registerIntent({
+  name: 'exercise_info',
+  description: 'Asks how to do a specific exercise, its form, the muscles it works or alternatives',
+  patterns: EXERCISE_PATTERNS,
+  slots: { exerciseName: 'the exercise asked about' },
+  handle: handleExerciseInfoIntent
+});
+
+intentRouter.registerIntent({
+  name: 'general',
+  description: 'Any other fitness or nutrition question',
+  fallback: true,
+  handle: handleGeneralIntent
+});
+
+// Function to load the user data the chat intents work with
+async function loadChatContext(userId) {
+  let userData = null;
+  let userAllergies = [];
+  let foodLikes = [];
+  let foodDislikes = [];
+  
+  if (userId) {
+    userData = await firebase.getUserData(userId);
+    
+    // Extract food preferences and allergies
+    if (userData && userData.bodyData) {
+      userAllergies = userData.bodyData.allergies || [];
+      foodLikes = userData.bodyData.foodLikes || [];
+      foodDislikes = userData.bodyData.foodDislikes || [];
+      console.log(`User has ${userAllergies.length} allergies: ${userAllergies.join(', ')}`);
+    }
+  }
+  
+  return { userData, userAllergies, foodLikes, foodDislikes };
+}
+
+// Chat handler shared by the JSON and streaming endpoints
+async function handleChat(req, res, stream = false) {
   try {
-    const { message, userId } = req.body;
+    const { message, userId, conversationId } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
@@ -444,497 +846,1722 @@ app.post('/api/chat', async (req, res) => {
     console.log(`Received chat message from user ${userId || 'unknown'}: "${message}"`);
     
     // Fetch user data if userId is provided
-    let userData = null;
-    let userAllergies = [];
-    let foodLikes = [];
-    let foodDislikes = [];
+    const { userData, userAllergies, foodLikes, foodDislikes } = await loadChatContext(userId);
     
-    if (userId) {
-      userData = await firebase.getUserData(userId);
-      
-      // Extract food preferences and allergies
-      if (userData && userData.bodyData) {
-        userAllergies = userData.bodyData.allergies || [];
-        foodLikes = userData.bodyData.foodLikes || [];
-        foodDislikes = userData.bodyData.foodDislikes || [];
-        console.log(`User has ${userAllergies.length} allergies: ${userAllergies.join(', ')}`);
-      }
-    }
+    // Load conversation memory for known users
+    const conversation = userId ?
+      await conversations.getOrCreateConversation(userId, conversationId, message) : null;
     
-    // PRIORITY 0: Handle greeting messages
-    if (isGreeting(message)) {
-      console.log(`Detected greeting message: "${message}"`);
-      
-      // Personalize greeting based on user data and time of day
-      const username = userData?.firstName || 'there';
-      const currentHour = new Date().getHours();
-      let timeGreeting = 'Hello';
-      
-      if (currentHour < 12) {
-        timeGreeting = 'Good morning';
-      } else if (currentHour < 18) {
-        timeGreeting = 'Good afternoon';
-      } else {
-        timeGreeting = 'Good evening';
-      }
+    // Generate a reply with conversation memory, save the turn and send it.
+    // metadata describes the detected intent, payload holds structured data for the client
+    // and payload.attachments the typed cards (meals, allergy verdicts, exercises, sessions).
+    const reply = async (prompt, metadata, payload = {}) => {
+      const conversationInfo = conversation ? { conversationId: conversation.id } : {};
+      let onToken = null;
+      let abortController = null;
+      let tokensSent = false;
       
-      const prompt = `
-        You are Coach X, an enthusiastic and helpful fitness and nutrition coach.
-        
-        The user has just greeted you with "${message}".
-        
-        ${userData ? `## USER INFO\nName: ${username}\nGoal: ${userData.bodyData?.goal || 'Not set yet'}\nFitness Level: ${userData.workoutData?.fitnessLevel || 'Not set yet'}` : ''}
+      if (stream) {
+        startEventStream(res);
+        sendEvent(res, 'meta', { ...metadata, ...conversationInfo });
         
-        ## INSTRUCTIONS
-        - Start with "${timeGreeting}, ${username}!"
-        - Welcome them warmly to Coach X's fitness assistant
-        - Provide a brief guide to what you can help with:
-          * Nutritional information about foods
-          * Personalized meal suggestions for each meal time
-          * Workout plans and exercise technique guidance
-          * Checking if foods are safe with their allergies
-        - If they have set goals (${userData?.bodyData?.goal || 'none set'}), mention you're here to help with them
-        - Invite them to ask a specific question to get started
-        - Keep your response friendly, enthusiastic and concise
-        
-        ## YOUR RESPONSE
-      `;
+        // Stop generating when the client goes away
+        abortController = new AbortController();
+        res.on('close', () => abortController.abort());
+        onToken = token => {
+          tokensSent = true;
+          sendEvent(res, 'token', { token });
+        };
+      }
       
-      const response = await ollama.generateResponse(prompt);
-      return res.json({ response });
-    }
-    
-    // PRIORITY 1: Check for allergy safety questions first
-    if (isMealSafetyQuestion(message) && userAllergies.length > 0) {
-      const mealName = extractMealNameFromSafetyQuestion(message);
+      let response;
+      let context = null;
+      let fallback = false;
       
-      if (mealName) {
-        console.log(`Checking if ${mealName} is safe for user with allergies: ${userAllergies.join(', ')}`);
-        
-        // PRIORITY CHECK: Check if the meal name directly contains an allergen
-        let directAllergenMatch = null;
-        const lowerMealName = mealName.toLowerCase();
-        
-        for (const allergen of userAllergies) {
-          const allergenLower = allergen.toLowerCase();
-          if (lowerMealName.includes(allergenLower)) {
-            directAllergenMatch = allergen;
-            break;
-          }
+      try {
+        ({ response, context } = await generateWithMemory(prompt, conversation, onToken, abortController?.signal, metadata.intent));
+      } catch (error) {
+        // Without the model, answer from the intent's template so the data still reaches the user
+        if (!llm.isUnavailable(error) || tokensSent) {
+          throw error;
         }
         
-        if (directAllergenMatch) {
-          // UNSAFE: The meal name directly contains an allergen
-          console.log(`⚠️ UNSAFE: ${mealName} contains allergen ${directAllergenMatch}`);
-          
-          const prompt = `
-            You are Coach X, a cautious nutrition coach who prioritizes user health and safety.
-            
-            The user ${userData?.firstName || ''} has a food allergy to ${directAllergenMatch}.
-            
-            They just asked: "${message}"
-            
-            The meal "${mealName}" contains ${directAllergenMatch}, which they are allergic to.
-            
-            ## IMPORTANT INSTRUCTIONS
-            - START your response with "NO, you should not eat ${mealName}."
-            - Clearly explain that it contains ${directAllergenMatch} which they're allergic to
-            - Be firm but friendly in your warning
-            - Suggest an alternative if possible
-          `;
-          
-          const response = await ollama.generateResponse(prompt);
-          return res.json({ response });
-        }
+        console.warn(`Replying to ${metadata.intent} from a template: ${error.message}`);
+        response = fallbackReplies.renderFallback(metadata, payload, { firstName: userData?.firstName });
+        fallback = true;
         
-        // If no direct match in name, check detailed ingredients
-        const allergenCheck = await checkMealForAllergens(mealName, userAllergies);
+        if (stream) {
+          sendEvent(res, 'token', { token: response });
+        }
+      }
+      
+      // Check the reply for foods the user is allergic to or dislikes.
+      // A streamed reply has already reached the client, so it can only be annotated.
+      // Template replies only contain data that was already checked.
+      if (!fallback && (userAllergies.length > 0 || foodDislikes.length > 0)) {
+        const guard = await responseGuard.guardResponse(response, { allergies: userAllergies, dislikes: foodDislikes }, {
+          regenerate: stream ? null : note => generateWithMemory(`${prompt}\n${note}`, conversation, null, null, metadata.intent),
+          warning: getAllergyWarning(metadata, payload, userAllergies)
+        });
         
-        if (allergenCheck.safe === false) {
-          // UNSAFE: The meal contains allergens based on ingredients
-          console.log(`⚠️ UNSAFE: ${mealName} contains allergens: ${allergenCheck.allergens.join(', ')}`);
+        if (guard.action !== 'none') {
+          await responseGuard.logIntervention({
+            userId,
+            conversationId: conversation?.id || null,
+            intent: metadata.intent,
+            action: guard.action,
+            violations: guard.violations,
+            originalResponse: response
+          });
           
-          const prompt = `
-            You are Coach X, a cautious nutrition coach who prioritizes user health and safety.
-            
-            The user ${userData?.firstName || ''} has food allergies to: ${userAllergies.join(', ')}.
-            
-            They just asked: "${message}"
-            
-            ${allergenCheck.message}
-            
-            ## IMPORTANT INSTRUCTIONS
-            - START your response with "NO, you should not eat ${mealName}."
-            - Clearly explain why it's unsafe (${allergenCheck.allergens.join(', ')})
-            - Be firm but friendly in your warning
-            - Suggest an alternative if possible
-          `;
+          if (stream && guard.annotation) {
+            sendEvent(res, 'guard', { action: guard.action, violations: guard.violations, annotation: guard.annotation });
+          }
           
-          const response = await ollama.generateResponse(prompt);
-          return res.json({ response });
+          response = guard.response;
+          context = guard.context !== undefined ? guard.context : context;
+          payload = { ...payload, guard: { action: guard.action, violations: guard.violations } };
         }
       }
+      
+      if (conversation) {
+        await conversations.saveTurn(userId, conversation.id, message, response, context);
+      }
+      
+      // Response envelope; `response` repeats the text for older app versions
+      const { attachments = [], ...data } = payload;
+      const envelope = {
+        intent: metadata.intent,
+        text: response,
+        attachments,
+        meta: metadata,
+        ...data,
+        ...(fallback && { fallback: true }),
+        response,
+        ...conversationInfo
+      };
+      
+      if (stream) {
+        sendEvent(res, 'done', envelope);
+        return res.end();
+      }
+      
+      return res.json(envelope);
+    };
+    
+    const chatContext = {
+      message,
+      userId,
+      userData,
+      userAllergies,
+      foodLikes,
+      foodDislikes,
+      conversation,
+      reply
+    };
+    
+    // Answer compound questions ("can I eat pad thai and how many calories is it?") in one reply
+    const { compound, parts } = await intentRouter.classifyParts(message, chatContext);
+    if (compound && await handleCompoundMessage(parts, chatContext)) {
+      return;
+    }
+    
+    // Route the message to the first intent whose handler accepts it
+    await intentRouter.routeMessage(message, chatContext);
+    
+  } catch (error) {
+    console.error('Error handling chat:', error);
+    
+    // Headers are already sent once a stream has started
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: 'Chat response failed', message: error.message });
+      return res.end();
+    }
+    
+    res.status(500).json({ 
+      error: 'Chat response failed', 
+      message: error.message 
+    });
+  }
+}
+
+// Intent handler for greetings
+async function handleGreetingIntent(context) {
+  const { message, userData, reply } = context;
+  
+  console.log(`Detected greeting message: "${message}"`);
+  
+  // Personalize greeting based on user data and time of day
+  const username = userData?.firstName || 'there';
+  const currentHour = new Date().getHours();
+  let timeGreeting = 'Hello';
+  
+  if (currentHour < 12) {
+    timeGreeting = 'Good morning';
+  } else if (currentHour < 18) {
+    timeGreeting = 'Good afternoon';
+  } else {
+    timeGreeting = 'Good evening';
+  }
+  
+  const prompt = `
+    You are Coach X, an enthusiastic and helpful fitness and nutrition coach.
+    
+    The user has just greeted you with "${message}".
+    
+    ${userData ? `## USER INFO\nName: ${username}\nGoal: ${userData.bodyData?.goal || 'Not set yet'}\nFitness Level: ${userData.workoutData?.fitnessLevel || 'Not set yet'}` : ''}
+    
+    ## INSTRUCTIONS
+    - Start with "${timeGreeting}, ${username}!"
+    - Welcome them warmly to Coach X's fitness assistant
+    - Provide a brief guide to what you can help with:
+      * Nutritional information about foods
+      * Personalized meal suggestions for each meal time
+      * Workout plans and exercise technique guidance
+      * Checking if foods are safe with their allergies
+    - If they have set goals (${userData?.bodyData?.goal || 'none set'}), mention you're here to help with them
+    - Invite them to ask a specific question to get started
+    - Keep your response friendly, enthusiastic and concise
+    
+    ## YOUR RESPONSE
+  `;
+  
+  return reply(prompt, { intent: 'greeting' });
+}
+
+// Intent handler for questions about whether a food is safe with the user's allergies
+async function handleAllergyCheckIntent(context, slots) {
+  const { message, userData, userAllergies, reply } = context;
+  
+  const { mealName } = slots;
+  
+  if (mealName) {
+    console.log(`Checking if ${mealName} is safe for user with allergies: ${userAllergies.join(', ')}`);
+    
+    // PRIORITY CHECK: Check if the meal name directly contains an allergen
+    const directMatches = allergens.findAllergensInText(mealName, userAllergies);
+    const directAllergenMatch = directMatches.length > 0 ? directMatches[0].allergy : null;
+    
+    if (directAllergenMatch) {
+      // UNSAFE: The meal name directly contains an allergen
+      console.log(`⚠️ UNSAFE: ${mealName} contains allergen ${directAllergenMatch}`);
+      
+      const prompt = `
+        You are Coach X, a cautious nutrition coach who prioritizes user health and safety.
+        
+        The user ${userData?.firstName || ''} has a food allergy to ${directAllergenMatch}.
+        
+        They just asked: "${message}"
+        
+        The meal "${mealName}" contains ${directMatches[0].term} (${directMatches[0].familyLabel}), which they are allergic to.
+        
+        ## IMPORTANT INSTRUCTIONS
+        - START your response with "NO, you should not eat ${mealName}."
+        - Clearly explain that it contains ${directAllergenMatch} which they're allergic to
+        - Be firm but friendly in your warning
+        - Suggest an alternative if possible
+      `;
+      
+      return reply(prompt, { intent: 'allergy_check', mealName, allergyCheck: 'unsafe', allergens: [directAllergenMatch], matches: directMatches }, {
+        attachments: [chatAttachments.allergyVerdict(mealName, 'unsafe', { allergens: [directAllergenMatch], matches: directMatches })]
+      });
+    }
+    
+    // If no direct match in name, check detailed ingredients
+    const allergenCheck = await checkMealForAllergens(mealName, userAllergies);
+    
+    if (allergenCheck.safe === false) {
+      // UNSAFE: The meal contains allergens based on ingredients
+      console.log(`⚠️ UNSAFE: ${mealName} contains allergens: ${allergenCheck.allergens.join(', ')}`);
+      
+      const prompt = `
+        You are Coach X, a cautious nutrition coach who prioritizes user health and safety.
+        
+        The user ${userData?.firstName || ''} has food allergies to: ${userAllergies.join(', ')}.
+        
+        They just asked: "${message}"
+        
+        ${allergenCheck.message}
+        
+        ## IMPORTANT INSTRUCTIONS
+        - START your response with "NO, you should not eat ${mealName}."
+        - Clearly explain why it's unsafe (${allergenCheck.allergens.join(', ')})
+        - Be firm but friendly in your warning
+        - Suggest an alternative if possible
+      `;
+      
+      return reply(prompt, { intent: 'allergy_check', mealName, allergyCheck: 'unsafe', allergens: allergenCheck.allergens, matches: allergenCheck.matches }, {
+        attachments: [chatAttachments.allergyVerdict(mealName, 'unsafe', allergenCheck)]
+      });
+    }
+    
+    if (allergenCheck.safe === null) {
+      // UNVERIFIED: The ingredients couldn't be checked, so never call the meal safe
+      console.log(`⚠️ UNVERIFIED: couldn't check ingredients of ${mealName}`);
+      
+      const prompt = `
+        You are Coach X, a cautious nutrition coach who prioritizes user health and safety.
+        
+        The user ${userData?.firstName || ''} has food allergies to: ${userAllergies.join(', ')}.
+        
+        They just asked: "${message}"
+        
+        ${allergenCheck.message}
+        
+        ## IMPORTANT INSTRUCTIONS
+        - START your response with "I can't confirm that ${mealName} is safe for you."
+        - Explain that its ingredients could not be verified against their allergies
+        - Do NOT say or imply that the meal is safe
+        - Tell them to check the full ingredient list or ask whoever prepares it before eating
+        - Suggest a meal you can recommend instead if possible
+      `;
+      
+      return reply(prompt, { intent: 'allergy_check', mealName, allergyCheck: 'unverified', allergens: [], safetyMode: ALLERGY_SAFETY_MODE }, {
+        attachments: [chatAttachments.allergyVerdict(mealName, 'unverified')]
+      });
+    }
+  }
+  
+  return null;
+}
+
+// Intent handler for meal suggestions at a meal time
+async function handleMealSuggestionIntent(context, slots) {
+  const { message, userId, userData, userAllergies, foodLikes, foodDislikes, reply } = context;
+  
+  const mealTime = extractMealTime(slots.mealTime || '');
+  
+  if (mealTime) {
+    console.log(`User asked for ${mealTime} suggestions`);
+    
+    try {
+      // Fetch user's nutrition data from Firebase, or calculate it from their body data
+      const nutritionData = await getNutritionTargets(userId, userData);
+      
+      if (nutritionData) {
+        // Calculate nutrition requirements for this meal from what's left of today's targets
+        const dayLog = await foodDiary.getDay(userId, foodDiary.toDateKey(), nutritionData);
+        const mealRequirements = getMealNutritionRequirements(nutritionData, mealTime, dayLog);
+        const diaryInfo = dayLog.entries.length > 0 ?
+          `## LOGGED TODAY\nThe user has already eaten ${dayLog.totals.calories} calories, ${dayLog.totals.protein}g protein, ` +
+          `${dayLog.totals.carbs}g carbs and ${dayLog.totals.fat}g fat today (${dayLog.loggedMealTimes.join(', ')}).\n` +
+          `The requirements below are based on what remains of their daily targets.` : '';
+        
+        console.log(`Nutrition requirements for ${mealTime}:`, mealRequirements);
+        
+        // Load all meals with nutrition data
+        const allMeals = meals.loadMeals();
+        
+        // Find meals matching the requirements
+        const matchingMeals = findMatchingMeals(allMeals, mealRequirements);
+        
+        // Get user's allergies and preferences
+        const userAllergies = userData?.bodyData?.allergies || [];
+        const userLikes = userData?.bodyData?.foodLikes || [];
+        const userDislikes = userData?.bodyData?.foodDislikes || [];
+        
+        // Filter out meals containing allergens or disliked foods
+        const safeMatchingMeals = [];
+        let unverifiedExcluded = 0;
+        
+        for (const meal of matchingMeals) {
+          // Skip meals the user dislikes
+          const mealName = meal.meal.strMeal.toLowerCase();
+          const isDisliked = userDislikes.some(food => 
+            mealName.includes(food.toLowerCase()) || 
+            food.toLowerCase().includes(mealName)
+          );
+          
+          if (isDisliked) continue;
+          
+          // Check for allergens, leaving out unverifiable meals in strict mode
+          let allergyStatus = null;
+          if (userAllergies.length > 0) {
+            const allergenCheck = await checkMealForAllergens(meal.meal.strMeal, userAllergies, meal.meal.idMeal);
+            allergyStatus = getAllergyStatus(allergenCheck);
+            
+            if (!isAllowedBySafetyPolicy(allergenCheck)) {
+              if (allergyStatus === 'unverified') unverifiedExcluded++;
+              continue;
+            }
+          }
+          
+          // Mark if it's a preferred food
+          const isLiked = userLikes.some(food => 
+            mealName.includes(food.toLowerCase()) || 
+            food.toLowerCase().includes(mealName)
+          );
+          
+          safeMatchingMeals.push({
+            ...meal,
+            isLiked,
+            allergyStatus
+          });
+        }
+        
+        // Sort preferred meals first
+        safeMatchingMeals.sort((a, b) => {
+          if (a.isLiked && !b.isLiked) return -1;
+          if (!a.isLiked && b.isLiked) return 1;
+          return 0;
+        });
+        
+        // Get top 5 matches
+        const topMeals = safeMatchingMeals.slice(0, 5);
+        
+        if (topMeals.length > 0) {
+          // Build prompt with meal suggestions
+          let mealSuggestions = `## MEAL SUGGESTIONS FOR ${mealTime.toUpperCase()}\n`;
+          topMeals.forEach((meal, index) => {
+            const { nutrition: portionNutrition } = meal.portion;
+            mealSuggestions += `${index + 1}. ${meal.meal.strMeal} - ${meals.describePortion(meal, meal.portion)}: ` +
+              `${portionNutrition.calories} calories, ${portionNutrition.protein}g protein, ` +
+              `${portionNutrition.carbs}g carbs, ${portionNutrition.fat}g fat${meal.isLiked ? ' - One of your favorites!' : ''}` +
+              `${meal.allergyStatus === 'unverified' ? ' - INGREDIENTS NOT VERIFIED against allergies' : ''}\n`;
+          });
+          
+          const prompt = `
+            You are Coach X, a personalized nutrition coach.
+            
+            ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
+            
+            ${diaryInfo}
+            
+            ## NUTRITION REQUIREMENTS FOR ${mealTime.toUpperCase()}
+            The user needs approximately:
+            - ${mealRequirements.calories} calories
+            - ${mealRequirements.protein}g protein
+            - ${mealRequirements.carbs}g carbs
+            - ${mealRequirements.fat}g fat
+            
+            ${mealSuggestions}
+            
+            ## USER QUERY
+            ${message}
+            
+            ## INSTRUCTIONS
+            - Recommend 2-3 of these meal options for the user's ${mealTime}
+            - Always state the portion size shown for each meal, never the whole recipe
+            - Explain briefly why they match their nutritional needs
+            - If you see any favorites marked, emphasize those
+            - For any meal marked INGREDIENTS NOT VERIFIED, warn that its ingredients could not be checked against their allergies
+            - Keep your response friendly and concise
+            
+            ## YOUR RESPONSE
+          `;
+          
+          const unverifiedMeals = topMeals
+            .filter(meal => meal.allergyStatus === 'unverified')
+            .map(meal => meal.meal.strMeal);
+          
+          return reply(prompt, {
+            intent: 'meal_suggestion',
+            mealTime,
+            matches: topMeals.length,
+            targets: dayLog.entries.length > 0 ? 'remaining' : 'daily',
+            safetyMode: ALLERGY_SAFETY_MODE,
+            ...(unverifiedMeals.length > 0 && { allergyCheck: 'unverified', unverifiedMeals }),
+            ...(unverifiedExcluded > 0 && { unverifiedExcluded })
+          }, {
+            attachments: topMeals.map(meal => chatAttachments.mealCardFromItem(meal, { mealTime }))
+          });
+        } else {
+          // No matching meals found - suggest alternatives
+          const prompt = `
+            You are Coach X, a personalized nutrition coach.
+            
+            ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
+            
+            ${diaryInfo}
+            
+            ## NUTRITION REQUIREMENTS FOR ${mealTime.toUpperCase()}
+            The user needs approximately:
+            - ${mealRequirements.calories} calories
+            - ${mealRequirements.protein}g protein
+            - ${mealRequirements.carbs}g carbs
+            - ${mealRequirements.fat}g fat
+            
+            I couldn't find specific meals in our database that match these requirements exactly.
+            
+            ## USER QUERY
+            ${message}
+            
+            ## INSTRUCTIONS
+            - Explain that you don't have specific meal matches in the database
+            ${dayLog.entries.length > 0 && mealRequirements.calories < 100 ? '- Point out that they have almost reached their calorie target for today and suggest only light options' : ''}
+            - Suggest 2-3 general meal ideas that would fit these nutritional requirements
+            - Keep your response friendly and helpful
+            
+            ## YOUR RESPONSE
+          `;
+          
+          return reply(prompt, { intent: 'meal_suggestion', mealTime, matches: 0, targets: dayLog.entries.length > 0 ? 'remaining' : 'daily' });
+        }
+      } else {
+        // No nutrition data found
+        const prompt = `
+          You are Coach X, a personalized nutrition coach.
+          
+          ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
+          
+          I don't have your personalized nutrition data yet.
+          
+          ## USER QUERY
+          ${message}
+          
+          ## INSTRUCTIONS
+          - Explain that you need to calculate their nutritional needs first
+          - Encourage them to complete their profile with height, weight, activity level, and goals
+          - Offer some general healthy ${mealTime} suggestions based on their profile
+          
+          ## YOUR RESPONSE
+        `;
+        
+        return reply(prompt, { intent: 'meal_suggestion', mealTime, nutritionData: 'missing' });
+      }
+    } catch (error) {
+      console.error('Error handling meal suggestion:', error);
+      // Continue to general chat if there's an error
+    }
+  }
+  
+  return null;
+}
+
+// Intent handler for a full day of meals
+async function handleDailyMealPlanIntent(context, slots) {
+  const { message, userId, userData, reply } = context;
+  
+  console.log('User asked for a daily meal plan');
+  
+  const dailyPlan = await planDailyMeals(userId, userData);
+  
+  if (dailyPlan.hasData) {
+    const { plan } = dailyPlan;
+    
+    let planInfo = '## DAILY MEAL PLAN\n';
+    plan.meals.forEach(meal => {
+      planInfo += `- ${meal.mealTime.toUpperCase()}: ${meal.name} - ${meal.portion}: ${meal.nutrition.calories} calories, ` +
+        `${meal.nutrition.protein}g protein, ${meal.nutrition.carbs}g carbs, ${meal.nutrition.fat}g fat` +
+        `${meal.isLiked ? ' - One of your favorites!' : ''}\n`;
+    });
+    
+    const prompt = `
+      You are Coach X, a personalized nutrition coach.
+      
+      ## DAILY TARGETS
+      ${plan.targets.calories} calories, ${plan.targets.protein}g protein, ${plan.targets.carbs}g carbs, ${plan.targets.fat}g fat
+      
+      ${planInfo}
+      
+      ## DAY TOTALS
+      ${plan.totals.calories} calories, ${plan.totals.protein}g protein, ${plan.totals.carbs}g carbs, ${plan.totals.fat}g fat
+      Remaining versus targets: ${plan.remaining.calories} calories, ${plan.remaining.protein}g protein, ${plan.remaining.carbs}g carbs, ${plan.remaining.fat}g fat
+      
+      ## USER QUERY
+      ${message}
+      
+      ## INSTRUCTIONS
+      - Present this plan meal by meal with the portion sizes shown, do not swap in other meals
+      - Summarize how the day's totals compare with their targets
+      - If a macro is noticeably short, suggest a simple addition to close the gap
+      - Keep your response friendly and concise
+      
+      ## YOUR RESPONSE
+    `;
+    
+    return reply(prompt, { intent: 'daily_meal_plan', meals: plan.meals.length }, {
+      mealPlan: plan,
+      attachments: plan.meals.map(meal => chatAttachments.mealCard(meal))
+    });
+  }
+  
+  return null;
+}
+
+// Intent handler for weight progress questions, answered from the body metrics history
+async function handleProgressIntent(context, slots) {
+  const { message, userId, userData, reply } = context;
+  
+  console.log('User asked about their weight progress');
+  
+  const { calculated, trend } = await calculateTrendAdjustedTargets(userId, userData);
+  
+  if (trend.hasData) {
+    const { trend: trendPoints, ...progress } = trend;
+    
+    const prompt = `
+      You are Coach X, a supportive and data-driven fitness coach.
+      
+      ## USER INFO
+      Name: ${userData?.firstName || 'User'}
+      Goal: ${userData?.bodyData?.goal || 'Not set'}${progress.targetWeight ? ` (target weight ${progress.targetWeight} kg)` : ''}
+      
+      ## WEIGHT TREND
+      - Latest weigh-in: ${progress.latestWeight} kg, trend weight (smoothed): ${progress.trendWeight} kg
+      - Weigh-ins logged: ${progress.weighIns} over ${progress.daysLogged} days
+      - Weekly rate of change: ${progress.weeklyRate !== null ? `${progress.weeklyRate} kg/week` : 'not enough data yet'}
+      - Goal rate: ${progress.goalRate} kg/week${progress.onTrack !== null ? ` (${progress.onTrack ? 'on track' : 'off track'})` : ''}
+      ${progress.eta ? `- Goal ETA: ${progress.eta.reached ? 'target weight reached' : `about ${progress.eta.weeks} weeks (${progress.eta.date})`}` : ''}
+      ${progress.bodyFat !== null ? `- Latest body fat: ${progress.bodyFat}%` : ''}
+      ${progress.measurements ? `- Latest measurements (cm): ${Object.entries(progress.measurements).map(([name, value]) => `${name} ${value}`).join(', ')}` : ''}
+      ${calculated.hasData ? `- Current daily calorie target: ${calculated.dailyCalories} calories` : ''}
+      ${progress.adjustment ? `\n## CALORIE ADJUSTMENT\n${progress.adjustment.reason}. Suggested: ${progress.adjustment.calorieChange > 0 ? '+' : ''}${progress.adjustment.calorieChange} calories per day.` : ''}
+      
+      ## USER QUERY
+      ${message}
+      
+      ## INSTRUCTIONS
+      - Summarize their progress using the trend weight rather than single weigh-ins
+      - Say clearly whether they are on track for their goal
+      - If a calorie adjustment is listed, explain it and the new daily target
+      - If there is not enough data yet, encourage them to weigh in regularly
+      - Keep your response encouraging and concise
+      
+      ## YOUR RESPONSE
+    `;
+    
+    return reply(prompt, { intent: 'progress', onTrack: progress.onTrack }, { progress });
+  }
+  
+  return null;
+}
+
+// Intent handler for nutrition lookups
+async function handleNutritionLookupIntent(context, slots) {
+  const { message, userData, userAllergies, foodLikes, foodDislikes, reply } = context;
+  
+  const { mealName } = slots;
+  
+  if (mealName) {
+    // Find matching meals
+    const matchingMeals = meals.findMealsByName(mealName);
+    
+    if (matchingMeals.length > 0) {
+      // Check for allergies in the meal
+      const allergenCheck = userAllergies.length > 0 ? 
+        await checkMealForAllergens(matchingMeals[0].meal.strMeal, userAllergies, matchingMeals[0].meal.idMeal) : null;
+      const allergyWarnings = allergenCheck?.safe === false ? allergenCheck.matches : [];
+      const allergyUnverified = allergenCheck?.safe === null;
+      
+      // Check if this is a liked or disliked food
+      const isLiked = foodLikes.some(food => 
+        food.toLowerCase().includes(mealName.toLowerCase()) ||
+        mealName.toLowerCase().includes(food.toLowerCase())
+      );
+      
+      const isDisliked = foodDislikes.some(food => 
+        food.toLowerCase().includes(mealName.toLowerCase()) ||
+        mealName.toLowerCase().includes(food.toLowerCase())
+      );
+      
+      // Build nutrition-focused prompt
+      let nutritionInfo = "## NUTRITION DATA\n";
+      matchingMeals.forEach(meal => {
+        const portion = meals.getDefaultPortion(meal);
+        nutritionInfo += `${meal.meal.strMeal}, ${meals.describePortion(meal, portion)}: ${portion.nutrition.calories} calories, ` +
+          `${portion.nutrition.protein}g protein, ${portion.nutrition.carbs}g carbs, ${portion.nutrition.fat}g fat` +
+          ` (whole recipe: ${meal.nutrition.calories} calories)\n`;
+      });
+      
+      let prompt = `
+        You are Coach X, a personal nutrition coach.
+        
+        ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
+        
+        ${nutritionInfo}
+        
+        ${allergyWarnings.length > 0 ? 
+          `## ALLERGY WARNING\nThis meal contains ingredients the user is allergic to: ${allergens.describeMatches(allergyWarnings)}.\nBegin your response with this allergy warning.` : ''}
+        ${allergyUnverified ? 
+          `## ALLERGY NOTICE\nThe ingredients of this meal could not be verified against the user's allergies (${userAllergies.join(', ')}).` : ''}
+        
+        ${isLiked ? `## USER PREFERENCE\nThe user has marked this food as one they like.` : ''}
+        ${isDisliked ? `## USER PREFERENCE\nThe user has marked this food as one they dislike.` : ''}
+        
+        ## INSTRUCTIONS
+        - Provide the EXACT nutrition values shown above, leading with the per-serving values
+        ${allergyWarnings.length > 0 ? '- Start with a clear allergy warning' : ''}
+        ${allergyUnverified ? '- Mention that you could not verify its ingredients against their allergies' : ''}
+        ${isLiked ? '- Mention that this is one of their favorite foods' : ''}
+        ${isDisliked ? '- Note that they usually avoid this food, but provide nutrition data anyway' : ''}
+        - Keep your response concise and focused on the nutrition information
+        
+        ## USER QUERY
+        ${message}
+        
+        ## YOUR RESPONSE
+      `;
+      
+      return reply(prompt, {
+        intent: 'nutrition_lookup',
+        mealName,
+        matches: matchingMeals.length,
+        ...(allergenCheck && { allergyCheck: getAllergyStatus(allergenCheck) })
+      }, {
+        attachments: [
+          ...(allergenCheck ? [chatAttachments.allergyVerdict(matchingMeals[0].meal.strMeal, getAllergyStatus(allergenCheck), allergenCheck)] : []),
+          ...matchingMeals.map(meal => chatAttachments.mealCardFromItem(meal))
+        ]
+      });
+    }
+  }
+  
+  return null;
+}
+
+// Intent handler for "what's my workout today?", answered from the user's active plan
+async function handlePlanWorkoutTodayIntent(context, slots) {
+  const { message, userId, userData, reply } = context;
+  
+  const activePlan = await planStore.getActivePlan(userId);
+  
+  if (activePlan) {
+    const today = foodDiary.toDateKey();
+    const day = planStore.getPlanDay(activePlan, today);
+    const workoutDay = activePlan.plan.workoutPlan.find(entry => entry.day === day) || { day, focus: 'Rest' };
+    const exercises = workoutDay.exercises || [];
+    console.log(`Detected today's workout query, active plan ${activePlan.id} is on day ${day}`);
+    
+    // Carry progressive overload targets over from the user's logged sessions
+    const progressions = exercises.length > 0 ?
+      await workoutLog.getProgressions(userId, getSetsRepsRest(userData?.workoutData), exercises.map(exercise => exercise.name)) : [];
+    
+    let workoutInfo = `## TODAY'S WORKOUT (DAY ${day}: ${workoutDay.focus.toUpperCase()})\n`;
+    if (exercises.length === 0) {
+      workoutInfo += 'Rest day - no exercises scheduled.\n';
+    }
+    exercises.forEach((exercise, index) => {
+      const progression = progressions.find(item => workoutLog.normalizeName(item.exercise) === workoutLog.normalizeName(exercise.name));
+      workoutInfo += `${index + 1}. ${exercise.name} - ${exercise.sets} sets x ${exercise.reps} reps, rest ${exercise.rest}` +
+        `${progression ? ` - PROGRESSION: ${progression.reason}` : ''}\n`;
+    });
+    
+    const prompt = `
+      You are Coach X, a certified personal trainer.
+      
+      ## USER INFO
+      Name: ${userData?.firstName || 'User'}
+      Plan type: ${activePlan.plan.overview.planType}
+      
+      ${workoutInfo}
+      
+      ## USER QUERY
+      ${message}
+      
+      ## INSTRUCTIONS
+      - Tell the user what today's workout in their plan is, using ONLY the exercises listed above
+      - Keep the sets, reps and rest exactly as listed
+      - For exercises with a PROGRESSION note, tell them the load and reps to aim for
+      - If today is a rest day, say so and suggest light activity or mobility work
+      - Keep your response motivating and concise
+      
+      ## YOUR RESPONSE
+    `;
+    
+    const workout = { ...workoutDay, exercises, date: today };
+    return reply(prompt, { intent: 'plan_workout_today', planId: activePlan.id, day }, {
+      workout,
+      attachments: [chatAttachments.workoutSession(workout)]
+    });
+  }
+  
+  console.log('Today\'s workout query without an active plan, falling back to a generated session');
+  
+  return null;
+}
+
+// Intent handler for workout requests, built from the user's workout profile
+async function handleWorkoutIntent(context, slots) {
+  const { message, userId, userData, reply } = context;
+  
+  const muscleGroup = muscles.findMuscleGroupInText(slots.muscleGroup || '');
+  console.log(`Detected workout query for ${muscleGroup || 'user preferences'}`);
+  
+  const recommendations = await getWorkoutRecommendations(userId, muscleGroup);
+  
+  if (recommendations.hasData && recommendations.exercises.length > 0) {
+    const { workoutData, setsRepsRest } = recommendations;
+    const session = buildWorkoutSession(recommendations);
+    
+    // Carry progressive overload targets over from the user's logged sessions
+    const progressions = await workoutLog.getProgressions(userId, setsRepsRest, session.exercises.map(exercise => exercise.name));
+    session.exercises.forEach(exercise => {
+      const progression = progressions.find(item => workoutLog.normalizeName(item.exercise) === workoutLog.normalizeName(exercise.name));
+      if (progression) {
+        exercise.load = progression.nextLoad;
+        exercise.progression = { action: progression.action, targetReps: progression.targetReps, reason: progression.reason };
+      }
+    });
+    
+    let sessionInfo = `## WORKOUT SESSION (${session.focus.toUpperCase()})\n`;
+    session.exercises.forEach((exercise, index) => {
+      sessionInfo += `${index + 1}. ${exercise.name} - ${exercise.sets} sets x ${exercise.reps} reps, ` +
+        `rest ${exercise.rest}${exercise.equipment.length > 0 ? ` (${exercise.equipment.join(', ')})` : ''}` +
+        `${exercise.progression ? ` - PROGRESSION: ${exercise.progression.reason}` : ''}\n`;
+    });
+    
+    const prompt = `
+      You are Coach X, a certified personal trainer.
+      
+      ## USER INFO
+      Name: ${userData?.firstName || 'User'}
+      Fitness Level: ${workoutData.fitnessLevel || 'Beginner'}
+      Fitness Goal: ${workoutData.fitnessGoal || 'General fitness'}
+      Available Equipment: ${(workoutData.equipment || []).join(', ') || 'Bodyweight only'}
+      
+      ${sessionInfo}
+      
+      ## USER QUERY
+      ${message}
+      
+      ## INSTRUCTIONS
+      - Present this session as the user's workout, using ONLY the exercises listed above
+      - Keep the prescribed ${setsRepsRest.sets} sets of ${setsRepsRest.minReps}-${setsRepsRest.maxReps} reps with ${setsRepsRest.rest} seconds rest
+      - For exercises with a PROGRESSION note, tell them the load and reps to aim for based on their last logged session
+      - Explain briefly why this fits their ${workoutData.fitnessGoal || 'fitness'} goal and ${workoutData.fitnessLevel || 'Beginner'} level
+      - Add a short warm-up and cool-down reminder
+      - Keep your response motivating and concise
+      
+      ## YOUR RESPONSE
+    `;
+    
+    return reply(prompt, { intent: 'workout', muscleGroup: session.focus }, {
+      workout: session,
+      attachments: [chatAttachments.workoutSession(session)]
+    });
+  } else {
+    // No workout profile or no matching exercises
+    const prompt = `
+      You are Coach X, a certified personal trainer.
+      
+      ${userData ? `## USER INFO\n${userData.firstName || 'User'}, Goal: ${userData.bodyData?.goal || 'Not set yet'}` : ''}
+      
+      I don't have a complete workout profile or matching exercises for this user yet.
+      
+      ## USER QUERY
+      ${message}
+      
+      ## INSTRUCTIONS
+      - Explain that a personalized session needs their fitness level, goal and available equipment
+      - Encourage them to complete the workout section of their profile
+      - Offer a short, safe general ${muscleGroup || 'full body'} routine in the meantime
+      
+      ## YOUR RESPONSE
+    `;
+    
+    return reply(prompt, { intent: 'workout', muscleGroup, workoutProfile: 'incomplete' });
+  }
+}
+
+// Intent handler for questions about a specific exercise
+async function handleExerciseInfoIntent(context, slots) {
+  const { message, reply } = context;
+  
+  console.log('Detected specific exercise query');
+  
+  // Extract exercise name
+  const { exerciseName } = slots;
+  console.log(`Looking up exercise: ${exerciseName}`);
+  
+  if (exerciseName) {
+    // Get exercise information
+    const exerciseInfo = await getExerciseInfo(exerciseName);
+    
+    if (exerciseInfo.found) {
+      const exercise = exerciseInfo.exercise;
+      
+      const prompt = `
+        You are Coach X, a certified personal trainer and exercise specialist.
+        
+        ## EXERCISE INFORMATION
+        Name: ${exercise.name}
+        Description: ${exercise.description}
+        Primary Muscles: ${exercise.muscles.join(', ')}
+        Secondary Muscles: ${exercise.musclesSecondary.join(', ') || 'None'}
+        Equipment: ${exercise.equipment.join(', ') || 'Bodyweight'}
+        
+        ## USER QUERY
+        ${message}
+        
+        ## INSTRUCTIONS
+        - Provide detailed information about the ${exercise.name} exercise
+        - Explain proper form and technique in a step-by-step manner
+        - Describe common mistakes and how to avoid them
+        - Mention the primary muscles worked and benefits
+        - Provide any relevant safety tips
+        - Keep your response conversational and helpful
+        
+        ## YOUR RESPONSE
+      `;
+      
+      return reply(prompt, { intent: 'exercise_info', exerciseName: exercise.name, found: true }, {
+        attachments: [chatAttachments.exerciseCard(exercise)]
+      });
+    } else {
+      // Exercise not found in database
+      const prompt = `
+        You are Coach X, a certified personal trainer and exercise specialist.
+        
+        I don't have specific information about "${exerciseName}" in my exercise database.
+        
+        ## USER QUERY
+        ${message}
+        
+        ## INSTRUCTIONS
+        - Explain that you don't have detailed information about this specific exercise
+        - Provide general guidance about this type of exercise if you can recognize it
+        - Emphasize the importance of proper form and technique
+        - Suggest seeking guidance from a certified trainer for exercises you're unfamiliar with
+        - If this seems like a common exercise with a different name, suggest what it might be
+        
+        ## YOUR RESPONSE
+      `;
+      
+      return reply(prompt, { intent: 'exercise_info', exerciseName, found: false });
+    }
+  }
+  
+  return null;
+}
+
+// Intent handler for everything else, answered with the user's profile as context
+async function handleGeneralIntent(context) {
+  const { message, userData, foodLikes, foodDislikes, reply } = context;
+  
+  // Build appropriate context from user data
+  const userContext = userData ? {
+    personalData: {
+      name: `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || 'User',
+      email: userData.email || '',
+      username: userData.username || '',
+    },
+    bodyData: userData.bodyData ? {
+      gender: userData.bodyData.gender || '',
+      age: nutrition.calculateAge(userData.bodyData.dateOfBirth) || '',
+      weight: userData.bodyData.weight || '',
+      height: userData.bodyData.height || '',
+      activityLevel: userData.bodyData.activityLevel || '',
+      goal: userData.bodyData.goal || '',
+      allergies: userData.bodyData.allergies || [],
+      foodLikes: userData.bodyData.foodLikes || [],
+      foodDislikes: userData.bodyData.foodDislikes || [],
+    } : {},
+    workoutData: userData.workoutData || {}
+  } : {};
+  
+  // Build prompt with context
+  const prompt = `
+    You are Coach X, a personal fitness and nutrition coach.
+    
+    ${userData ? `## USER PROFILE\n${JSON.stringify(userContext, null, 2)}` : ''}
+    
+    ## INSTRUCTIONS
+    - Provide personalized advice based on the user's profile
+    - Keep responses concise and helpful
+    - If the user asks about foods they're allergic to, warn them
+    - Recommend foods they like and avoid suggesting foods they dislike
+    
+    ## USER QUERY
+    ${message}
+    
+    ## YOUR RESPONSE
+  `;
+  
+  console.log("Sending response back to app");
+  return reply(prompt, { intent: 'general' });
+}
+
+// Function to answer a compound message in one reply. Each part's intent handler drafts
+// its prompt instead of replying, and the drafts are combined into a single prompt.
+async function handleCompoundMessage(parts, context) {
+  const { message, userData, reply } = context;
+  const draftReply = async (prompt, metadata, payload = {}) => ({ prompt, metadata, payload });
+  const answers = [];
+  
+  for (const part of parts) {
+    // Parts nothing specific matched are covered by the combined prompt itself
+    const candidates = part.classification.candidates.filter(candidate => candidate.source !== 'fallback');
+    const { handledBy, result } = await intentRouter.runCandidates({ ...part.classification, candidates }, { ...context, message: part.text, reply: draftReply });
+    
+    if (handledBy) {
+      answers.push({ question: part.text, ...result });
+    }
+  }
+  
+  // Not worth combining, let the whole message go through the normal routing
+  if (answers.length < 2) {
+    return null;
+  }
+  
+  console.log(`Answering compound message with intents: ${answers.map(answer => answer.metadata.intent).join(', ')}`);
+  
+  const sections = answers.map((answer, index) => `## PART ${index + 1}: "${answer.question}"\n${stripPromptFrame(answer.prompt)}`);
+  
+  const prompt = `
+    You are Coach X, a personal fitness and nutrition coach.
+    
+    ${userData?.firstName || 'The user'} asked several things in one message: "${message}"
+    
+    Each part below has the data and instructions for answering one of them.
+
+${sections.join('\n\n')}
+    
+    ## INSTRUCTIONS
+    - Answer every part, in the order they were asked, in one reply
+    - Follow each part's instructions, including any allergy warning it must start with
+    - Don't repeat greetings or introductions between parts
+    - Answer anything else in the message briefly at the end
+    - Keep each part concise
+    
+    ## YOUR RESPONSE
+  `;
+  
+  // Each part's cards are tagged with the index of the part they belong to
+  const intents = answers.map(answer => answer.metadata.intent);
+  return reply(prompt, { intent: 'multi', intents }, {
+    intents,
+    results: answers.map(({ question, metadata, payload: { attachments, ...data } }) => ({ question, ...metadata, ...data })),
+    attachments: answers.flatMap((answer, index) => (answer.payload.attachments || []).map(attachment => ({ ...attachment, part: index })))
+  });
+}
+
+// Function to drop the persona and response lines from a drafted prompt so it can be embedded in another
+function stripPromptFrame(prompt) {
+  return prompt
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => !/^You are Coach X\b/.test(line) && line !== '## YOUR RESPONSE')
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Function to open a Server-Sent Events stream
+function startEventStream(res) {
+  if (res.headersSent) return;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+}
+
+// Function to send a single Server-Sent Event
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Plan a full day of meals against the user's daily targets
+app.get('/api/users/:userId/daily-meal-plan', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userData = await firebase.getUserData(userId);
+    
+    if (!userData) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const dailyPlan = await planDailyMeals(userId, userData, {
+      snacks: req.query.snacks !== undefined ? parseInt(req.query.snacks) || 0 : 1,
+      excludeMealIds: req.query.exclude ? req.query.exclude.split(',') : []
+    });
+    
+    if (!dailyPlan.hasData) {
+      return res.status(422).json({ error: dailyPlan.reason });
+    }
+    
+    res.json(dailyPlan.plan);
+  } catch (error) {
+    console.error('Error planning daily meals:', error);
+    res.status(500).json({ error: 'Failed to plan daily meals', message: error.message });
+  }
+});
+
+// List a day of the user's food log with totals against their targets (defaults to today)
+app.get('/api/users/:userId/food-log', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const date = req.query.date || foodDiary.toDateKey();
+    
+    if (!foodDiary.isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    
+    const userData = await firebase.getUserData(userId);
+    const nutritionData = await getNutritionTargets(userId, userData);
+    
+    res.json(await foodDiary.getDay(userId, date, nutritionData));
+  } catch (error) {
+    console.error('Error fetching food log:', error);
+    res.status(500).json({ error: 'Failed to fetch food log', message: error.message });
+  }
+});
+
+// Log a meal from the dataset (idMeal) or a custom food
+app.post('/api/users/:userId/food-log', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const date = req.body.date || foodDiary.toDateKey();
+    
+    if (!foodDiary.isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    
+    const { valid, entry, errors } = foodDiary.buildEntry(req.body);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid food log entry', errors });
+    }
+    
+    const saved = await foodDiary.addEntry(userId, date, entry);
+    const userData = await firebase.getUserData(userId);
+    const day = await foodDiary.getDay(userId, date, await getNutritionTargets(userId, userData));
+    
+    res.status(201).json({ entry: saved, day });
+  } catch (error) {
+    console.error('Error adding food log entry:', error);
+    res.status(500).json({ error: 'Failed to add food log entry', message: error.message });
+  }
+});
+
+// Edit a food log entry
+app.put('/api/users/:userId/food-log/:date/:entryId', async (req, res) => {
+  try {
+    const { userId, date, entryId } = req.params;
+    
+    if (!foodDiary.isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    
+    const existing = await foodDiary.getEntry(userId, date, entryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Food log entry not found' });
+    }
+    
+    // Fields left out of the edit keep their stored values
+    const { valid, entry, errors } = foodDiary.buildEntry(foodDiary.mergeEntryEdit(existing, req.body));
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid food log entry', errors });
+    }
+    
+    const updated = await foodDiary.updateEntry(userId, date, entryId, entry);
+    if (!updated) {
+      return res.status(404).json({ error: 'Food log entry not found' });
+    }
+    
+    const userData = await firebase.getUserData(userId);
+    const day = await foodDiary.getDay(userId, date, await getNutritionTargets(userId, userData));
+    
+    res.json({ entry: updated, day });
+  } catch (error) {
+    console.error('Error updating food log entry:', error);
+    res.status(500).json({ error: 'Failed to update food log entry', message: error.message });
+  }
+});
+
+// Delete a food log entry
+app.delete('/api/users/:userId/food-log/:date/:entryId', async (req, res) => {
+  try {
+    const { userId, date, entryId } = req.params;
+    
+    if (!foodDiary.isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    
+    const deleted = await foodDiary.deleteEntry(userId, date, entryId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Food log entry not found' });
+    }
+    
+    const userData = await firebase.getUserData(userId);
+    const day = await foodDiary.getDay(userId, date, await getNutritionTargets(userId, userData));
+    
+    res.json({ success: true, day });
+  } catch (error) {
+    console.error('Error deleting food log entry:', error);
+    res.status(500).json({ error: 'Failed to delete food log entry', message: error.message });
+  }
+});
+
+// Log a workout session (exercises with sets of reps, load in kg and RPE)
+app.post('/api/users/:userId/workouts', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { valid, session, errors } = workoutLog.buildSession({
+      ...req.body,
+      date: req.body.date || foodDiary.toDateKey()
+    });
+    
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid workout session', errors });
+    }
+    
+    const saved = await workoutLog.addSession(userId, session);
+    
+    // Return the next targets for the exercises that were just logged
+    const userData = await firebase.getUserData(userId);
+    const progressions = await workoutLog.getProgressions(
+      userId,
+      getSetsRepsRest(userData?.workoutData),
+      session.exercises.map(exercise => exercise.name)
+    );
+    
+    res.status(201).json({ session: saved, progressions });
+  } catch (error) {
+    console.error('Error logging workout session:', error);
+    res.status(500).json({ error: 'Failed to log workout session', message: error.message });
+  }
+});
+
+// List a user's recent workout sessions
+app.get('/api/users/:userId/workouts', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const sessions = await workoutLog.listSessions(req.params.userId, limit);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error listing workout sessions:', error);
+    res.status(500).json({ error: 'Failed to list workout sessions', message: error.message });
+  }
+});
+
+// Get progressive overload suggestions from logged sessions (optionally ?exercise=Bench Press)
+app.get('/api/users/:userId/workouts/progression', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userData = await firebase.getUserData(userId);
+    const repRange = getSetsRepsRest(userData?.workoutData);
+    const progressions = await workoutLog.getProgressions(
+      userId,
+      repRange,
+      req.query.exercise ? [req.query.exercise] : null
+    );
+    
+    res.json({ repRange: { minReps: repRange.minReps, maxReps: repRange.maxReps }, progressions });
+  } catch (error) {
+    console.error('Error getting workout progressions:', error);
+    res.status(500).json({ error: 'Failed to get workout progressions', message: error.message });
+  }
+});
+
+// Get a single workout session
+app.get('/api/users/:userId/workouts/:sessionId', async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const session = await workoutLog.getSession(userId, sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    console.error('Error fetching workout session:', error);
+    res.status(500).json({ error: 'Failed to fetch workout session', message: error.message });
+  }
+});
+
+// Delete a workout session
+app.delete('/api/users/:userId/workouts/:sessionId', async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const deleted = await workoutLog.deleteSession(userId, sessionId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Workout session not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting workout session:', error);
+    res.status(500).json({ error: 'Failed to delete workout session', message: error.message });
+  }
+});
+
+// Log a weigh-in, body fat percentage and/or circumference measurements
+app.post('/api/users/:userId/body-metrics', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { valid, entry, errors } = bodyMetrics.buildEntry({
+      ...req.body,
+      date: req.body.date || foodDiary.toDateKey()
+    });
+    
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid body metrics entry', errors });
+    }
+    
+    const saved = await bodyMetrics.addEntry(userId, entry);
+    
+    // Weigh-ins are what move the trend, so automatic adjustments are applied here rather than when targets are read
+    const adjustment = AUTO_CALORIE_ADJUSTMENT && entry.weight !== undefined ?
+      await applyTrendAdjustment(userId, await firebase.getUserData(userId)) : null;
+    
+    res.status(201).json({ entry: saved, ...(adjustment && { adjustment }) });
+  } catch (error) {
+    console.error('Error logging body metrics:', error);
+    res.status(500).json({ error: 'Failed to log body metrics', message: error.message });
+  }
+});
+
+// List a user's body metrics history (optionally ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/api/users/:userId/body-metrics', async (req, res) => {
+  try {
+    const entries = await bodyMetrics.listEntries(req.params.userId, {
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+    res.json({ entries });
+  } catch (error) {
+    console.error('Error listing body metrics:', error);
+    res.status(500).json({ error: 'Failed to list body metrics', message: error.message });
+  }
+});
+
+// Trend weight, weekly rate of change, goal ETA and any suggested calorie adjustment
+app.get('/api/users/:userId/body-metrics/trend', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userData = await firebase.getUserData(userId);
+    const { calculated, trend } = await calculateTrendAdjustedTargets(userId, userData);
+    
+    if (!trend.hasData) {
+      return res.status(422).json({ error: trend.reason });
+    }
+    
+    res.json({ ...trend, dailyCalories: calculated.hasData ? calculated.dailyCalories : null });
+  } catch (error) {
+    console.error('Error analyzing body metrics trend:', error);
+    res.status(500).json({ error: 'Failed to analyze body metrics trend', message: error.message });
+  }
+});
+
+// Apply the calorie adjustment currently suggested by the weight trend
+app.post('/api/users/:userId/body-metrics/apply-adjustment', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userData = await firebase.getUserData(userId);
+    const applied = await applyTrendAdjustment(userId, userData);
+    
+    if (!applied) {
+      return res.status(409).json({ error: 'No calorie adjustment is suggested right now' });
+    }
+    
+    const { calculated } = await calculateTrendAdjustedTargets(userId, userData);
+    const { hasData, ...targets } = calculated;
+    res.json({ applied, targets });
+  } catch (error) {
+    console.error('Error applying calorie adjustment:', error);
+    res.status(500).json({ error: 'Failed to apply calorie adjustment', message: error.message });
+  }
+});
+
+// Delete a body metrics entry
+app.delete('/api/users/:userId/body-metrics/:entryId', async (req, res) => {
+  try {
+    const { userId, entryId } = req.params;
+    const deleted = await bodyMetrics.deleteEntry(userId, entryId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Body metrics entry not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting body metrics entry:', error);
+    res.status(500).json({ error: 'Failed to delete body metrics entry', message: error.message });
+  }
+});
+
+// Build a periodized 4-12 week training program from the user's workout profile
+// ({ weeks, daysPerWeek, sessionDuration, startDate }, each defaulting to the profile or a sensible value)
+app.post('/api/users/:userId/training-program', async (req, res) => {
+  try {
+    const userData = await firebase.getUserData(req.params.userId);
+    
+    if (!userData) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const workoutData = userData.workoutData || {};
+    const options = req.body || {};
+    const { valid, program, errors } = await trainingProgram.buildProgram(workoutData, {
+      weeks: options.weeks || 8,
+      daysPerWeek: options.daysPerWeek || workoutData.workoutDaysPerWeek || userData.workoutDaysPerWeek || 3,
+      sessionDuration: options.sessionDuration || workoutData.sessionDuration || 60,
+      startDate: options.startDate || foodDiary.toDateKey()
+    });
+    
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid training program options', errors });
+    }
+    
+    res.json(program);
+  } catch (error) {
+    console.error('Error building training program:', error);
+    res.status(500).json({ error: 'Failed to build training program', message: error.message });
+  }
+});
+
+// List a user's saved plan versions, newest first
+app.get('/api/users/:userId/plans', async (req, res) => {
+  try {
+    const plans = await planStore.listPlans(req.params.userId);
+    res.json({ plans });
+  } catch (error) {
+    console.error('Error listing plans:', error);
+    res.status(500).json({ error: 'Failed to list plans', message: error.message });
+  }
+});
+
+// Get a user's active plan, with the plan day that falls on today
+app.get('/api/users/:userId/plans/active', async (req, res) => {
+  try {
+    const activePlan = await planStore.getActivePlan(req.params.userId);
+    
+    if (!activePlan) {
+      return res.status(404).json({ error: 'No active plan' });
     }
     
-    // PRIORITY 1.5: Handle meal suggestion queries
-    if (isMealSuggestionQuery(message) && userId) {
-      const mealTime = extractMealTime(message);
-      
-      if (mealTime) {
-        console.log(`User asked for ${mealTime} suggestions`);
-        
-        try {
-          // Fetch user's nutrition data from Firebase
-          const nutritionDataRef = firebase.admin.database().ref(`users/${userId}/nutritionData`);
-          const nutritionSnapshot = await nutritionDataRef.once('value');
-          
-          if (nutritionSnapshot.exists()) {
-            const nutritionData = nutritionSnapshot.val();
-            
-            // Calculate nutrition requirements for this meal
-            const mealRequirements = getMealNutritionRequirements(nutritionData, mealTime);
-            
-            console.log(`Nutrition requirements for ${mealTime}:`, mealRequirements);
-            
-            // Load all meals with nutrition data
-            const allMeals = JSON.parse(
-              fs.readFileSync(path.join(__dirname, 'data', 'meals_nutrition.json'), 'utf8')
-            );
-            
-            // Find meals matching the requirements
-            const matchingMeals = findMatchingMeals(allMeals, mealRequirements);
-            
-            // Get user's allergies and preferences
-            const userAllergies = userData?.bodyData?.allergies || [];
-            const userLikes = userData?.bodyData?.foodLikes || [];
-            const userDislikes = userData?.bodyData?.foodDislikes || [];
-            
-            // Filter out meals containing allergens or disliked foods
-            const safeMatchingMeals = [];
-            
-            for (const meal of matchingMeals) {
-              // Skip meals the user dislikes
-              const mealName = meal.meal.strMeal.toLowerCase();
-              const isDisliked = userDislikes.some(food => 
-                mealName.includes(food.toLowerCase()) || 
-                food.toLowerCase().includes(mealName)
-              );
-              
-              if (isDisliked) continue;
-              
-              // Check for allergens
-              if (userAllergies.length > 0) {
-                const allergenCheck = await checkMealForAllergens(meal.meal.strMeal, userAllergies);
-                if (allergenCheck.safe === false) continue;
-              }
-              
-              // Mark if it's a preferred food
-              const isLiked = userLikes.some(food => 
-                mealName.includes(food.toLowerCase()) || 
-                food.toLowerCase().includes(mealName)
-              );
-              
-              safeMatchingMeals.push({
-                ...meal,
-                isLiked
-              });
-            }
-            
-            // Sort preferred meals first
-            safeMatchingMeals.sort((a, b) => {
-              if (a.isLiked && !b.isLiked) return -1;
-              if (!a.isLiked && b.isLiked) return 1;
-              return 0;
-            });
-            
-            // Get top 5 matches
-            const topMeals = safeMatchingMeals.slice(0, 5);
-            
-            if (topMeals.length > 0) {
-              // Build prompt with meal suggestions
-              let mealSuggestions = `## MEAL SUGGESTIONS FOR ${mealTime.toUpperCase()}\n`;
-              topMeals.forEach((meal, index) => {
-                mealSuggestions += `${index + 1}. ${meal.meal.strMeal} (${meal.nutrition.calories} calories, ` +
-                  `${meal.nutrition.protein}g protein, ${meal.nutrition.carbs}g carbs, ` +
-                  `${meal.nutrition.fat}g fat)${meal.isLiked ? ' - One of your favorites!' : ''}\n`;
-              });
-              
-              const prompt = `
-                You are Coach X, a personalized nutrition coach.
-                
-                ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
-                
-                ## NUTRITION REQUIREMENTS FOR ${mealTime.toUpperCase()}
-                The user needs approximately:
-                - ${mealRequirements.calories} calories
-                - ${mealRequirements.protein}g protein
-                - ${mealRequirements.carbs}g carbs
-                - ${mealRequirements.fat}g fat
-                
-                ${mealSuggestions}
-                
-                ## USER QUERY
-                ${message}
-                
-                ## INSTRUCTIONS
-                - Recommend 2-3 of these meal options for the user's ${mealTime}
-                - Explain briefly why they match their nutritional needs
-                - If you see any favorites marked, emphasize those
-                - Keep your response friendly and concise
-                
-                ## YOUR RESPONSE
-              `;
-              
-              const response = await ollama.generateResponse(prompt);
-              return res.json({ response });
-            } else {
-              // No matching meals found - suggest alternatives
-              const prompt = `
-                You are Coach X, a personalized nutrition coach.
-                
-                ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
-                
-                ## NUTRITION REQUIREMENTS FOR ${mealTime.toUpperCase()}
-                The user needs approximately:
-                - ${mealRequirements.calories} calories
-                - ${mealRequirements.protein}g protein
-                - ${mealRequirements.carbs}g carbs
-                - ${mealRequirements.fat}g fat
-                
-                I couldn't find specific meals in our database that match these requirements exactly.
-                
-                ## USER QUERY
-                ${message}
-                
-                ## INSTRUCTIONS
-                - Explain that you don't have specific meal matches in the database
-                - Suggest 2-3 general meal ideas that would fit these nutritional requirements
-                - Keep your response friendly and helpful
-                
-                ## YOUR RESPONSE
-              `;
-              
-              const response = await ollama.generateResponse(prompt);
-              return res.json({ response });
-            }
-          } else {
-            // No nutrition data found
-            const prompt = `
-              You are Coach X, a personalized nutrition coach.
-              
-              ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
-              
-              I don't have your personalized nutrition data yet.
-              
-              ## USER QUERY
-              ${message}
-              
-              ## INSTRUCTIONS
-              - Explain that you need to calculate their nutritional needs first
-              - Encourage them to complete their profile with height, weight, activity level, and goals
-              - Offer some general healthy ${mealTime} suggestions based on their profile
-              
-              ## YOUR RESPONSE
-            `;
-            
-            const response = await ollama.generateResponse(prompt);
-            return res.json({ response });
-          }
-        } catch (error) {
-          console.error('Error handling meal suggestion:', error);
-          // Continue to general chat if there's an error
-        }
-      }
+    res.json({ ...activePlan, today: planStore.getPlanDay(activePlan, foodDiary.toDateKey()) });
+  } catch (error) {
+    console.error('Error fetching active plan:', error);
+    res.status(500).json({ error: 'Failed to fetch active plan', message: error.message });
+  }
+});
+
+// Regenerate one day of the active plan ({ part: 'workout' | 'meals' | 'both', request }), saved as a new version
+app.post('/api/users/:userId/plans/active/days/:day/regenerate', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { part = 'both', request = '' } = req.body || {};
+    const day = parseInt(req.params.day);
+    
+    if (!PLAN_DAY_PARTS.includes(part)) {
+      return res.status(400).json({ error: `part must be one of ${PLAN_DAY_PARTS.join(', ')}` });
     }
     
-    // PRIORITY 2: Handle nutrition queries
-    if (isNutritionQuery(message)) {
-      const mealName = extractMealName(message);
-      
-      if (mealName) {
-        // Load nutrition data
-        const nutritionData = JSON.parse(
-          fs.readFileSync(path.join(__dirname, 'data', 'meals_nutrition.json'), 'utf8')
-        );
-        
-        // Find matching meals
-        const matchingMeals = nutritionData.filter(item => 
-          item.meal.strMeal.toLowerCase().includes(mealName.toLowerCase())
-        );
-        
-        if (matchingMeals.length > 0) {
-          // Check for allergies in the meal
-          const allergyWarnings = userAllergies.length > 0 ? 
-            await checkMealForAllergens(matchingMeals[0].meal.strMeal, userAllergies) : [];
-          
-          // Check if this is a liked or disliked food
-          const isLiked = foodLikes.some(food => 
-            food.toLowerCase().includes(mealName.toLowerCase()) ||
-            mealName.toLowerCase().includes(food.toLowerCase())
-          );
-          
-          const isDisliked = foodDislikes.some(food => 
-            food.toLowerCase().includes(mealName.toLowerCase()) ||
-            mealName.toLowerCase().includes(food.toLowerCase())
-          );
-          
-          // Build nutrition-focused prompt
-          let nutritionInfo = "## NUTRITION DATA\n";
-          matchingMeals.forEach(meal => {
-            nutritionInfo += `${meal.meal.strMeal}: ${meal.nutrition.calories} calories, ` +
-              `${meal.nutrition.protein}g protein, ${meal.nutrition.carbs}g carbs, ` +
-              `${meal.nutrition.fat}g fat\n`;
-          });
-          
-          let prompt = `
-            You are Coach X, a personal nutrition coach.
-            
-            ${userData ? `## USER INFO\n${userData.firstName || 'User'}, ${userData.bodyData?.gender || ''}, ${userData.bodyData?.age || ''} years old` : ''}
-            
-            ${nutritionInfo}
-            
-            ${allergyWarnings.length > 0 ? 
-              `## ALLERGY WARNING\nThis meal contains ingredients the user is allergic to: ${allergyWarnings.join(', ')}.\nBegin your response with this allergy warning.` : ''}
-              
-            ${isLiked ? `## USER PREFERENCE\nThe user has marked this food as one they like.` : ''}
-            ${isDisliked ? `## USER PREFERENCE\nThe user has marked this food as one they dislike.` : ''}
-            
-            ## INSTRUCTIONS
-            - Provide the EXACT nutrition values shown above
-            ${allergyWarnings.length > 0 ? '- Start with a clear allergy warning' : ''}
-            ${isLiked ? '- Mention that this is one of their favorite foods' : ''}
-            ${isDisliked ? '- Note that they usually avoid this food, but provide nutrition data anyway' : ''}
-            - Keep your response concise and focused on the nutrition information
-            
-            ## USER QUERY
-            ${message}
-            
-            ## YOUR RESPONSE
-          `;
-          
-          const response = await ollama.generateResponse(prompt);
-          return res.json({ response });
+    const activePlan = await planStore.getActivePlan(userId);
+    if (!activePlan) {
+      return res.status(404).json({ error: 'No active plan' });
+    }
+    
+    const workoutDay = activePlan.plan.workoutPlan.find(entry => entry.day === day);
+    const mealDay = activePlan.plan.mealPlan.find(entry => entry.day === day);
+    if (!workoutDay && !mealDay) {
+      return res.status(404).json({ error: `Day ${req.params.day} is not in the plan` });
+    }
+    
+    const userData = await firebase.getUserData(userId);
+    const exerciseCatalog = activePlan.exerciseCatalog || [];
+    const prompt = promptTemplates.buildPlanDayPrompt(userData || {}, activePlan.plan, day, { part, exerciseCatalog, request });
+    
+    const result = await fitnessPlan.generateValidatedDay(prompt, { exerciseCatalog });
+    
+    if (!result.valid) {
+      return res.status(422).json({
+        error: 'Generated plan day failed validation',
+        attempts: result.attempts,
+        validation: {
+          valid: false,
+          errors: result.errors
         }
+      });
+    }
+    
+    // Check the new meals before they replace ones the user could eat
+    const avoidedMeals = part !== 'workout' && mealDay ? await findAvoidedPlanMeals(result.plan.meals, userData?.bodyData) : [];
+    if (avoidedMeals.length > 0) {
+      return res.status(422).json({
+        error: 'Generated plan day contains foods the user is allergic to or dislikes',
+        attempts: result.attempts,
+        meals: avoidedMeals
+      });
+    }
+    
+    const plan = planStore.replaceDay(activePlan.plan, day, {
+      workout: part !== 'meals' && workoutDay ? result.plan.workout : null,
+      meals: part !== 'workout' && mealDay ? result.plan.meals : null
+    });
+    
+    const saved = await planStore.savePlan(userId, plan, {
+      change: `regenerated day ${day} (${part})`,
+      parentId: activePlan.id,
+      startDate: activePlan.startDate,
+      exerciseCatalog
+    });
+    
+    const newMealDay = plan.mealPlan.find(entry => entry.day === day);
+    res.json({
+      planId: saved.id,
+      version: saved.version,
+      parentId: activePlan.id,
+      day,
+      part,
+      workout: plan.workoutPlan.find(entry => entry.day === day) || null,
+      meals: newMealDay || null,
+      dayTotals: {
+        before: mealDay ? planStore.getMealDayTotals(mealDay) : null,
+        after: newMealDay ? planStore.getMealDayTotals(newMealDay) : null
       }
+    });
+  } catch (error) {
+    console.error('Error regenerating plan day:', error);
+    res.status(500).json({ error: 'Failed to regenerate plan day', message: error.message });
+  }
+});
+
+// Swap one meal ({ type: 'meal', day, slot, index, idMeal }) or exercise ({ type: 'exercise', day, exercise, replacement })
+// in the active plan, keeping the rest of the plan; saved as a new version
+app.post('/api/users/:userId/plans/active/swap', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type } = req.body || {};
+    const day = parseInt(req.body?.day);
+    
+    if (!['meal', 'exercise'].includes(type)) {
+      return res.status(400).json({ error: 'type must be meal or exercise' });
+    }
+    
+    const activePlan = await planStore.getActivePlan(userId);
+    if (!activePlan) {
+      return res.status(404).json({ error: 'No active plan' });
     }
     
-    // PRIORITY 3: Handle specific exercise questions
-    if (isSpecificExerciseQuery(message)) {
-      console.log('Detected specific exercise query');
+    const exerciseCatalog = activePlan.exerciseCatalog || [];
+    let replacement;
+    let swap;
+    
+    if (type === 'meal') {
+      const { slot, idMeal = null } = req.body;
+      const index = parseInt(req.body.index) || 0;
+      const mealDay = activePlan.plan.mealPlan.find(entry => entry.day === day);
       
-      // Extract exercise name
-      const exerciseName = extractExerciseName(message);
-      console.log(`Looking up exercise: ${exerciseName}`);
+      if (!PLAN_MEAL_SLOTS.includes(slot)) {
+        return res.status(400).json({ error: `slot must be one of ${PLAN_MEAL_SLOTS.join(', ')}` });
+      }
+      if (!mealDay) {
+        return res.status(404).json({ error: `Day ${req.body.day} is not in the meal plan` });
+      }
       
-      if (exerciseName) {
-        // Get exercise information
-        const exerciseInfo = await getExerciseInfo(exerciseName);
-        
-        if (exerciseInfo.found) {
-          const exercise = exerciseInfo.exercise;
-          
-          const prompt = `
-            You are Coach X, a certified personal trainer and exercise specialist.
-            
-            ## EXERCISE INFORMATION
-            Name: ${exercise.name}
-            Description: ${exercise.description}
-            Primary Muscles: ${exercise.muscles.join(', ')}
-            Secondary Muscles: ${exercise.musclesSecondary.join(', ') || 'None'}
-            Equipment: ${exercise.equipment.join(', ') || 'Bodyweight'}
-            
-            ## USER QUERY
-            ${message}
-            
-            ## INSTRUCTIONS
-            - Provide detailed information about the ${exercise.name} exercise
-            - Explain proper form and technique in a step-by-step manner
-            - Describe common mistakes and how to avoid them
-            - Mention the primary muscles worked and benefits
-            - Provide any relevant safety tips
-            - Keep your response conversational and helpful
-            
-            ## YOUR RESPONSE
-          `;
-          
-          const response = await ollama.generateResponse(prompt);
-          return res.json({ response });
-        } else {
-          // Exercise not found in database
-          const prompt = `
-            You are Coach X, a certified personal trainer and exercise specialist.
-            
-            I don't have specific information about "${exerciseName}" in my exercise database.
-            
-            ## USER QUERY
-            ${message}
-            
-            ## INSTRUCTIONS
-            - Explain that you don't have detailed information about this specific exercise
-            - Provide general guidance about this type of exercise if you can recognize it
-            - Emphasize the importance of proper form and technique
-            - Suggest seeking guidance from a certified trainer for exercises you're unfamiliar with
-            - If this seems like a common exercise with a different name, suggest what it might be
-            
-            ## YOUR RESPONSE
-          `;
-          
-          const response = await ollama.generateResponse(prompt);
-          return res.json({ response });
-        }
+      const snacks = mealDay.snacks || [];
+      const currentMeal = slot === 'snacks' ? snacks[index] : mealDay[slot];
+      if (!currentMeal) {
+        return res.status(404).json({ error: `No ${slot === 'snacks' ? `snack ${index}` : slot} on day ${day}` });
       }
-    }
-    
-    // PRIORITY 4: Handle general queries with user context
-    // Build appropriate context from user data
-    const userContext = userData ? {
-      personalData: {
-        name: `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || 'User',
-        email: userData.email || '',
-        username: userData.username || '',
-      },
-      bodyData: userData.bodyData ? {
-        gender: userData.bodyData.gender || '',
-        age: calculateAge(userData.bodyData.dateOfBirth) || '',
-        weight: userData.bodyData.weight || '',
-        height: userData.bodyData.height || '',
-        activityLevel: userData.bodyData.activityLevel || '',
-        goal: userData.bodyData.goal || '',
-        allergies: userData.bodyData.allergies || [],
-        foodLikes: userData.bodyData.foodLikes || [],
-        foodDislikes: userData.bodyData.foodDislikes || [],
-      } : {},
-      workoutData: userData.workoutData || {}
-    } : {};
-    
-    // Build prompt with context
-    const prompt = `
-      You are Coach X, a personal fitness and nutrition coach.
       
-      ${userData ? `## USER PROFILE\n${JSON.stringify(userContext, null, 2)}` : ''}
+      const userData = await firebase.getUserData(userId);
+      const dayMealNames = [mealDay.breakfast, mealDay.lunch, mealDay.dinner, ...snacks].filter(Boolean).map(meal => meal.name);
+      const found = await findReplacementMeal(userData, currentMeal, { idMeal, excludeNames: dayMealNames });
       
-      ## INSTRUCTIONS
-      - Provide personalized advice based on the user's profile
-      - Keep responses concise and helpful
-      - If the user asks about foods they're allergic to, warn them
-      - Recommend foods they like and avoid suggesting foods they dislike
+      if (!found.found) {
+        return res.status(422).json({ error: 'No replacement meal available', reason: found.reason });
+      }
       
-      ## USER QUERY
-      ${message}
+      const newMealDay = slot === 'snacks' ?
+        { ...mealDay, snacks: snacks.map((snack, snackIndex) => snackIndex === index ? found.meal : snack) } :
+        { ...mealDay, [slot]: found.meal };
       
-      ## YOUR RESPONSE
-    `;
+      replacement = { meals: newMealDay };
+      swap = {
+        type,
+        day,
+        slot,
+        from: currentMeal,
+        to: found.meal,
+        dayTotals: { before: planStore.getMealDayTotals(mealDay), after: planStore.getMealDayTotals(newMealDay) }
+      };
+    } else {
+      const { exercise, index } = req.body;
+      const workoutDay = activePlan.plan.workoutPlan.find(entry => entry.day === day);
+      
+      if (!workoutDay) {
+        return res.status(404).json({ error: `Day ${req.body.day} is not in the workout plan` });
+      }
+      
+      const exercises = workoutDay.exercises || [];
+      const exerciseIndex = exercise ?
+        exercises.findIndex(item => item.name.toLowerCase() === String(exercise).toLowerCase()) :
+        parseInt(index);
+      const currentExercise = exercises[exerciseIndex];
+      
+      if (!currentExercise) {
+        return res.status(404).json({ error: `Exercise ${exercise || index} is not in day ${day}` });
+      }
+      
+      // Use the requested exercise, or the catalog exercise closest to the old one's primary muscles.
+      // Either way it must fit the equipment and fitness level the plan was built for.
+      const userData = await firebase.getUserData(userId);
+      const exerciseFilters = getExerciseFilters(userData?.workoutData);
+      let newName;
+      if (req.body.replacement) {
+        const [match] = await wger.searchExercises(req.body.replacement, 1);
+        if (!match) {
+          return res.status(404).json({ error: `Exercise not found: ${req.body.replacement}` });
+        }
+        
+        const [allowed] = await wger.searchExercises(req.body.replacement, 1, exerciseFilters);
+        if (allowed?.name !== match.name) {
+          return res.status(422).json({ error: `${match.name} needs equipment or a fitness level this plan is not built for` });
+        }
+        newName = match.name;
+      } else {
+        const [alternative] = wger.findAlternativeExercises(currentExercise.name, {
+          exclude: exercises.map(item => item.name),
+          ...exerciseFilters
+        });
+        if (!alternative) {
+          return res.status(422).json({ error: `No alternative found for ${currentExercise.name}` });
+        }
+        newName = alternative.name;
+      }
+      
+      // Keep the prescribed sets, reps and rest
+      const newExercise = { ...currentExercise, name: newName };
+      replacement = {
+        workout: { ...workoutDay, exercises: exercises.map((item, itemIndex) => itemIndex === exerciseIndex ? newExercise : item) }
+      };
+      swap = { type, day, from: currentExercise, to: newExercise };
+    }
     
-    const response = await ollama.generateResponse(prompt);
-    console.log("Sending response back to app");
-    return res.json({ response });
+    const saved = await planStore.savePlan(userId, planStore.replaceDay(activePlan.plan, day, replacement), {
+      change: `swapped ${swap.from.name} for ${swap.to.name} on day ${day}`,
+      parentId: activePlan.id,
+      startDate: activePlan.startDate,
+      exerciseCatalog: type === 'exercise' && exerciseCatalog.length > 0 && !exerciseCatalog.includes(swap.to.name) ?
+        [...exerciseCatalog, swap.to.name] : exerciseCatalog
+    });
     
+    res.json({ planId: saved.id, version: saved.version, parentId: activePlan.id, ...swap });
   } catch (error) {
-    console.error('Error handling chat:', error);
-    res.status(500).json({ 
-      error: 'Chat response failed', 
-      message: error.message 
-    });
+    console.error('Error swapping plan item:', error);
+    res.status(500).json({ error: 'Failed to swap plan item', message: error.message });
+  }
+});
+
+// Get a saved plan version
+app.get('/api/users/:userId/plans/:planId', async (req, res) => {
+  try {
+    const { userId, planId } = req.params;
+    const plan = await planStore.getPlan(userId, planId);
+    
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    console.error('Error fetching plan:', error);
+    res.status(500).json({ error: 'Failed to fetch plan', message: error.message });
+  }
+});
+
+// Make an earlier plan version the active plan again
+app.post('/api/users/:userId/plans/:planId/activate', async (req, res) => {
+  try {
+    const { userId, planId } = req.params;
+    const plan = await planStore.activatePlan(userId, planId);
+    
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    console.error('Error activating plan:', error);
+    res.status(500).json({ error: 'Failed to activate plan', message: error.message });
+  }
+});
+
+// Calculate a user's BMR, TDEE and daily macro targets from their body data
+app.get('/api/users/:userId/nutrition-targets', async (req, res) => {
+  try {
+    const userData = await firebase.getUserData(req.params.userId);
+    
+    if (!userData) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const { calculated: targets, trend } = await calculateTrendAdjustedTargets(req.params.userId, userData);
+    
+    if (!targets.hasData) {
+      return res.status(422).json({
+        error: 'Body data is incomplete',
+        missing: targets.missing
+      });
+    }
+    
+    const { hasData, ...result } = targets;
+    res.json({ ...result, trendAdjustment: trend.hasData ? trend.adjustment : null });
+  } catch (error) {
+    console.error('Error calculating nutrition targets:', error);
+    res.status(500).json({ error: 'Failed to calculate nutrition targets', message: error.message });
+  }
+});
+
+// List a user's conversations
+app.get('/api/users/:userId/conversations', async (req, res) => {
+  try {
+    const userConversations = await conversations.listConversations(req.params.userId);
+    res.json({ conversations: userConversations });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({ error: 'Failed to list conversations', message: error.message });
+  }
+});
+
+// Get a single conversation with its messages
+app.get('/api/users/:userId/conversations/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    const conversation = await conversations.getConversation(userId, conversationId);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    res.json(conversation);
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation', message: error.message });
+  }
+});
+
+// Clear all of a user's conversations
+app.delete('/api/users/:userId/conversations', async (req, res) => {
+  try {
+    await conversations.clearConversations(req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing conversations:', error);
+    res.status(500).json({ error: 'Failed to clear conversations', message: error.message });
+  }
+});
+
+// Delete a single conversation
+app.delete('/api/users/:userId/conversations/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    await conversations.clearConversations(userId, conversationId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation', message: error.message });
+  }
+});
+
+// List recent response guard interventions for review
+app.get('/api/guard-logs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const interventions = await responseGuard.getRecentInterventions(limit);
+    res.json({ interventions });
+  } catch (error) {
+    console.error('Error fetching guard logs:', error);
+    res.status(500).json({ error: 'Failed to fetch guard logs', message: error.message });
   }
 });
 
@@ -992,74 +2619,6 @@ app.listen(PORT, () => {
   console.log(`Fitness backend server running on port ${PORT}`);
 });
 
-// Function to detect workout-related questions
-function isWorkoutQuery(message) {
-  const messageLower = message.toLowerCase();
-  
-  const workoutPatterns = [
-    /workout for ([\w\s]+)/i,
-    /exercises? for ([\w\s]+)/i,
-    /how (to|do i|can i|should i) (train|work|exercise) (my )?([\w\s]+)/i,
-    /what (exercises?|workout|training) (for|to) ([\w\s]+)/i,
-    /(recommend|suggest) (a|some) (exercises?|workout) for ([\w\s]+)/i,
-    /help me (train|build|tone|strengthen) (my )?([\w\s]+)/i,
-    /best (exercises?|workout|training) for ([\w\s]+)/i,
-    /how (to|do i|can i) (gain muscle|lose weight|get stronger|build strength)/i,
-    /what (should|can) i do (at|in) (the )?(gym|home|outdoors)/i,
-    /workout plan/i,
-    /training (plan|program|routine|schedule)/i,
-    /fitness (plan|program|routine|schedule)/i,
-    /my (workout|exercise|training) (plan|routine)/i
-  ];
-  
-  return workoutPatterns.some(pattern => pattern.test(messageLower));
-}
-
-// Function to extract target muscle group from query
-function extractMuscleGroup(message) {
-  const messageLower = message.toLowerCase();
-  
-  // List of muscle groups to check for
-  const muscleGroups = [
-    "full body", "upper body", "lower body", "core", "arms", 
-    "chest", "back", "shoulders", "legs", "glutes", "abs",
-    "biceps", "triceps", "forearms", "quads", "hamstrings", "calves"
-  ];
-  
-  // Regex patterns for extracting muscle groups
-  const patterns = [
-    /workout for ([\w\s]+)/i,
-    /exercises? for ([\w\s]+)/i,
-    /how (to|do i|can i|should i) (train|work|exercise) (my )?([\w\s]+)/i,
-    /what (exercises?|workout|training) (for|to) ([\w\s]+)/i,
-    /(recommend|suggest) (a|some) (exercises?|workout) for ([\w\s]+)/i,
-    /help me (train|build|tone|strengthen) (my )?([\w\s]+)/i,
-    /best (exercises?|workout|training) for ([\w\s]+)/i
-  ];
-  
-  // Try to extract with patterns
-  for (const pattern of patterns) {
-    const match = messageLower.match(pattern);
-    if (match) {
-      const potentialMuscle = match[match.length - 1].trim();
-      // Return if it matches a known muscle group
-      if (muscleGroups.some(muscle => potentialMuscle.includes(muscle))) {
-        return potentialMuscle;
-      }
-    }
-  }
-  
-  // If no extraction pattern worked, check for direct mentions
-  for (const muscleGroup of muscleGroups) {
-    if (messageLower.includes(muscleGroup)) {
-      return muscleGroup;
-    }
-  }
-  
-  // Default to full body if no specific muscle group found
-  return null;
-}
-
 // Function to get workout recommendations
 async function getWorkoutRecommendations(userId, muscleGroup = null) {
   try {
@@ -1078,93 +2637,24 @@ async function getWorkoutRecommendations(userId, muscleGroup = null) {
     let exercises = [];
     
     // Determine level for WGER API
-    let difficultyLevel = 1; // Default to beginner
-    if (workoutData.fitnessLevel === "Intermediate") difficultyLevel = 2;
-    if (workoutData.fitnessLevel === "Advanced") difficultyLevel = 3;
+    const difficultyLevel = fitnessLevels.getMaxDifficulty(workoutData.fitnessLevel);
     
     // Target specific muscle group if provided, otherwise use user preferences
     let targetMuscleGroups = [];
     if (muscleGroup) {
-      // Map the extracted muscle group to WGER categories
-      const muscleMapping = {
-        "full body": [1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
-        "upper body": [1, 2, 4, 5, 6, 8, 9, 10, 11, 12, 13],
-        "lower body": [7, 8, 10, 14, 15],
-        "core": [6, 14],
-        "arms": [1, 5, 13],
-        "chest": [4, 9],
-        "back": [3, 12],
-        "shoulders": [2, 9],
-        "legs": [7, 8, 10, 15],
-        "glutes": [8],
-        "abs": [6],
-        "biceps": [1],
-        "triceps": [5],
-        "forearms": [13],
-        "quads": [10],
-        "hamstrings": [11],
-        "calves": [7]
-      };
-      
-      targetMuscleGroups = muscleMapping[muscleGroup] || [];
+      targetMuscleGroups = muscles.getMuscleIds(muscleGroup);
     } else if (workoutData.muscleGroups && workoutData.muscleGroups.length > 0) {
-      // Map user's selected muscle groups to WGER categories
-      const muscleMappingFromUser = {
-        "Full body": [1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
-        "Upper body": [1, 2, 4, 5, 6, 8, 9, 10, 11, 12, 13],
-        "Lower body": [7, 8, 10, 14, 15],
-        "Core": [6, 14],
-        "Arms": [1, 5, 13],
-        "Chest": [4, 9],
-        "Back": [3, 12],
-        "Shoulders": [2, 9],
-        "Legs": [7, 8, 10, 15],
-        "Glutes": [8]
-      };
-      
-      // Combine all selected muscle groups
-      workoutData.muscleGroups.forEach(group => {
-        const muscleIds = muscleMappingFromUser[group] || [];
-        targetMuscleGroups = [...targetMuscleGroups, ...muscleIds];
-      });
-      
-      // Remove duplicates
-      targetMuscleGroups = [...new Set(targetMuscleGroups)];
+      // Combine all of the user's selected muscle groups
+      targetMuscleGroups = muscles.getMuscleIds(workoutData.muscleGroups);
     }
     
     // Default to full body if no muscle groups specified
     if (targetMuscleGroups.length === 0) {
-      targetMuscleGroups = [1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
-    }
-    
-    // Filter equipment based on user preferences
-    let availableEquipment = [];
-    if (workoutData.equipment && workoutData.equipment.length > 0) {
-      // Map from user-friendly names to WGER equipment IDs
-      const equipmentMapping = {
-        "Bodyweight only": [7],
-        "Dumbbells": [3],
-        "Barbell": [1],
-        "Machines": [4, 5, 6, 10],
-        "Resistance bands": [9],
-        "Kettlebells": [10],
-        "TRX/Suspension": [6],
-        "Medicine ball": [2],
-        "Stability ball": [8]
-      };
-      
-      workoutData.equipment.forEach(equip => {
-        const equipIds = equipmentMapping[equip] || [];
-        availableEquipment = [...availableEquipment, ...equipIds];
-      });
-      
-      availableEquipment = [...new Set(availableEquipment)];
+      targetMuscleGroups = muscles.getMuscleIds('full body');
     }
     
-    // If no equipment is specified, default to bodyweight
-    if (availableEquipment.length === 0) {
-      availableEquipment = [7]; // Bodyweight
-    }
+    // Map the user's equipment to WGER equipment IDs (bodyweight is always included)
+    const availableEquipment = wger.getEquipmentIds(workoutData.equipment || []);
     
     // Use WGER API to get exercises that match user's criteria
     exercises = await wger.getExercises({
@@ -1174,37 +2664,7 @@ async function getWorkoutRecommendations(userId, muscleGroup = null) {
     });
     
     // Calculate appropriate sets, reps, and rest based on fitness goal and level
-    let setsRepsRest = {
-      sets: 3,
-      minReps: 8,
-      maxReps: 12,
-      rest: 60
-    };
-    
-    if (workoutData.fitnessGoal === "Weight loss") {
-      setsRepsRest = {
-        sets: 3,
-        minReps: 12,
-        maxReps: 15,
-        rest: 45
-      };
-    } else if (workoutData.fitnessGoal === "Muscle gain") {
-      setsRepsRest = {
-        sets: 4,
-        minReps: 8,
-        maxReps: 12,
-        rest: 90
-      };
-    }
-    
-    // Adjust based on fitness level
-    if (workoutData.fitnessLevel === "Beginner") {
-      setsRepsRest.sets = Math.max(2, setsRepsRest.sets - 1);
-      setsRepsRest.rest += 15;
-    } else if (workoutData.fitnessLevel === "Advanced") {
-      setsRepsRest.sets = Math.min(5, setsRepsRest.sets + 1);
-      setsRepsRest.rest -= 15;
-    }
+    const setsRepsRest = getSetsRepsRest(workoutData);
     
     return {
       hasData: true,
@@ -1223,54 +2683,88 @@ async function getWorkoutRecommendations(userId, muscleGroup = null) {
   }
 }
 
-// Function to detect specific exercise questions
-function isSpecificExerciseQuery(message) {
-  const messageLower = message.toLowerCase();
+// Function to calculate sets, reps and rest from the user's fitness goal and level
+function getSetsRepsRest(workoutData = {}) {
+  let setsRepsRest = {
+    sets: 3,
+    minReps: 8,
+    maxReps: 12,
+    rest: 60
+  };
+  
+  if (workoutData.fitnessGoal === "Weight loss") {
+    setsRepsRest = {
+      sets: 3,
+      minReps: 12,
+      maxReps: 15,
+      rest: 45
+    };
+  } else if (workoutData.fitnessGoal === "Muscle gain") {
+    setsRepsRest = {
+      sets: 4,
+      minReps: 8,
+      maxReps: 12,
+      rest: 90
+    };
+  }
+  
+  // Adjust based on fitness level
+  if (workoutData.fitnessLevel === "Beginner") {
+    setsRepsRest.sets = Math.max(2, setsRepsRest.sets - 1);
+    setsRepsRest.rest += 15;
+  } else if (workoutData.fitnessLevel === "Advanced") {
+    setsRepsRest.sets = Math.min(5, setsRepsRest.sets + 1);
+    setsRepsRest.rest -= 15;
+  }
   
-  const exercisePatterns = [
-    /how (to|do i) do (a |an )?([\w\s\-]+)/i,
-    /correct form for ([\w\s\-]+)/i,
-    /technique for ([\w\s\-]+)/i,
-    /proper way to do ([\w\s\-]+)/i,
-    /form check for ([\w\s\-]+)/i,
-    /is my ([\w\s\-]+) form correct/i,
-    /what muscles does ([\w\s\-]+) work/i,
-    /what are the benefits of ([\w\s\-]+)/i,
-    /is ([\w\s\-]+) good for ([\w\s\-]+)/i,
-    /alternative to ([\w\s\-]+)/i,
-    /replace ([\w\s\-]+) with/i
-  ];
-  
-  return exercisePatterns.some(pattern => pattern.test(messageLower));
+  return setsRepsRest;
 }
 
-// Function to extract exercise name from query
-function extractExerciseName(message) {
-  const messageLower = message.toLowerCase();
+// Function to generate a chat reply that remembers the conversation.
+// Streams tokens to onToken when it is provided; task picks the model (the chat intent).
+async function generateWithMemory(prompt, conversation, onToken = null, signal = null, task = 'chat') {
+  const generate = (fullPrompt, context = null, history = []) => onToken ?
+    llm.streamResponse(fullPrompt, onToken, context, signal, { task, history }) :
+    llm.generateResponseWithContext(fullPrompt, context, { task, history });
   
-  const patterns = [
-    /how (to|do i) do (a |an )?([\w\s\-]+)/i,
-    /correct form for ([\w\s\-]+)/i,
-    /technique for ([\w\s\-]+)/i,
-    /proper way to do ([\w\s\-]+)/i,
-    /form check for ([\w\s\-]+)/i,
-    /is my ([\w\s\-]+) form correct/i,
-    /what muscles does ([\w\s\-]+) work/i,
-    /what are the benefits of ([\w\s\-]+)/i,
-    /is ([\w\s\-]+) good for ([\w\s\-]+)/i,
-    /alternative to ([\w\s\-]+)/i,
-    /replace ([\w\s\-]+) with/i
-  ];
+  if (!conversation) {
+    return generate(prompt);
+  }
   
-  for (const pattern of patterns) {
-    const match = messageLower.match(pattern);
-    if (match) {
-      const exerciseName = match[match.length - (pattern.toString().includes('good for') ? 2 : 1)].trim();
-      return exerciseName;
-    }
+  if (CHAT_MEMORY_MODE === 'context' && llm.supportsContext()) {
+    return generate(prompt, conversation.context);
   }
   
-  return null;
+  // Chat-format providers get the previous messages as messages
+  if (llm.supportsMessages()) {
+    const { response } = await generate(prompt, null, conversation.history);
+    return { response, context: null };
+  }
+  
+  // Prepend a windowed transcript of the previous messages
+  const transcript = conversations.buildTranscript(conversation.history);
+  const { response } = await generate(`${transcript}\n${prompt}`);
+  return { response, context: null };
+}
+
+// Function to turn workout recommendations into a structured session
+function buildWorkoutSession(recommendations, maxExercises = 6) {
+  const { workoutData, exercises, setsRepsRest, muscleGroup } = recommendations;
+  
+  return {
+    focus: muscleGroup,
+    fitnessLevel: workoutData.fitnessLevel || 'Beginner',
+    fitnessGoal: workoutData.fitnessGoal || 'General fitness',
+    exercises: exercises.slice(0, maxExercises).map(exercise => ({
+      id: exercise.id,
+      name: exercise.name,
+      muscles: exercise.muscles || [],
+      equipment: exercise.equipment || [],
+      sets: setsRepsRest.sets,
+      reps: `${setsRepsRest.minReps}-${setsRepsRest.maxReps}`,
+      rest: `${setsRepsRest.rest}s`
+    }))
+  };
 }
 
 // Function to get specific exercise information
@@ -1298,25 +2792,3 @@ async function getExerciseInfo(exerciseName) {
   }
 }
 
-// Function to detect greeting messages
-function isGreeting(message) {
-  const messageLower = message.toLowerCase().trim();
-  const greetingPatterns = [
-    /^hi$/i,
-    /^hello$/i,
-    /^hey$/i,
-    /^hi there$/i,
-    /^hello there$/i,
-    /^greetings$/i,
-    /^good (morning|afternoon|evening)$/i,
-    /^what'?s up$/i,
-    /^yo$/i,
-    /^howdy$/i,
-    /^hola$/i,
-    /^bonjour$/i,
-    /^sup$/i,
-    /^start$/i
-  ];
-  
-  return greetingPatterns.some(pattern => pattern.test(messageLower));
-}
@@ -0,0 +1,340 @@
+/**
+ * Allergen taxonomy and ingredient-level allergen matching
+ */
+
+// Major allergen families. `aliases` are what users call the allergy, including category
+// words such as "cheese" that cover the whole family, `terms` are ingredient words that
+// contain it, and `excludes` are phrases that look like a term but are free of the
+// allergen (e.g. "coconut milk" for milk).
+const ALLERGEN_FAMILIES = {
+  milk: {
+    label: 'Milk / dairy',
+    aliases: ['milk', 'dairy', 'lactose', 'casein', 'whey', 'cow milk', 'cows milk', 'cheese', 'milk protein'],
+    terms: [
+      'milk', 'butter', 'buttermilk', 'ghee', 'cream', 'creme fraiche', 'sour cream', 'yogurt', 'yoghurt',
+      'cheese', 'cheddar', 'parmesan', 'parmigiano', 'pecorino', 'mozzarella', 'ricotta', 'mascarpone',
+      'feta', 'brie', 'camembert', 'gruyere', 'emmental', 'stilton', 'gorgonzola', 'halloumi', 'paneer',
+      'quark', 'fromage frais', 'monterey jack', 'colby jack', 'custard', 'ice cream', 'whey', 'casein',
+      'lactose', 'curd', 'evaporated milk', 'condensed milk', 'double cream', 'single cream', 'kefir'
+    ],
+    excludes: [
+      'coconut milk', 'coconut cream', 'almond milk', 'soy milk', 'soya milk', 'oat milk', 'rice milk',
+      'cocoa butter', 'peanut butter', 'almond butter', 'butternut', 'butter beans', 'butter bean',
+      'cream of tartar', 'bean curd', 'lemon curd', 'dairy free', 'vegan'
+    ]
+  },
+  eggs: {
+    label: 'Eggs',
+    aliases: ['egg', 'eggs'],
+    terms: [
+      'egg', 'egg white', 'egg yolk', 'egg noodles', 'mayonnaise', 'mayo', 'meringue', 'aioli',
+      'hollandaise', 'albumen', 'custard'
+    ],
+    excludes: ['eggplant', 'egg free', 'vegan mayonnaise']
+  },
+  peanuts: {
+    label: 'Peanuts',
+    aliases: ['peanut', 'peanuts', 'groundnut', 'groundnuts', 'nut', 'nuts'],
+    terms: ['peanut', 'peanuts', 'peanut butter', 'peanut oil', 'groundnut', 'satay', 'monkey nuts'],
+    excludes: []
+  },
+  treeNuts: {
+    label: 'Tree nuts',
+    aliases: ['tree nut', 'tree nuts', 'nut', 'nuts'],
+    terms: [
+      'almond', 'almonds', 'ground almonds', 'flaked almonds', 'marzipan', 'amaretto', 'walnut', 'walnuts',
+      'pecan', 'pecans', 'cashew', 'cashews', 'pistachio', 'pistachios', 'hazelnut', 'hazelnuts',
+      'macadamia', 'brazil nut', 'brazil nuts', 'pine nut', 'pine nuts', 'chestnut', 'chestnuts',
+      'praline', 'frangipane', 'nutella', 'pesto', 'nut', 'nuts', 'mixed nuts'
+    ],
+    excludes: ['water chestnut', 'water chestnuts', 'nutmeg', 'butternut', 'coconut', 'doughnut', 'donut', 'peanut', 'peanuts', 'monkey nuts']
+  },
+  fish: {
+    label: 'Fish',
+    aliases: ['fish', 'seafood', 'sea food', 'finfish', 'fin fish', 'white fish', 'oily fish'],
+    terms: [
+      'fish', 'salmon', 'tuna', 'cod', 'haddock', 'hake', 'pollock', 'mackerel', 'sardine', 'sardines',
+      'anchovy', 'anchovies', 'trout', 'herring', 'kipper', 'kippers', 'sea bass', 'bass', 'halibut',
+      'monkfish', 'tilapia', 'sole', 'plaice', 'swordfish', 'snapper', 'bream', 'catfish', 'carp',
+      'eel', 'fish sauce', 'fish stock', 'worcestershire sauce', 'caesar dressing', 'bonito', 'dashi', 'seafood'
+    ],
+    excludes: []
+  },
+  shellfish: {
+    label: 'Shellfish',
+    aliases: ['shellfish', 'shell fish', 'crustacean', 'crustaceans', 'mollusc', 'molluscs', 'mollusk', 'mollusks', 'seafood', 'sea food'],
+    terms: [
+      'shellfish', 'prawn', 'prawns', 'king prawns', 'tiger prawns', 'shrimp', 'shrimps', 'crab',
+      'crab meat', 'lobster', 'langoustine', 'crayfish', 'scallop', 'scallops', 'mussel', 'mussels',
+      'clam', 'clams', 'oyster', 'oysters', 'oyster sauce', 'squid', 'calamari', 'octopus', 'cockle',
+      'cockles', 'whelk', 'whelks', 'shrimp paste', 'seafood'
+    ],
+    excludes: ['oyster mushroom', 'oyster mushrooms']
+  },
+  wheat: {
+    label: 'Wheat',
+    aliases: ['wheat'],
+    terms: [
+      'wheat', 'flour', 'plain flour', 'self raising flour', 'bread', 'breadcrumbs', 'panko', 'pasta',
+      'spaghetti', 'penne', 'fusilli', 'linguine', 'tagliatelle', 'fettuccine', 'lasagne', 'lasagne sheets',
+      'macaroni', 'rigatoni', 'farfalle', 'noodles', 'egg noodles', 'udon', 'couscous', 'bulgur', 'semolina',
+      'tortilla', 'tortillas', 'pitta', 'pita', 'naan', 'puff pastry', 'shortcrust pastry', 'filo pastry',
+      'pastry', 'biscuits', 'digestive biscuits', 'crackers', 'croutons', 'soy sauce', 'spelt', 'durum'
+    ],
+    excludes: [
+      'buckwheat', 'rice flour', 'corn flour', 'cornflour', 'gram flour', 'chickpea flour', 'almond flour',
+      'coconut flour', 'rice noodles', 'glass noodles', 'corn tortilla', 'corn tortillas', 'gluten free'
+    ]
+  },
+  gluten: {
+    label: 'Gluten',
+    aliases: ['gluten', 'coeliac', 'celiac'],
+    terms: [
+      'wheat', 'barley', 'pearl barley', 'rye', 'spelt', 'kamut', 'triticale', 'malt', 'oats', 'oat',
+      'flour', 'plain flour', 'self raising flour', 'bread', 'breadcrumbs', 'panko', 'pasta', 'spaghetti',
+      'penne', 'fusilli', 'linguine', 'tagliatelle', 'fettuccine', 'lasagne', 'lasagne sheets', 'macaroni',
+      'rigatoni', 'farfalle', 'noodles', 'egg noodles', 'udon', 'couscous', 'bulgur', 'semolina', 'tortilla',
+      'tortillas', 'pitta', 'pita', 'naan', 'puff pastry', 'shortcrust pastry', 'filo pastry', 'pastry',
+      'biscuits', 'digestive biscuits', 'crackers', 'croutons', 'soy sauce', 'beer', 'stout', 'ale', 'durum'
+    ],
+    excludes: [
+      'buckwheat', 'rice flour', 'corn flour', 'cornflour', 'gram flour', 'chickpea flour', 'almond flour',
+      'coconut flour', 'rice noodles', 'glass noodles', 'corn tortilla', 'corn tortillas', 'gluten free'
+    ]
+  },
+  soy: {
+    label: 'Soy',
+    aliases: ['soy', 'soya', 'soybean', 'soybeans'],
+    terms: [
+      'soy', 'soya', 'soy sauce', 'soya sauce', 'dark soy sauce', 'light soy sauce', 'tamari', 'tofu',
+      'bean curd', 'tempeh', 'edamame', 'miso', 'soybean', 'soybeans', 'soya beans', 'soy milk', 'soya milk',
+      'hoisin sauce', 'teriyaki sauce'
+    ],
+    excludes: []
+  },
+  sesame: {
+    label: 'Sesame',
+    aliases: ['sesame', 'sesame seed', 'sesame seeds'],
+    terms: ['sesame', 'sesame seed', 'sesame seeds', 'sesame oil', 'tahini', 'hummus', 'houmous', 'halva', 'za atar'],
+    excludes: []
+  },
+  mustard: {
+    label: 'Mustard',
+    aliases: ['mustard'],
+    terms: ['mustard', 'dijon mustard', 'english mustard', 'wholegrain mustard', 'mustard seeds', 'mustard powder'],
+    excludes: ['mustard greens']
+  },
+  celery: {
+    label: 'Celery',
+    aliases: ['celery', 'celeriac'],
+    terms: ['celery', 'celeriac', 'celery salt', 'celery seed', 'celery seeds'],
+    excludes: []
+  },
+  sulphites: {
+    label: 'Sulphites',
+    aliases: ['sulphite', 'sulphites', 'sulfite', 'sulfites'],
+    terms: ['wine', 'red wine', 'white wine', 'dry white wine', 'sherry', 'port', 'vinegar', 'balsamic vinegar', 'dried apricots', 'sultanas', 'raisins'],
+    excludes: ['rice vinegar']
+  },
+  lupin: {
+    label: 'Lupin',
+    aliases: ['lupin', 'lupine'],
+    terms: ['lupin', 'lupine', 'lupin flour'],
+    excludes: []
+  }
+};
+
+// Words around an allergy that don't name the allergen (e.g. "peanut allergy", "lactose intolerant")
+const ALLERGY_FILLER_WORDS = [
+  'allergy', 'allergies', 'allergic', 'intolerance', 'intolerant', 'sensitivity', 'sensitive',
+  'product', 'products', 'to', 'of', 'and', 'i', 'am', 'im', 'an', 'a', 'severe', 'mild'
+];
+
+/**
+ * Normalize text for matching: lowercase letters and single spaces only
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a pattern for a normalized term that matches its singular and plural forms
+ * @param {string} normalizedTerm - Normalized term (e.g. 'mushrooms', 'berry')
+ * @returns {string} - Regular expression source (e.g. 'mushroom(s|es)?', 'berr(y|ies)')
+ */
+function termPattern(normalizedTerm) {
+  if (/[^aeiou]ies$/.test(normalizedTerm)) {
+    return `${escapeRegExp(normalizedTerm.slice(0, -3))}(y|ies)`;
+  }
+  if (/[^aeiou]y$/.test(normalizedTerm)) {
+    return `${escapeRegExp(normalizedTerm.slice(0, -1))}(y|ies)`;
+  }
+  if (/(s|x|z|ch|sh|o)es$/.test(normalizedTerm)) {
+    return `${escapeRegExp(normalizedTerm.slice(0, -2))}(es)?`;
+  }
+  if (/[^s]s$/.test(normalizedTerm)) {
+    return `${escapeRegExp(normalizedTerm.slice(0, -1))}(s|es)?`;
+  }
+  return `${escapeRegExp(normalizedTerm)}(s|es)?`;
+}
+
+/**
+ * Check whether normalized text contains a term as whole words, in its singular or plural form
+ * @param {string} text - Normalized text
+ * @param {string} term - Term to look for
+ * @returns {boolean} - True if the term appears on word boundaries
+ */
+function containsTerm(text, term) {
+  const normalizedTerm = normalizeText(term);
+  if (!normalizedTerm) return false;
+  return new RegExp(`(^| )${termPattern(normalizedTerm)}( |$)`).test(text);
+}
+
+/**
+ * Remove phrases that look like allergen terms but are free of the allergen
+ * @param {string} text - Normalized text
+ * @param {Array<string>} excludes - Phrases to remove
+ * @returns {string} - Text without the excluded phrases
+ */
+function removeExcludes(text, excludes) {
+  return excludes.reduce((remaining, phrase) => {
+    const normalizedPhrase = normalizeText(phrase);
+    return remaining.replace(new RegExp(`(^| )${termPattern(normalizedPhrase)}(?= |$)`, 'g'), ' ');
+  }, text).replace(/ +/g, ' ').trim();
+}
+
+// Family aliases, longest first so "tree nuts" is matched before "nuts"
+const FAMILY_ALIASES = [...new Set(Object.values(ALLERGEN_FAMILIES).flatMap(family => family.aliases.map(normalizeText)))]
+  .sort((a, b) => b.length - a.length);
+
+/**
+ * Resolve a user's allergy to the allergen families it covers
+ * @param {string} allergy - Allergy as entered by the user (e.g. 'nuts', 'Dairy products', 'almond allergy')
+ * @returns {Array<Object>} - Families with key, label, terms and excludes
+ */
+function resolveAllergy(allergy) {
+  let remaining = removeExcludes(normalizeText(allergy), ALLERGY_FILLER_WORDS);
+  const keys = [];
+
+  // Aliases are matched as whole words, and each matched alias is removed so "tree nut" doesn't also match "nut"
+  for (const alias of FAMILY_ALIASES) {
+    if (!containsTerm(remaining, alias)) continue;
+
+    Object.entries(ALLERGEN_FAMILIES)
+      .filter(([key, family]) => family.aliases.some(candidate => normalizeText(candidate) === alias) && !keys.includes(key))
+      .forEach(([key]) => keys.push(key));
+    remaining = removeExcludes(remaining, [alias]);
+  }
+
+  if (keys.length > 0) {
+    return keys.map(key => ({ key, ...ALLERGEN_FAMILIES[key] }));
+  }
+
+  // A specific ingredient (e.g. 'almond') only covers that ingredient, reported under its family
+  const specific = remaining || normalizeText(allergy);
+  const parent = Object.entries(ALLERGEN_FAMILIES)
+    .map(([key, family]) => [key, family, family.terms.filter(term => containsTerm(specific, term))
+      .sort((a, b) => b.length - a.length)[0]])
+    .find(([, , term]) => term);
+
+  return [{
+    key: parent ? parent[0] : 'other',
+    label: parent ? parent[1].label : allergy,
+    aliases: [allergy],
+    terms: [parent ? parent[2] : specific],
+    excludes: parent ? parent[1].excludes : []
+  }];
+}
+
+/**
+ * Find which of a user's allergies a piece of text (an ingredient or meal name) contains
+ * @param {string} text - Ingredient or meal name
+ * @param {Array<string>} userAllergies - The user's allergies
+ * @returns {Array<Object>} - Matches with allergy, family, familyLabel, ingredient and term
+ */
+function findAllergensInText(text, userAllergies) {
+  const normalizedText = normalizeText(text);
+  const matches = [];
+
+  if (!normalizedText || !userAllergies || userAllergies.length === 0) {
+    return matches;
+  }
+
+  for (const allergy of userAllergies) {
+    for (const family of resolveAllergy(allergy)) {
+      const remaining = removeExcludes(normalizedText, family.excludes);
+      const term = family.terms.find(candidate => containsTerm(remaining, candidate));
+
+      if (term) {
+        matches.push({
+          allergy,
+          family: family.key,
+          familyLabel: family.label,
+          ingredient: text,
+          term
+        });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Check a list of ingredients against a user's allergies
+ * @param {Array<string>} ingredients - Ingredient names
+ * @param {Array<string>} userAllergies - The user's allergies
+ * @returns {Object} - { safe, allergens, matches } where allergens are the user's allergies that
+ *                     were triggered and matches list which ingredient triggered which family
+ */
+function checkIngredients(ingredients, userAllergies) {
+  const matches = [];
+
+  for (const ingredient of ingredients) {
+    for (const match of findAllergensInText(ingredient, userAllergies)) {
+      // One entry per ingredient and family, even when several allergies resolve to it
+      if (!matches.some(existing => existing.ingredient === match.ingredient && existing.family === match.family)) {
+        matches.push(match);
+      }
+    }
+  }
+
+  return {
+    safe: matches.length === 0,
+    allergens: [...new Set(matches.map(match => match.allergy))],
+    matches
+  };
+}
+
+/**
+ * Describe allergen matches for prompts and messages
+ * @param {Array<Object>} matches - Matches from findAllergensInText or checkIngredients
+ * @returns {string} - e.g. "parmesan (Milk / dairy), almonds (Tree nuts)"
+ */
+function describeMatches(matches) {
+  return matches.map(match => `${match.ingredient} (${match.familyLabel})`).join(', ');
+}
+
+module.exports = {
+  ALLERGEN_FAMILIES,
+  resolveAllergy,
+  findAllergensInText,
+  checkIngredients,
+  describeMatches
+};
@@ -0,0 +1,321 @@
+/**
+ * Body metrics history: weigh-ins, body fat and measurements, the smoothed trend weight
+ * and the calorie adjustments it suggests against the user's goal
+ */
+const firebase = require('./firebase');
+const nutrition = require('./nutrition');
+const foodDiary = require('./foodDiary');
+
+// Circumference measurements that can be logged, in cm
+const MEASUREMENTS = ['waist', 'hips', 'chest', 'neck', 'arm', 'thigh'];
+
+// Daily smoothing factor of the trend weight (exponential moving average)
+const TREND_SMOOTHING = 0.1;
+
+// Days of trend used to measure the weekly rate of change
+const RATE_WINDOW_DAYS = 28;
+
+// Minimum history before calorie adjustments are suggested
+const MIN_ADJUSTMENT_DAYS = 14;
+const MIN_ADJUSTMENT_ENTRIES = 4;
+
+// Expected weekly change for each goal, as a share of bodyweight
+const GOAL_WEEKLY_RATES = {
+  lose: -0.005,
+  maintain: 0,
+  gain: 0.0025
+};
+
+// How far the weekly rate may drift from the goal rate before calories are adjusted (kg/week)
+const RATE_TOLERANCE = 0.15;
+
+// Energy in a kg of bodyweight, the largest daily calorie change suggested at once
+// and the largest total change that can be applied on top of the calculated targets
+const CALORIES_PER_KG = 7700;
+const MAX_DAILY_ADJUSTMENT = 300;
+const MAX_TOTAL_ADJUSTMENT = 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a reference to a user's body metrics in Firebase
+ * @param {string} userId - The user ID
+ * @param {string} entryId - Optional entry ID
+ * @returns {Object} - Firebase database reference
+ */
+function bodyMetricsRef(userId, entryId = null) {
+  const basePath = `users/${userId}/bodyMetrics`;
+  return firebase.admin.database().ref(entryId ? `${basePath}/${entryId}` : basePath);
+}
+
+/**
+ * Build a body metrics entry from request data
+ * @param {Object} input - Entry data
+ * @param {string} input.date - Day of the measurement (YYYY-MM-DD)
+ * @param {number} input.weight - Weight in kg (optional)
+ * @param {number} input.bodyFat - Body fat percentage (optional)
+ * @param {Object} input.measurements - Circumferences in cm keyed by MEASUREMENTS (optional)
+ * @returns {Object} - { valid: true, entry } or { valid: false, errors }
+ */
+function buildEntry({ date, weight, bodyFat, measurements = {} }) {
+  const errors = [];
+  const entry = { date };
+
+  if (!foodDiary.isValidDate(date)) {
+    errors.push('date must be a real day in YYYY-MM-DD format');
+  }
+
+  if (weight !== undefined && weight !== null) {
+    entry.weight = parseFloat(weight);
+    if (!(entry.weight > 20 && entry.weight < 400)) errors.push('weight must be between 20 and 400 kg');
+  }
+
+  if (bodyFat !== undefined && bodyFat !== null) {
+    entry.bodyFat = parseFloat(bodyFat);
+    if (!(entry.bodyFat > 2 && entry.bodyFat < 70)) errors.push('bodyFat must be a percentage between 2 and 70');
+  }
+
+  const loggedMeasurements = {};
+  for (const [name, value] of Object.entries(measurements || {})) {
+    if (!MEASUREMENTS.includes(name)) {
+      errors.push(`Unknown measurement: ${name} (use ${MEASUREMENTS.join(', ')})`);
+      continue;
+    }
+    loggedMeasurements[name] = parseFloat(value);
+    if (!(loggedMeasurements[name] > 0)) errors.push(`measurements.${name} must be a positive number of cm`);
+  }
+  if (Object.keys(loggedMeasurements).length > 0) {
+    entry.measurements = loggedMeasurements;
+  }
+
+  if (entry.weight === undefined && entry.bodyFat === undefined && !entry.measurements) {
+    errors.push('Log at least one of weight, bodyFat or measurements');
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, entry };
+}
+
+/**
+ * Save a body metrics entry
+ * @param {string} userId - The user ID
+ * @param {Object} entry - Entry from buildEntry
+ * @returns {Promise<Object>} - The saved entry with its id
+ */
+async function addEntry(userId, entry) {
+  const ref = bodyMetricsRef(userId).push();
+  const saved = { ...entry, loggedAt: Date.now() };
+  await ref.set(saved);
+  return { id: ref.key, ...saved };
+}
+
+/**
+ * List a user's body metrics, oldest first
+ * @param {string} userId - The user ID
+ * @param {Object} range - Optional { from, to } dates (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array>} - Entries with their ids
+ */
+async function listEntries(userId, { from = null, to = null } = {}) {
+  const snapshot = await bodyMetricsRef(userId).once('value');
+
+  const entries = [];
+  snapshot.forEach(childSnapshot => {
+    const entry = { id: childSnapshot.key, ...childSnapshot.val() };
+    if ((!from || entry.date >= from) && (!to || entry.date <= to)) {
+      entries.push(entry);
+    }
+  });
+
+  return entries.sort((a, b) => a.date.localeCompare(b.date) || a.loggedAt - b.loggedAt);
+}
+
+/**
+ * Delete a body metrics entry
+ * @param {string} userId - The user ID
+ * @param {string} entryId - The entry ID
+ * @returns {Promise<boolean>} - False if the entry didn't exist
+ */
+async function deleteEntry(userId, entryId) {
+  const snapshot = await bodyMetricsRef(userId, entryId).once('value');
+  if (!snapshot.exists()) {
+    return false;
+  }
+
+  await bodyMetricsRef(userId, entryId).remove();
+  return true;
+}
+
+/**
+ * Get the calorie adjustment applied to a user's calculated targets
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - { calorieChange, appliedAt, reason } or null if none was applied
+ */
+async function getAdjustment(userId) {
+  const snapshot = await firebase.admin.database().ref(`users/${userId}/calorieAdjustment`).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+/**
+ * Add a calorie change to the adjustment applied to a user's calculated targets
+ * @param {string} userId - The user ID
+ * @param {number} calorieChange - Daily calories to add (negative to remove)
+ * @param {string} reason - Why the change was made
+ * @returns {Promise<Object>} - The new adjustment
+ */
+async function applyAdjustment(userId, calorieChange, reason) {
+  const existing = await getAdjustment(userId);
+  const total = (existing?.calorieChange || 0) + calorieChange;
+
+  const adjustment = {
+    calorieChange: Math.max(-MAX_TOTAL_ADJUSTMENT, Math.min(MAX_TOTAL_ADJUSTMENT, total)),
+    appliedAt: Date.now(),
+    reason
+  };
+
+  await firebase.admin.database().ref(`users/${userId}/calorieAdjustment`).set(adjustment);
+  return adjustment;
+}
+
+/**
+ * Days between two YYYY-MM-DD dates
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number} - Whole days
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Smooth weigh-ins into a trend weight, weighting each by the days since the previous one
+ * @param {Array} weighIns - Entries with date and weight, oldest first
+ * @returns {Array} - { date, weight, trend } per weigh-in
+ */
+function calculateTrend(weighIns) {
+  let trend = null;
+  let previousDate = null;
+
+  return weighIns.map(({ date, weight }) => {
+    if (trend === null) {
+      trend = weight;
+    } else {
+      const days = Math.max(1, daysBetween(previousDate, date));
+      const smoothing = 1 - Math.pow(1 - TREND_SMOOTHING, days);
+      trend += smoothing * (weight - trend);
+    }
+    previousDate = date;
+    return { date, weight, trend: Math.round(trend * 100) / 100 };
+  });
+}
+
+/**
+ * Weekly rate of change of the trend weight over the last RATE_WINDOW_DAYS (least squares slope)
+ * @param {Array} trendPoints - Points from calculateTrend
+ * @returns {number|null} - kg per week, or null with too little data
+ */
+function calculateWeeklyRate(trendPoints) {
+  if (trendPoints.length < 2) return null;
+
+  const lastDate = trendPoints[trendPoints.length - 1].date;
+  const window = trendPoints.filter(point => daysBetween(point.date, lastDate) <= RATE_WINDOW_DAYS);
+  if (window.length < 2) return null;
+
+  const xs = window.map(point => -daysBetween(point.date, lastDate));
+  const ys = window.map(point => point.trend);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+  const variance = xs.reduce((sum, x) => sum + (x - meanX) * (x - meanX), 0);
+
+  if (variance === 0) return null;
+  return Math.round((covariance / variance) * 7 * 100) / 100;
+}
+
+/**
+ * Analyze a user's weight trend against their goal
+ * @param {Array} entries - Body metrics entries, oldest first
+ * @param {Object} bodyData - bodyData from the user profile (goal, optional targetWeight)
+ * @param {number|null} lastAdjustedAt - When calories were last adjusted (ms), so the trend can settle first
+ * @returns {Object} - { hasData: false, reason } or { hasData: true, trendWeight, weeklyRate, goalRate, eta, adjustment, ... }
+ */
+function analyzeTrend(entries, bodyData = {}, lastAdjustedAt = null) {
+  const weighIns = entries.filter(entry => typeof entry.weight === 'number');
+
+  if (weighIns.length === 0) {
+    return { hasData: false, reason: 'No weigh-ins logged yet' };
+  }
+
+  const trendPoints = calculateTrend(weighIns);
+  const latest = trendPoints[trendPoints.length - 1];
+  const trendWeight = latest.trend;
+  const weeklyRate = calculateWeeklyRate(trendPoints);
+  const goal = nutrition.normalizeGoal(bodyData?.goal);
+  const goalRate = Math.round(GOAL_WEEKLY_RATES[goal] * trendWeight * 100) / 100;
+  const daysLogged = daysBetween(weighIns[0].date, latest.date);
+
+  // Latest body fat and measurements, for the summary
+  const latestBodyFat = [...entries].reverse().find(entry => typeof entry.bodyFat === 'number');
+  const latestMeasurements = [...entries].reverse().find(entry => entry.measurements);
+
+  // Goal ETA when the trend is heading towards the target weight
+  const targetWeight = parseFloat(bodyData?.targetWeight) || null;
+  let eta = null;
+  if (targetWeight && weeklyRate) {
+    const remaining = targetWeight - trendWeight;
+    if (Math.abs(remaining) < 0.1) {
+      eta = { reached: true, weeks: 0, date: latest.date };
+    } else if (Math.sign(remaining) === Math.sign(weeklyRate)) {
+      const weeks = Math.round((remaining / weeklyRate) * 10) / 10;
+      const etaDate = new Date(new Date(`${latest.date}T00:00:00Z`).getTime() + weeks * 7 * MS_PER_DAY);
+      eta = { reached: false, weeks, date: etaDate.toISOString().slice(0, 10) };
+    }
+  }
+
+  // Suggest a calorie change when the trend has drifted from the goal rate long enough to trust it,
+  // and the last change has had time to show up in the trend
+  let adjustment = null;
+  const deviation = weeklyRate === null ? null : Math.round((weeklyRate - goalRate) * 100) / 100;
+  const settled = !lastAdjustedAt || Date.now() - lastAdjustedAt >= MIN_ADJUSTMENT_DAYS * MS_PER_DAY;
+  if (deviation !== null && settled && daysLogged >= MIN_ADJUSTMENT_DAYS && weighIns.length >= MIN_ADJUSTMENT_ENTRIES &&
+      Math.abs(deviation) > RATE_TOLERANCE) {
+    const dailyChange = -deviation * CALORIES_PER_KG / 7;
+    const calorieChange = Math.round(Math.max(-MAX_DAILY_ADJUSTMENT, Math.min(MAX_DAILY_ADJUSTMENT, dailyChange)) / 50) * 50;
+
+    if (calorieChange !== 0) {
+      adjustment = {
+        calorieChange,
+        reason: `Trend is ${weeklyRate > 0 ? 'gaining' : 'losing'} ${Math.abs(weeklyRate)} kg/week against a goal of ` +
+          `${goalRate === 0 ? 'holding steady' : `${goalRate > 0 ? 'gaining' : 'losing'} ${Math.abs(goalRate)} kg/week`}`
+      };
+    }
+  }
+
+  return {
+    hasData: true,
+    goal,
+    latestWeight: latest.weight,
+    trendWeight,
+    weeklyRate,
+    goalRate,
+    deviation,
+    onTrack: deviation === null ? null : Math.abs(deviation) <= RATE_TOLERANCE,
+    daysLogged,
+    weighIns: weighIns.length,
+    targetWeight,
+    eta,
+    adjustment,
+    bodyFat: latestBodyFat ? latestBodyFat.bodyFat : null,
+    measurements: latestMeasurements ? latestMeasurements.measurements : null,
+    trend: trendPoints
+  };
+}
+
+module.exports = {
+  MEASUREMENTS,
+  buildEntry,
+  addEntry,
+  listEntries,
+  deleteEntry,
+  getAdjustment,
+  applyAdjustment,
+  analyzeTrend
+};
@@ -0,0 +1,145 @@
+/**
+ * Typed attachments for chat replies: cards built from the structured data behind a reply
+ * (meals, allergy verdicts, exercises, workout sessions) so the app can render them
+ * instead of parsing the reply text
+ */
+const meals = require('./meals');
+const mealIndex = require('./mealIndex');
+
+/**
+ * Round macros for display
+ * @param {Object} nutrition - Calories, protein, carbs and fat
+ * @returns {Object} - Whole-number macros (missing values are 0)
+ */
+function formatMacros(nutrition = {}) {
+  return {
+    calories: Math.round(nutrition.calories || 0),
+    protein: Math.round(nutrition.protein || 0),
+    carbs: Math.round(nutrition.carbs || 0),
+    fat: Math.round(nutrition.fat || 0)
+  };
+}
+
+/**
+ * Build a meal card
+ * @param {Object} meal - Meal details
+ * @param {string} meal.idMeal - MealDB meal ID
+ * @param {string} meal.name - Meal name
+ * @param {Object} meal.nutrition - Macros of the portion shown
+ * @param {string} meal.portion - Portion description (e.g. '1/6 of the recipe')
+ * @param {string} meal.mealTime - Meal time the meal is suggested for
+ * @param {boolean} meal.isLiked - Whether the user marked the meal as a favorite
+ * @param {string} meal.allergyStatus - 'safe', 'unsafe' or 'unverified' when checked against allergies
+ * @returns {Object} - Meal card
+ */
+function mealCard({ idMeal, name, nutrition, portion = null, mealTime = null, isLiked = false, allergyStatus = null }) {
+  // Thumbnails, category and cuisine come from the offline meal index when the meal is in it
+  const details = idMeal ? mealIndex.getMealById(idMeal) : null;
+
+  return {
+    type: 'meal',
+    id: idMeal || null,
+    name,
+    thumbnail: details?.thumbnail || null,
+    category: details?.category || null,
+    area: details?.area || null,
+    mealTime,
+    portion,
+    macros: formatMacros(nutrition),
+    isLiked,
+    allergyStatus
+  };
+}
+
+/**
+ * Build a meal card from a meal in the nutrition database
+ * @param {Object} item - Meal from meals.findMealsByName, optionally with a portion, isLiked and allergyStatus
+ * @param {Object} options - Extra card fields (e.g. { mealTime: 'lunch' })
+ * @returns {Object} - Meal card for the portion, or the meal's default portion when none was chosen
+ */
+function mealCardFromItem(item, options = {}) {
+  const portion = item.portion || meals.getDefaultPortion(item);
+
+  return mealCard({
+    idMeal: item.meal.idMeal,
+    name: item.meal.strMeal,
+    nutrition: portion.nutrition,
+    portion: meals.describePortion(item, portion),
+    isLiked: !!item.isLiked,
+    allergyStatus: item.allergyStatus || null,
+    ...options
+  });
+}
+
+/**
+ * Build an allergy verdict for a food the user asked about
+ * @param {string} mealName - Food or meal checked
+ * @param {string} verdict - 'safe', 'unsafe' or 'unverified'
+ * @param {Object} details - { allergens, matches } from the allergen check
+ * @returns {Object} - Allergy verdict
+ */
+function allergyVerdict(mealName, verdict, { allergens = [], matches = [] } = {}) {
+  return {
+    type: 'allergy_verdict',
+    mealName,
+    verdict,
+    allergens,
+    matches: matches.map(match => ({
+      allergy: match.allergy,
+      term: match.term,
+      ingredient: match.ingredient || null,
+      familyLabel: match.familyLabel || null
+    }))
+  };
+}
+
+/**
+ * Build an exercise card
+ * @param {Object} exercise - Formatted exercise from the wger service
+ * @returns {Object} - Exercise card
+ */
+function exerciseCard(exercise) {
+  return {
+    type: 'exercise',
+    id: exercise.id || null,
+    name: exercise.name,
+    category: exercise.category || null,
+    difficulty: exercise.difficulty || null,
+    muscles: exercise.muscles || [],
+    musclesSecondary: exercise.musclesSecondary || [],
+    equipment: exercise.equipment || [],
+    instructions: exercise.instructions || []
+  };
+}
+
+/**
+ * Build a workout session card
+ * @param {Object} session - Session with focus and exercises (sets, reps, rest), and optionally day and date
+ * @returns {Object} - Workout session card
+ */
+function workoutSession(session) {
+  return {
+    type: 'workout_session',
+    focus: session.focus || null,
+    day: session.day || null,
+    date: session.date || null,
+    exercises: (session.exercises || []).map(exercise => ({
+      id: exercise.id || exercise.exerciseId || null,
+      name: exercise.name,
+      sets: exercise.sets,
+      reps: exercise.reps,
+      rest: exercise.rest,
+      equipment: exercise.equipment || [],
+      load: exercise.load || null,
+      progression: exercise.progression || null
+    }))
+  };
+}
+
+module.exports = {
+  mealCard,
+  mealCardFromItem,
+  allergyVerdict,
+  exerciseCard,
+  workoutSession
+};
@@ -0,0 +1,186 @@
+const firebase = require('./firebase');
+
+// Number of previous messages included in the prompt transcript
+const HISTORY_WINDOW = parseInt(process.env.CHAT_HISTORY_WINDOW || '6');
+
+// Longest conversation title, taken from the first message
+const TITLE_LENGTH = 60;
+
+/**
+ * Get a reference to a user's conversations in Firebase
+ * @param {string} userId - The user ID
+ * @param {string} conversationId - Optional conversation ID
+ * @returns {Object} - Firebase database reference
+ */
+function conversationsRef(userId, conversationId = null) {
+  const basePath = `users/${userId}/conversations`;
+  return firebase.admin.database().ref(conversationId ? `${basePath}/${conversationId}` : basePath);
+}
+
+/**
+ * Load an existing conversation or start a new one
+ * @param {string} userId - The user ID
+ * @param {string|null} conversationId - Conversation to continue (optional)
+ * @param {string} firstMessage - Message used as the title of a new conversation
+ * @returns {Promise<Object>} - Conversation with its id, stored Ollama context and recent messages
+ */
+async function getOrCreateConversation(userId, conversationId, firstMessage) {
+  if (conversationId) {
+    const snapshot = await conversationsRef(userId, conversationId).once('value');
+
+    if (snapshot.exists()) {
+      const data = snapshot.val();
+      return {
+        id: conversationId,
+        context: data.context || null,
+        history: await getRecentMessages(userId, conversationId)
+      };
+    }
+
+    console.log(`Conversation ${conversationId} not found for user ${userId}, starting a new one`);
+  }
+
+  const now = Date.now();
+  const ref = conversationsRef(userId).push();
+  await ref.set({
+    title: firstMessage.slice(0, TITLE_LENGTH),
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return {
+    id: ref.key,
+    context: null,
+    history: []
+  };
+}
+
+/**
+ * Get the most recent messages of a conversation, oldest first
+ * @param {string} userId - The user ID
+ * @param {string} conversationId - The conversation ID
+ * @param {number} limit - Maximum number of messages
+ * @returns {Promise<Array>} - Messages with role, content and createdAt
+ */
+async function getRecentMessages(userId, conversationId, limit = HISTORY_WINDOW) {
+  const snapshot = await conversationsRef(userId, conversationId)
+    .child('messages')
+    .limitToLast(limit)
+    .once('value');
+
+  const messages = [];
+  snapshot.forEach(childSnapshot => {
+    messages.push(childSnapshot.val());
+  });
+
+  return messages;
+}
+
+/**
+ * Save a user message and the coach's reply to a conversation
+ * @param {string} userId - The user ID
+ * @param {string} conversationId - The conversation ID
+ * @param {string} userMessage - The user's message
+ * @param {string|Object} reply - The coach's reply
+ * @param {Array<number>|null} context - Ollama context to continue from (optional)
+ * @returns {Promise<void>}
+ */
+async function saveTurn(userId, conversationId, userMessage, reply, context = null) {
+  const ref = conversationsRef(userId, conversationId);
+  const now = Date.now();
+
+  await ref.child('messages').push({ role: 'user', content: userMessage, createdAt: now });
+  await ref.child('messages').push({
+    role: 'assistant',
+    content: typeof reply === 'string' ? reply : JSON.stringify(reply),
+    createdAt: now
+  });
+
+  await ref.update({
+    updatedAt: now,
+    context: context || null
+  });
+}
+
+/**
+ * List a user's conversations, most recently updated first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} - Conversation summaries
+ */
+async function listConversations(userId) {
+  const snapshot = await conversationsRef(userId).once('value');
+
+  const conversations = [];
+  snapshot.forEach(childSnapshot => {
+    const data = childSnapshot.val();
+    conversations.push({
+      id: childSnapshot.key,
+      title: data.title || '',
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt,
+      messageCount: data.messages ? Object.keys(data.messages).length : 0
+    });
+  });
+
+  return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Get a full conversation with all of its messages
+ * @param {string} userId - The user ID
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation or null if not found
+ */
+async function getConversation(userId, conversationId) {
+  const snapshot = await conversationsRef(userId, conversationId).once('value');
+
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  const data = snapshot.val();
+  return {
+    id: conversationId,
+    title: data.title || '',
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+    messages: data.messages ? Object.values(data.messages) : []
+  };
+}
+
+/**
+ * Delete one conversation, or all of a user's conversations
+ * @param {string} userId - The user ID
+ * @param {string|null} conversationId - Conversation to delete (all when omitted)
+ * @returns {Promise<void>}
+ */
+async function clearConversations(userId, conversationId = null) {
+  await conversationsRef(userId, conversationId).remove();
+}
+
+/**
+ * Format previous messages as a transcript section for a prompt
+ * @param {Array} messages - Messages with role and content
+ * @returns {string} - Transcript section, or an empty string without history
+ */
+function buildTranscript(messages) {
+  if (!messages || messages.length === 0) {
+    return '';
+  }
+
+  const lines = messages.map(message =>
+    `${message.role === 'user' ? 'User' : 'Coach X'}: ${message.content}`
+  );
+
+  return `## CONVERSATION SO FAR\n${lines.join('\n')}\n\nUse this conversation to understand follow-up questions.\n`;
+}
+
+module.exports = {
+  getOrCreateConversation,
+  getRecentMessages,
+  saveTurn,
+  listConversations,
+  getConversation,
+  clearConversations,
+  buildTranscript
+};
@@ -0,0 +1,200 @@
+/**
+ * Template replies for when the language model is unavailable. Each intent's reply is
+ * rendered from the structured data its handler already gathered (the reply's meta and
+ * attachments), so allergy verdicts, nutrition numbers, meal lists and workouts still
+ * reach the user.
+ */
+
+// Added to every template reply so the user knows why it reads differently
+const UNAVAILABLE_NOTE = 'My coaching model is unavailable right now, so this is a short answer straight from your data.';
+
+/**
+ * Format macros for a reply
+ * @param {Object} macros - Calories, protein, carbs and fat
+ * @returns {string} - e.g. "523 calories, 43g protein, 17g carbs, 31g fat"
+ */
+function formatMacros(macros) {
+  return `${macros.calories} calories, ${macros.protein}g protein, ${macros.carbs}g carbs, ${macros.fat}g fat`;
+}
+
+/**
+ * Render meal cards as a numbered list
+ * @param {Array<Object>} cards - Meal cards
+ * @returns {string} - One line per meal with its portion and macros
+ */
+function renderMealList(cards) {
+  return cards.map((card, index) =>
+    `${index + 1}. ${card.name} - ${card.portion}: ${formatMacros(card.macros)}` +
+    `${card.isLiked ? ' (one of your favorites)' : ''}` +
+    `${card.allergyStatus === 'unverified' ? ' (ingredients not verified against your allergies)' : ''}`
+  ).join('\n');
+}
+
+/**
+ * Name what matched an allergy: the ingredient, or the matched word when the food's own name matched
+ * @param {Object} match - Match from the allergy verdict
+ * @param {string} mealName - Food the verdict is for
+ * @returns {string} - e.g. "Peanut Butter" or "peanut"
+ */
+function describeMatch(match, mealName) {
+  return match.ingredient && match.ingredient.toLowerCase() !== mealName.toLowerCase() ? match.ingredient : match.term;
+}
+
+/**
+ * Render an allergy verdict
+ * @param {Object} verdict - Allergy verdict attachment
+ * @returns {string} - Verdict sentence, unsafe and unverified verdicts never call the food safe
+ */
+function renderAllergyVerdict(verdict) {
+  if (verdict.verdict === 'unsafe') {
+    const found = verdict.matches.length > 0 ?
+      verdict.matches.map(match => `${describeMatch(match, verdict.mealName)} (${match.familyLabel || match.allergy})`).join(', ') :
+      verdict.allergens.join(', ');
+    return `NO, you should not eat ${verdict.mealName}. It contains ${found}, which you're allergic to.`;
+  }
+
+  if (verdict.verdict === 'unverified') {
+    return `I can't confirm that ${verdict.mealName} is safe for you. Its ingredients couldn't be checked against your allergies, ` +
+      'so check the full ingredient list or ask whoever prepares it before eating.';
+  }
+
+  return `${verdict.mealName} doesn't contain any of your listed allergens.`;
+}
+
+/**
+ * Render a workout session as a numbered list
+ * @param {Object} session - Workout session attachment
+ * @returns {string} - One line per exercise with sets, reps, rest and any progression target
+ */
+function renderSession(session) {
+  return session.exercises.map((exercise, index) =>
+    `${index + 1}. ${exercise.name} - ${exercise.sets} sets x ${exercise.reps} reps, rest ${exercise.rest}` +
+    `${exercise.progression ? ` - ${exercise.progression.reason}` : ''}`
+  ).join('\n');
+}
+
+// Templates by intent: (meta, attachments, data, user) => reply text
+const templates = {
+  greeting: (meta, attachments, data, user) =>
+    `Hi ${user.firstName || 'there'}! I'm Coach X. I can look up nutrition facts, suggest meals, plan your day of eating, ` +
+    'build workouts and check foods against your allergies. What would you like to start with?',
+
+  allergy_check: (meta, attachments) => {
+    const verdict = attachments.find(attachment => attachment.type === 'allergy_verdict');
+    return verdict ? renderAllergyVerdict(verdict) : `I can't confirm that ${meta.mealName} is safe for you.`;
+  },
+
+  nutrition_lookup: (meta, attachments) => {
+    const verdict = attachments.find(attachment => attachment.type === 'allergy_verdict');
+    const meals = attachments.filter(attachment => attachment.type === 'meal');
+    const warning = verdict && verdict.verdict !== 'safe' ? `${renderAllergyVerdict(verdict)}\n\n` : '';
+    return `${warning}Nutrition for ${meta.mealName}:\n${renderMealList(meals)}`;
+  },
+
+  meal_suggestion: (meta, attachments) => {
+    const meals = attachments.filter(attachment => attachment.type === 'meal');
+
+    if (meta.nutritionData === 'missing') {
+      return 'I need your height, weight, age and activity level to suggest meals that fit your targets. Add them to your profile and ask again.';
+    }
+    if (meals.length === 0) {
+      return `I couldn't find ${meta.mealTime} options that fit your targets and food preferences right now.`;
+    }
+    return `Here are some ${meta.mealTime} options that fit your targets:\n${renderMealList(meals)}`;
+  },
+
+  daily_meal_plan: (meta, attachments, data) => {
+    const { mealPlan } = data;
+    const meals = attachments.filter(attachment => attachment.type === 'meal');
+    return `Here's your meal plan for the day:\n` +
+      meals.map(card => `- ${card.mealTime}: ${card.name} - ${card.portion}: ${formatMacros(card.macros)}`).join('\n') +
+      `\n\nDay total: ${formatMacros(mealPlan.totals)} (target ${formatMacros(mealPlan.targets)}).`;
+  },
+
+  progress: (meta, attachments, data) => {
+    const { progress } = data;
+    const lines = [`Your trend weight is ${progress.trendWeight} kg (latest weigh-in ${progress.latestWeight} kg).`];
+
+    if (progress.weeklyRate !== null) {
+      lines.push(`You're changing by ${progress.weeklyRate} kg a week against a goal of ${progress.goalRate} kg a week` +
+        `${progress.onTrack !== null ? `, so you're ${progress.onTrack ? 'on track' : 'off track'}` : ''}.`);
+    } else {
+      lines.push('There isn\'t enough data for a weekly rate yet, so keep weighing in regularly.');
+    }
+    if (progress.eta) {
+      lines.push(progress.eta.reached ? 'You\'ve reached your target weight.' : `At this rate you'll reach your target in about ${progress.eta.weeks} weeks (${progress.eta.date}).`);
+    }
+    if (progress.adjustment) {
+      lines.push(`${progress.adjustment.reason}.`);
+    }
+    return lines.join(' ');
+  },
+
+  plan_workout_today: (meta, attachments) => {
+    const session = attachments.find(attachment => attachment.type === 'workout_session');
+    if (session.exercises.length === 0) {
+      return `Today is a rest day in your plan (day ${session.day}). Light activity or mobility work is a good idea.`;
+    }
+    return `Today's workout (day ${session.day}: ${session.focus}):\n${renderSession(session)}`;
+  },
+
+  workout: (meta, attachments) => {
+    const session = attachments.find(attachment => attachment.type === 'workout_session');
+    if (!session) {
+      return 'Complete your workout profile (fitness level, goal, equipment and training days) so I can build a workout for you.';
+    }
+    return `Here's your ${session.focus} workout:\n${renderSession(session)}\n\nWarm up for 5-10 minutes first and cool down afterwards.`;
+  },
+
+  exercise_info: (meta, attachments) => {
+    const exercise = attachments.find(attachment => attachment.type === 'exercise');
+    if (!exercise) {
+      return `I don't have details on ${meta.exerciseName} in my exercise database. A certified trainer can check your form on exercises you're unfamiliar with.`;
+    }
+
+    const muscles = exercise.muscles.length > 0 ? `It works your ${exercise.muscles.join(', ')}` : `It's a ${exercise.category} exercise`;
+    const secondary = exercise.musclesSecondary.length > 0 ? `, with help from your ${exercise.musclesSecondary.join(', ')}` : '';
+    const steps = exercise.instructions.map((step, index) => `${index + 1}. ${step}`).join('\n');
+    return `${exercise.name}: ${muscles}${secondary}. Equipment: ${exercise.equipment.join(', ') || 'bodyweight'}.` +
+      `${steps ? `\n${steps}` : ''}`;
+  },
+
+  general: () => 'I can\'t answer that one without my coaching model. Please try again in a moment.'
+};
+
+/**
+ * Render one intent's reply
+ * @param {Object} meta - Reply meta with the intent
+ * @param {Array<Object>} attachments - The reply's attachments
+ * @param {Object} data - The reply's other structured data
+ * @param {Object} user - { firstName }
+ * @returns {string} - Reply text
+ */
+function renderIntent(meta, attachments, data, user) {
+  const template = templates[meta.intent] || templates.general;
+  return template(meta, attachments, data, user);
+}
+
+/**
+ * Render a reply without the language model
+ * @param {Object} meta - Reply meta with the intent (as passed to the chat reply)
+ * @param {Object} payload - Structured data and attachments of the reply
+ * @param {Object} user - { firstName } for the greeting
+ * @returns {string} - Reply text, ending with a note that the model is unavailable
+ */
+function renderFallback(meta, payload = {}, user = {}) {
+  const { attachments = [], ...data } = payload;
+
+  // Compound messages render each part from its result and the attachments tagged with its index
+  const text = meta.intent === 'multi' ?
+    data.results.map((result, index) =>
+      renderIntent(result, attachments.filter(attachment => attachment.part === index), result, user)
+    ).join('\n\n') :
+    renderIntent(meta, attachments, data, user);
+
+  return `${text}\n\n${UNAVAILABLE_NOTE}`;
+}
+
+module.exports = {
+  renderFallback
+};
@@ -61,5 +61,6 @@ async function getUserData(userId) {
 }
 
 module.exports = {
+  admin,
   getUserData
 };
\ No newline at end of file
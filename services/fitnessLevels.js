@@ -0,0 +1,39 @@
+/**
+ * Fitness levels shared by the chat handler, plan endpoints and training programs:
+ * the levels users pick and the hardest wger exercises each may be given
+ */
+
+// Maximum wger exercise difficulty by fitness level
+const DIFFICULTY_BY_LEVEL = {
+  Beginner: 1,
+  Intermediate: 2,
+  Advanced: 3
+};
+
+/**
+ * Normalize a fitness level to one of DIFFICULTY_BY_LEVEL's levels
+ * @param {string} fitnessLevel - Level from workoutData
+ * @returns {string} - 'Beginner', 'Intermediate' or 'Advanced'
+ */
+function normalizeLevel(fitnessLevel) {
+  const level = (fitnessLevel || '').toLowerCase();
+
+  if (level.startsWith('adv')) return 'Advanced';
+  if (level.startsWith('inter')) return 'Intermediate';
+  return 'Beginner';
+}
+
+/**
+ * Get the hardest exercise difficulty for a fitness level
+ * @param {string} fitnessLevel - Level from workoutData
+ * @returns {number} - wger difficulty (unknown levels count as Beginner)
+ */
+function getMaxDifficulty(fitnessLevel) {
+  return DIFFICULTY_BY_LEVEL[normalizeLevel(fitnessLevel)];
+}
+
+module.exports = {
+  DIFFICULTY_BY_LEVEL,
+  normalizeLevel,
+  getMaxDifficulty
+};
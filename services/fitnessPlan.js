@@ -0,0 +1,463 @@
+/**
+ * JSON schema, validation and repair for generated fitness plans
+ */
+const llm = require('./llm');
+
+// Number of extra generations asking the model to fix an invalid plan
+const PLAN_REPAIR_ATTEMPTS = parseInt(process.env.PLAN_REPAIR_ATTEMPTS || '2');
+
+// Generation settings for plans (a full plan does not fit the default 256 tokens,
+// nor generate within the default timeout)
+const PLAN_GENERATION_OPTIONS = {
+  temperature: 0.3,
+  num_predict: parseInt(process.env.OLLAMA_PLAN_MAX_TOKENS || '4096'),
+  num_ctx: 8192,
+  timeout: parseInt(process.env.LLM_PLAN_TIMEOUT_MS || '300000')
+};
+
+// Longest previous output echoed back in a repair prompt
+const MAX_REPAIR_ECHO_LENGTH = 6000;
+
+const mealSchema = {
+  type: 'object',
+  required: ['name', 'calories', 'protein'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    calories: { type: 'integer', minimum: 0 },
+    protein: { type: 'integer', minimum: 0 }
+  }
+};
+
+/**
+ * JSON schema of a fitness plan, also sent to Ollama as the `format` option
+ */
+const fitnessPlanSchema = {
+  type: 'object',
+  required: ['overview', 'workoutPlan', 'mealPlan', 'tips'],
+  properties: {
+    overview: {
+      type: 'object',
+      required: ['calorieTarget', 'proteinTarget', 'carbTarget', 'fatTarget', 'planType'],
+      properties: {
+        calorieTarget: { type: 'integer', minimum: 800, maximum: 6000 },
+        proteinTarget: { type: 'integer', minimum: 0 },
+        carbTarget: { type: 'integer', minimum: 0 },
+        fatTarget: { type: 'integer', minimum: 0 },
+        planType: { type: 'string', enum: ['Weight Loss', 'Muscle Building', 'Maintenance'] }
+      }
+    },
+    workoutPlan: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['day', 'focus', 'exercises'],
+        properties: {
+          day: { type: 'integer', minimum: 1 },
+          focus: { type: 'string', minLength: 1 },
+          exercises: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'sets', 'reps', 'rest'],
+              properties: {
+                name: { type: 'string', minLength: 1 },
+                sets: { type: 'integer', minimum: 1, maximum: 10 },
+                reps: { type: 'string', minLength: 1 },
+                rest: { type: 'string', minLength: 1 }
+              }
+            }
+          }
+        }
+      }
+    },
+    mealPlan: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['day', 'breakfast', 'lunch', 'dinner', 'snacks'],
+        properties: {
+          day: { type: 'integer', minimum: 1 },
+          breakfast: mealSchema,
+          lunch: mealSchema,
+          dinner: mealSchema,
+          snacks: { type: 'array', items: mealSchema }
+        }
+      }
+    },
+    tips: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+/**
+ * Build the plan schema, restricting exercise names to a catalog when one is given
+ * @param {Array<string>} exerciseCatalog - Allowed exercise names (empty for no restriction)
+ * @returns {Object} - JSON schema for the plan
+ */
+function buildPlanSchema(exerciseCatalog = []) {
+  if (exerciseCatalog.length === 0) {
+    return fitnessPlanSchema;
+  }
+
+  const workoutDaySchema = fitnessPlanSchema.properties.workoutPlan.items;
+  const exerciseSchema = workoutDaySchema.properties.exercises.items;
+
+  return {
+    ...fitnessPlanSchema,
+    properties: {
+      ...fitnessPlanSchema.properties,
+      workoutPlan: {
+        ...fitnessPlanSchema.properties.workoutPlan,
+        items: {
+          ...workoutDaySchema,
+          properties: {
+            ...workoutDaySchema.properties,
+            exercises: {
+              ...workoutDaySchema.properties.exercises,
+              items: {
+                ...exerciseSchema,
+                properties: {
+                  ...exerciseSchema.properties,
+                  name: { type: 'string', enum: exerciseCatalog }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the schema of a single plan day: its workout and its meals
+ * @param {Array<string>} exerciseCatalog - Allowed exercise names (empty for no restriction)
+ * @returns {Object} - JSON schema for { workout, meals }
+ */
+function buildDaySchema(exerciseCatalog = []) {
+  const planSchema = buildPlanSchema(exerciseCatalog);
+
+  return {
+    type: 'object',
+    required: ['workout', 'meals'],
+    properties: {
+      workout: planSchema.properties.workoutPlan.items,
+      meals: planSchema.properties.mealPlan.items
+    }
+  };
+}
+
+/**
+ * Get the names of all exercises in a workout plan by day
+ * @param {Object|null} workoutPlan - Workout plan from wger.getFullBodyWorkoutPlan
+ * @returns {Array<string>} - Unique exercise names
+ */
+function getExerciseNames(workoutPlan) {
+  const names = Object.values(workoutPlan || {})
+    .flatMap(day => (day.exercises || []).map(exercise => exercise.name))
+    .filter(Boolean);
+
+  return [...new Set(names)];
+}
+
+/**
+ * Validate a value against a JSON schema (the subset used by fitnessPlanSchema)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @param {Array} errors - Collected errors
+ * @returns {Array<{path: string, message: string}>} - Validation errors, empty when valid
+ */
+function validateSchema(value, schema, path = '', errors = []) {
+  const location = path || '(root)';
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path: location, message: `must be ${schema.type}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    // Long lists (e.g. the exercise catalog) are already in the prompt
+    const message = schema.enum.length <= 10 ?
+      `must be one of: ${schema.enum.join(', ')}` :
+      `"${value}" is not an allowed value (use a name from the catalog)`;
+    errors.push({ path: location, message });
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: location, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path: location, message: `must be at most ${schema.maximum}` });
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: location, message: 'must not be empty' });
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: location, message: `must have at least ${schema.minItems} item(s)` });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        validateSchema(value[key], propertySchema, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a JSON schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON schema type
+ * @returns {boolean} - True if the value has that type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+}
+
+/**
+ * Append a property name to a path
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} - Combined path
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Fix common, unambiguous model mistakes so a plan can pass validation:
+ * numbers sent as strings, day objects instead of arrays and enum values in the wrong case
+ * @param {*} value - Value to repair
+ * @param {Object} schema - JSON schema the value should match
+ * @returns {*} - Repaired value
+ */
+function repairValue(value, schema) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  if ((schema.type === 'integer' || schema.type === 'number') && typeof value === 'string') {
+    const number = parseFloat(value.replace(/[^\d.-]/g, ''));
+    if (!Number.isNaN(number)) {
+      return schema.type === 'integer' ? Math.round(number) : number;
+    }
+  }
+
+  if (schema.type === 'integer' && typeof value === 'number' && !Number.isInteger(value)) {
+    return Math.round(value);
+  }
+
+  if (schema.type === 'string' && typeof value === 'number') {
+    value = String(value);
+  }
+
+  if (schema.enum && typeof value === 'string') {
+    const canonical = schema.enum.find(option => normalizeOption(option) === normalizeOption(value));
+    if (canonical) return canonical;
+  }
+
+  if (schema.type === 'array' && matchesType(value, 'object')) {
+    // { day1: {...}, day2: {...} } -> [{ day: 1, ... }, { day: 2, ... }]
+    value = Object.entries(value)
+      .filter(([, item]) => item && typeof item === 'object' && Object.keys(item).length > 0)
+      .map(([key, item]) => {
+        const dayNumber = parseInt(key.replace(/\D/g, ''));
+        return Number.isNaN(dayNumber) || Array.isArray(item) ? item : { day: dayNumber, ...item };
+      });
+  }
+
+  if (schema.type === 'array' && Array.isArray(value) && schema.items) {
+    return value.map(item => repairValue(item, schema.items));
+  }
+
+  if (schema.type === 'object' && matchesType(value, 'object')) {
+    const repaired = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      repaired[key] = repairValue(value[key], propertySchema);
+    }
+    return repaired;
+  }
+
+  return value;
+}
+
+/**
+ * Normalize an enum option for comparison (case, spacing and punctuation)
+ * @param {string} option - Option text
+ * @returns {string} - Normalized text
+ */
+function normalizeOption(option) {
+  return option.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Parse, repair and validate a generated plan
+ * @param {string|Object} output - Raw model output
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.exerciseCatalog - Exercise names the plan may use (empty for no restriction)
+ * @returns {{valid: boolean, plan: (Object|null), errors: Array}} - Validation report
+ */
+function validatePlan(output, { exerciseCatalog = [] } = {}) {
+  return validateOutput(output, buildPlanSchema(exerciseCatalog));
+}
+
+/**
+ * Parse, repair and validate a generated plan day
+ * @param {string|Object} output - Raw model output
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.exerciseCatalog - Exercise names the day may use (empty for no restriction)
+ * @returns {{valid: boolean, plan: (Object|null), errors: Array}} - Validation report, with the day as plan
+ */
+function validateDay(output, { exerciseCatalog = [] } = {}) {
+  return validateOutput(output, buildDaySchema(exerciseCatalog));
+}
+
+/**
+ * Parse, repair and validate model output against a schema
+ * @param {string|Object} output - Raw model output
+ * @param {Object} schema - JSON schema
+ * @returns {{valid: boolean, plan: (Object|null), errors: Array}} - Validation report
+ */
+function validateOutput(output, schema) {
+  let plan = output;
+
+  if (typeof output === 'string') {
+    try {
+      plan = JSON.parse(output);
+    } catch (error) {
+      return {
+        valid: false,
+        plan: null,
+        errors: [{ path: '(root)', message: `is not valid JSON (${error.message}), the output may be truncated` }]
+      };
+    }
+  }
+
+  plan = repairValue(plan, schema);
+  const errors = validateSchema(plan, schema);
+
+  return {
+    valid: errors.length === 0,
+    plan,
+    errors
+  };
+}
+
+/**
+ * Build a prompt asking the model to fix an invalid plan
+ * @param {string} originalPrompt - The prompt that produced the plan
+ * @param {string|Object} output - The invalid output
+ * @param {Array} errors - Validation errors
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(originalPrompt, output, errors) {
+  const previousOutput = typeof output === 'string' ? output : JSON.stringify(output);
+
+  return `${originalPrompt}
+
+## PREVIOUS ATTEMPT
+Your previous answer did not match the required JSON format:
+${previousOutput.slice(0, MAX_REPAIR_ECHO_LENGTH)}
+
+## VALIDATION ERRORS
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+Return the complete corrected JSON only, fixing every error listed above.
+`;
+}
+
+/**
+ * Generate a fitness plan that matches fitnessPlanSchema, asking the model to repair invalid output
+ * @param {string} prompt - Plan generation prompt
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.exerciseCatalog - Exercise names the plan may use (empty for no restriction)
+ * @returns {Promise<{valid: boolean, plan: (Object|null), errors: Array, attempts: number}>} - The plan, or the last validation report
+ */
+async function generateValidatedPlan(prompt, { exerciseCatalog = [] } = {}) {
+  return generateAgainstSchema(prompt, buildPlanSchema(exerciseCatalog));
+}
+
+/**
+ * Generate a single plan day ({ workout, meals }), asking the model to repair invalid output
+ * @param {string} prompt - Day generation prompt
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.exerciseCatalog - Exercise names the day may use (empty for no restriction)
+ * @returns {Promise<{valid: boolean, plan: (Object|null), errors: Array, attempts: number}>} - The day as plan, or the last validation report
+ */
+async function generateValidatedDay(prompt, { exerciseCatalog = [] } = {}) {
+  return generateAgainstSchema(prompt, buildDaySchema(exerciseCatalog));
+}
+
+/**
+ * Generate JSON that matches a schema, asking the model to repair invalid output
+ * @param {string} prompt - Generation prompt
+ * @param {Object} schema - JSON schema, also sent as the `format` option
+ * @returns {Promise<{valid: boolean, plan: (Object|null), errors: Array, attempts: number}>} - The output, or the last validation report
+ */
+async function generateAgainstSchema(prompt, schema) {
+  let currentPrompt = prompt;
+  let report = null;
+  let attempts = 0;
+
+  while (attempts <= PLAN_REPAIR_ATTEMPTS) {
+    attempts++;
+
+    const output = await llm.generateResponse(currentPrompt, null, {
+      ...PLAN_GENERATION_OPTIONS,
+      task: 'plan',
+      format: schema
+    });
+
+    report = validateOutput(output, schema);
+
+    if (report.valid) {
+      return { ...report, attempts };
+    }
+
+    console.warn(`Plan attempt ${attempts} failed validation:`, report.errors.slice(0, 5));
+    currentPrompt = buildRepairPrompt(prompt, output, report.errors);
+  }
+
+  return { ...report, attempts };
+}
+
+module.exports = {
+  fitnessPlanSchema,
+  validatePlan,
+  validateDay,
+  getExerciseNames,
+  generateValidatedPlan,
+  generateValidatedDay
+};
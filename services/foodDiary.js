@@ -0,0 +1,274 @@
+const firebase = require('./firebase');
+const meals = require('./meals');
+
+// Meal times an entry can be logged under
+const MEAL_TIMES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Diary days are stored as YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a reference to a user's food log in Firebase
+ * @param {string} userId - The user ID
+ * @param {string} date - Day of the log (YYYY-MM-DD)
+ * @param {string} entryId - Optional entry ID
+ * @returns {Object} - Firebase database reference
+ */
+function foodLogRef(userId, date, entryId = null) {
+  const basePath = `users/${userId}/foodLog/${date}`;
+  return firebase.admin.database().ref(entryId ? `${basePath}/${entryId}` : basePath);
+}
+
+/**
+ * Format a date as a diary day in server local time
+ * @param {Date} date - Date to format (defaults to now)
+ * @returns {string} - YYYY-MM-DD
+ */
+function toDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check whether a string is a valid diary day
+ * @param {string} date - Date to check
+ * @returns {boolean} - True for a real YYYY-MM-DD date
+ */
+function isValidDate(date) {
+  // Date rolls impossible days over (2024-02-31 becomes March 2), so the parsed day must format back to the input
+  return DATE_PATTERN.test(date || '') && toDateKey(new Date(`${date}T00:00:00`)) === date;
+}
+
+/**
+ * Build a diary entry from request data, for a meal from the dataset or a custom food
+ * @param {Object} input - Entry data
+ * @param {string} input.idMeal - Meal ID from meals_nutrition.json (for dataset meals)
+ * @param {Object} input.food - Custom food: name plus calories, protein, carbs and fat per portion
+ * @param {number} input.servings - Servings of the meal, or portions of the custom food (default 1)
+ * @param {number} input.recipeShare - Share of the whole recipe eaten, instead of servings, for dataset meals (e.g. 0.25)
+ * @param {string} input.mealTime - 'breakfast', 'lunch', 'dinner' or 'snack' (default 'snack')
+ * @returns {Object} - { valid: true, entry } or { valid: false, errors }
+ */
+function buildEntry({ idMeal = null, food = null, servings = 1, recipeShare = null, mealTime = 'snack' }) {
+  const errors = [];
+  const portion = parseFloat(servings);
+  const share = recipeShare !== null ? parseFloat(recipeShare) : null;
+
+  if (!portion || portion <= 0) {
+    errors.push('servings must be a positive number');
+  }
+  if (share !== null && !(share > 0)) {
+    errors.push('recipeShare must be a positive number');
+  }
+  if (!MEAL_TIMES.includes(mealTime)) {
+    errors.push(`mealTime must be one of ${MEAL_TIMES.join(', ')}`);
+  }
+  if (!idMeal && !food) {
+    errors.push('Either idMeal or food is required');
+  }
+
+  let name = null;
+  let nutritionPerPortion = null;
+  let mealPortion = null;
+
+  if (idMeal) {
+    const meal = meals.getMealById(idMeal);
+    if (!meal) {
+      errors.push(`Unknown idMeal: ${idMeal}`);
+    } else {
+      name = meal.meal.strMeal;
+      mealPortion = meals.portionFromShare(meal, share !== null ? share : portion / meal.servings);
+    }
+  } else if (food) {
+    name = (food.name || '').trim();
+    if (!name) errors.push('food.name is required');
+
+    nutritionPerPortion = {};
+    for (const macro of ['calories', 'protein', 'carbs', 'fat']) {
+      const value = parseFloat(food[macro]);
+      if (isNaN(value) || value < 0) {
+        errors.push(`food.${macro} must be a number of 0 or more`);
+      }
+      nutritionPerPortion[macro] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    entry: {
+      mealTime,
+      idMeal: idMeal || null,
+      name,
+      custom: !idMeal,
+      ...(idMeal ? {
+        recipeShare: mealPortion.recipeShare,
+        servings: mealPortion.servings,
+        nutrition: mealPortion.nutrition
+      } : {
+        servings: portion,
+        nutrition: meals.scaleNutrition(nutritionPerPortion, portion),
+        nutritionPerPortion
+      })
+    }
+  };
+}
+
+/**
+ * Apply an edit to a stored entry, so fields the edit leaves out keep their stored values
+ * @param {Object} existing - Stored entry from getEntry
+ * @param {Object} changes - Edited fields, as accepted by buildEntry
+ * @returns {Object} - Input for buildEntry
+ */
+function mergeEntryEdit(existing, changes) {
+  const stored = existing.custom ?
+    { food: { name: existing.name, ...existing.nutritionPerPortion }, servings: existing.servings } :
+    { idMeal: existing.idMeal, servings: existing.servings, recipeShare: existing.recipeShare };
+
+  // A new food replaces the stored one, and a new servings count or recipe share replaces the stored amount
+  const changesFood = changes.idMeal !== undefined || changes.food !== undefined;
+  const changesAmount = changes.servings !== undefined || changes.recipeShare !== undefined;
+  const source = changesFood ? changes : stored;
+  const amount = changesAmount ? changes : stored;
+
+  return {
+    mealTime: changes.mealTime !== undefined ? changes.mealTime : existing.mealTime,
+    idMeal: source.idMeal,
+    food: source.food,
+    // Entries logged by recipe share before meals had a yield are stored with servings: null
+    servings: amount.servings === null ? undefined : amount.servings,
+    recipeShare: amount.recipeShare
+  };
+}
+
+/**
+ * Add up the nutrition of diary entries
+ * @param {Array} entries - Diary entries
+ * @returns {Object} - Total calories, protein, carbs and fat
+ */
+function sumEntries(entries) {
+  return entries.reduce((totals, entry) => ({
+    calories: totals.calories + (entry.nutrition?.calories || 0),
+    protein: totals.protein + (entry.nutrition?.protein || 0),
+    carbs: totals.carbs + (entry.nutrition?.carbs || 0),
+    fat: totals.fat + (entry.nutrition?.fat || 0)
+  }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+}
+
+/**
+ * Get a day of the food log with its totals against the user's targets
+ * @param {string} userId - The user ID
+ * @param {string} date - Day of the log (YYYY-MM-DD)
+ * @param {Object|null} nutritionData - Daily targets (dailyCalories, dailyProtein, dailyCarbs, dailyFat)
+ * @returns {Promise<Object>} - { date, entries, totals, targets, remaining, loggedMealTimes }
+ */
+async function getDay(userId, date, nutritionData = null) {
+  const snapshot = await foodLogRef(userId, date).once('value');
+
+  const entries = [];
+  snapshot.forEach(childSnapshot => {
+    entries.push({ id: childSnapshot.key, ...childSnapshot.val() });
+  });
+  entries.sort((a, b) => a.loggedAt - b.loggedAt);
+
+  const totals = sumEntries(entries);
+  const targets = nutritionData ? {
+    calories: nutritionData.dailyCalories,
+    protein: nutritionData.dailyProtein,
+    carbs: nutritionData.dailyCarbs,
+    fat: nutritionData.dailyFat
+  } : null;
+
+  return {
+    date,
+    entries,
+    totals,
+    targets,
+    remaining: targets ? {
+      calories: targets.calories - totals.calories,
+      protein: targets.protein - totals.protein,
+      carbs: targets.carbs - totals.carbs,
+      fat: targets.fat - totals.fat
+    } : null,
+    loggedMealTimes: [...new Set(entries.map(entry => entry.mealTime))]
+  };
+}
+
+/**
+ * Add an entry to a day of the food log
+ * @param {string} userId - The user ID
+ * @param {string} date - Day of the log (YYYY-MM-DD)
+ * @param {Object} entry - Entry from buildEntry
+ * @returns {Promise<Object>} - The saved entry with its id
+ */
+async function addEntry(userId, date, entry) {
+  const ref = foodLogRef(userId, date).push();
+  const saved = { ...entry, loggedAt: Date.now() };
+  await ref.set(saved);
+  return { id: ref.key, ...saved };
+}
+
+/**
+ * Get a single entry of the food log
+ * @param {string} userId - The user ID
+ * @param {string} date - Day of the log (YYYY-MM-DD)
+ * @param {string} entryId - The entry ID
+ * @returns {Promise<Object|null>} - The entry or null if not found
+ */
+async function getEntry(userId, date, entryId) {
+  const snapshot = await foodLogRef(userId, date, entryId).once('value');
+  return snapshot.exists() ? { id: entryId, ...snapshot.val() } : null;
+}
+
+/**
+ * Replace an existing entry of the food log, keeping when it was logged
+ * @param {string} userId - The user ID
+ * @param {string} date - Day of the log (YYYY-MM-DD)
+ * @param {string} entryId - The entry ID
+ * @param {Object} entry - Entry from buildEntry
+ * @returns {Promise<Object|null>} - The updated entry, or null if not found
+ */
+async function updateEntry(userId, date, entryId, entry) {
+  const existing = await getEntry(userId, date, entryId);
+  if (!existing) {
+    return null;
+  }
+
+  const updated = { ...entry, loggedAt: existing.loggedAt, updatedAt: Date.now() };
+  await foodLogRef(userId, date, entryId).set(updated);
+  return { id: entryId, ...updated };
+}
+
+/**
+ * Delete an entry of the food log
+ * @param {string} userId - The user ID
+ * @param {string} date - Day of the log (YYYY-MM-DD)
+ * @param {string} entryId - The entry ID
+ * @returns {Promise<boolean>} - False if the entry didn't exist
+ */
+async function deleteEntry(userId, date, entryId) {
+  const existing = await getEntry(userId, date, entryId);
+  if (!existing) {
+    return false;
+  }
+
+  await foodLogRef(userId, date, entryId).remove();
+  return true;
+}
+
+module.exports = {
+  MEAL_TIMES,
+  toDateKey,
+  isValidDate,
+  buildEntry,
+  mergeEntryEdit,
+  getDay,
+  addEntry,
+  getEntry,
+  updateEntry,
+  deleteEntry
+};
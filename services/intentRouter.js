@@ -0,0 +1,368 @@
+/**
+ * Intent registry for the chat: each intent declares how it is detected, which slots it
+ * needs and how it is handled. Messages are classified by the local LLM, with the intents'
+ * regex patterns as fallback, and routed to the first handler that accepts them.
+ */
+const llm = require('./llm');
+
+// 'llm' asks the local model first and falls back to regex, 'regex' only uses the patterns
+const INTENT_CLASSIFIER = process.env.INTENT_CLASSIFIER === 'regex' ? 'regex' : 'llm';
+
+// Lowest model confidence that overrides the regex detectors
+const MIN_LLM_CONFIDENCE = parseFloat(process.env.INTENT_MIN_CONFIDENCE || '0.6');
+
+// Confidence given to a regex pattern match, and to the fallback intent when nothing matched
+const REGEX_CONFIDENCE = 0.7;
+const FALLBACK_CONFIDENCE = 0.2;
+
+// Generation settings for classification (short, deterministic JSON). The regex detectors can
+// answer instead, so a slow or failing model is given up on quickly rather than retried.
+const CLASSIFIER_OPTIONS = {
+  temperature: 0,
+  num_predict: 128,
+  timeout: parseInt(process.env.INTENT_CLASSIFIER_TIMEOUT_MS || '5000'),
+  retries: 0
+};
+
+// Words that start a new question after "and", "also" or "plus" in a compound message
+const CLAUSE_STARTERS = ['how', 'what', "what's", 'whats', 'is', 'are', 'am', 'can', 'could', 'should', 'will', 'would', 'do', 'does', 'which', 'when', 'tell', 'give', 'show', 'suggest', 'recommend'];
+
+// Slot values that point back at something named earlier in the message ("how many calories is it?")
+const REFERENCE_PATTERN = /^(it|that|this|them|those|these|one)(\s|$)/i;
+
+// Registered intents, in priority order
+const intents = [];
+
+// Intent used when no other intent matches or accepts the message
+let fallbackIntent = null;
+
+/**
+ * Register a chat intent. Intents registered earlier win when several regex patterns match.
+ * @param {Object} definition - Intent definition
+ * @param {string} definition.name - Intent name reported to clients (e.g. 'allergy_check')
+ * @param {string} definition.description - What the user wants, shown to the LLM classifier
+ * @param {Array<RegExp>} definition.patterns - Regex detectors; named groups become slots
+ * @param {Function} definition.detect - Custom detector (message) => boolean or confidence, instead of patterns
+ * @param {Object} definition.slots - Slot names with a description for the LLM (e.g. { mealName: 'the food asked about' })
+ * @param {Function} definition.extractSlots - Custom slot extractor (message, match) => object, instead of named groups
+ * @param {Function} definition.isAvailable - (context) => boolean, e.g. false when the intent needs a user profile
+ * @param {Function} definition.handle - async (context, slots) => reply, or null to pass the message on
+ * @param {boolean} definition.fallback - Handle every message no other intent accepts
+ */
+function registerIntent(definition) {
+  if (!definition.name || typeof definition.handle !== 'function') {
+    throw new Error('An intent needs a name and a handle function');
+  }
+  if (intents.some(intent => intent.name === definition.name)) {
+    throw new Error(`Intent already registered: ${definition.name}`);
+  }
+
+  const intent = {
+    description: '',
+    patterns: [],
+    slots: {},
+    isAvailable: () => true,
+    ...definition
+  };
+
+  intents.push(intent);
+  if (intent.fallback) {
+    fallbackIntent = intent;
+  }
+}
+
+/**
+ * List the registered intents
+ * @returns {Array<Object>} - Name, description and slots of each intent
+ */
+function getIntents() {
+  return intents.map(({ name, description, slots, fallback }) => ({ name, description, slots: Object.keys(slots), fallback: !!fallback }));
+}
+
+/**
+ * Find the first of a list of patterns that matches a message
+ * @param {string} message - User message
+ * @param {Array<RegExp>} patterns - Patterns to try in order
+ * @returns {Object|null} - The RegExp match, or null if none match
+ */
+function matchPatterns(message, patterns) {
+  for (const pattern of patterns) {
+    const match = (message || '').match(pattern);
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run an intent's regex detector and slot extractor
+ * @param {Object} intent - Registered intent
+ * @param {string} message - User message
+ * @returns {{confidence: number, slots: Object}} - Confidence 0 when the intent doesn't match
+ */
+function detectWithRegex(intent, message) {
+  let confidence = 0;
+  let match = null;
+
+  if (intent.detect) {
+    const detected = intent.detect(message);
+    confidence = typeof detected === 'number' ? detected : (detected ? REGEX_CONFIDENCE : 0);
+  } else if (intent.patterns.length > 0) {
+    match = matchPatterns(message, intent.patterns);
+    confidence = match ? REGEX_CONFIDENCE : 0;
+  }
+
+  return { confidence, slots: confidence > 0 ? extractSlots(intent, message, match) : {} };
+}
+
+/**
+ * Extract an intent's slots from a message, with the intent's extractor or its patterns' named groups
+ * @param {Object} intent - Registered intent
+ * @param {string} message - User message
+ * @param {Object|null} match - Pattern match from detection, when there was one
+ * @returns {Object} - Slot values (missing slots are left out)
+ */
+function extractSlots(intent, message, match = null) {
+  const patternMatch = match || matchPatterns(message, intent.patterns);
+  const slots = intent.extractSlots ?
+    intent.extractSlots(message, patternMatch) :
+    { ...(patternMatch?.groups || {}) };
+
+  return Object.fromEntries(
+    Object.entries(slots)
+      .map(([name, value]) => [name, typeof value === 'string' ? value.trim() : value])
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+}
+
+/**
+ * Build the classification prompt for the local LLM
+ * @param {string} message - User message
+ * @param {Array<Object>} candidates - Intents available for this message
+ * @returns {string} - Classification prompt
+ */
+function buildClassifierPrompt(message, candidates) {
+  return `
+You classify messages sent to a fitness and nutrition coach app.
+
+## INTENTS
+${candidates.map(intent => {
+  const slots = Object.entries(intent.slots).map(([name, description]) => `${name}: ${description}`).join('; ');
+  return `- ${intent.name}: ${intent.description}${slots ? ` (slots - ${slots})` : ''}`;
+}).join('\n')}
+
+## MESSAGE
+${message}
+
+## INSTRUCTIONS
+Pick the single intent that best matches the message, with your confidence from 0 to 1.
+Fill in the slots of that intent that the message mentions, copying the user's words.
+Respond with JSON only: {"intent": "name", "confidence": 0.9, "slots": {}}
+`;
+}
+
+/**
+ * Classify a message with the local LLM
+ * @param {string} message - User message
+ * @param {Array<Object>} candidates - Intents available for this message
+ * @returns {Promise<Object>} - { intent, confidence, slots } or { error }
+ */
+async function classifyWithLlm(message, candidates) {
+  const schema = {
+    type: 'object',
+    required: ['intent', 'confidence'],
+    properties: {
+      intent: { type: 'string', enum: candidates.map(intent => intent.name) },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      slots: { type: 'object' }
+    }
+  };
+
+  try {
+    const output = await llm.generateResponse(buildClassifierPrompt(message, candidates), null, { ...CLASSIFIER_OPTIONS, task: 'classify', format: schema });
+    const result = typeof output === 'string' ? JSON.parse(output) : output;
+
+    if (!candidates.some(intent => intent.name === result.intent)) {
+      return { error: `Unknown intent from classifier: ${result.intent}` };
+    }
+
+    return {
+      intent: result.intent,
+      confidence: Math.min(1, Math.max(0, Number(result.confidence) || 0)),
+      slots: result.slots && typeof result.slots === 'object' ? result.slots : {}
+    };
+  } catch (error) {
+    console.error('Error classifying intent with the LLM:', error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Classify a message into ranked intent candidates
+ * @param {string} message - User message
+ * @param {Object} context - Chat context passed to each intent's isAvailable
+ * @returns {Promise<Object>} - { intent, confidence, source, slots, candidates, classifier, llm }
+ */
+async function classifyMessage(message, context = {}) {
+  const available = intents.filter(intent => intent.isAvailable(context));
+
+  // Regex matches in registration order, strongest first
+  const regexCandidates = available
+    .filter(intent => !intent.fallback)
+    .map((intent, index) => ({ intent: intent.name, index, source: 'regex', ...detectWithRegex(intent, message) }))
+    .filter(candidate => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence || a.index - b.index)
+    .map(({ index, ...candidate }) => candidate);
+
+  let llmResult = null;
+  let candidates = regexCandidates;
+
+  if (INTENT_CLASSIFIER === 'llm' && available.length > 0) {
+    llmResult = await classifyWithLlm(message, available);
+
+    if (!llmResult.error && llmResult.confidence >= MIN_LLM_CONFIDENCE) {
+      // Slots found by the patterns take precedence over the model's copies
+      const intent = available.find(item => item.name === llmResult.intent);
+      const regexSlots = extractSlots(intent, message);
+      const slots = Object.fromEntries(Object.keys(intent.slots).map(name => [name, regexSlots[name] || (typeof llmResult.slots[name] === 'string' ? llmResult.slots[name].trim() : null)]).filter(([, value]) => value));
+
+      candidates = [
+        { intent: llmResult.intent, confidence: llmResult.confidence, source: 'llm', slots: { ...regexSlots, ...slots } },
+        ...regexCandidates.filter(candidate => candidate.intent !== llmResult.intent)
+      ];
+    }
+  }
+
+  if (fallbackIntent && fallbackIntent.isAvailable(context) && !candidates.some(candidate => candidate.intent === fallbackIntent.name)) {
+    candidates = [...candidates, { intent: fallbackIntent.name, confidence: FALLBACK_CONFIDENCE, source: 'fallback', slots: {} }];
+  }
+
+  const [top] = candidates;
+  return {
+    intent: top ? top.intent : null,
+    confidence: top ? top.confidence : 0,
+    source: top ? top.source : null,
+    slots: top ? top.slots : {},
+    candidates,
+    classifier: INTENT_CLASSIFIER,
+    llm: llmResult
+  };
+}
+
+/**
+ * Hand a classified message to the first candidate intent whose handler accepts it
+ * @param {Object} classification - Result of classifyMessage
+ * @param {Object} context - Chat context passed to the handlers
+ * @returns {Promise<Object>} - { handledBy, result }, with handledBy null if no handler accepted it
+ */
+async function runCandidates(classification, context = {}) {
+  for (const candidate of classification.candidates) {
+    const intent = intents.find(item => item.name === candidate.intent);
+    const result = await intent.handle({ ...context, classification }, candidate.slots);
+
+    if (result !== null && result !== undefined) {
+      return { handledBy: intent.name, result };
+    }
+
+    console.log(`Intent ${intent.name} passed on the message`);
+  }
+
+  return { handledBy: null, result: null };
+}
+
+/**
+ * Classify a message and hand it to the first candidate intent whose handler accepts it
+ * @param {string} message - User message
+ * @param {Object} context - Chat context passed to the handlers
+ * @returns {Promise<Object>} - { classification, handledBy, result }
+ */
+async function routeMessage(message, context = {}) {
+  const classification = await classifyMessage(message, context);
+  console.log(`Intent for "${message}": ${classification.intent} (${classification.source}, confidence ${classification.confidence})`);
+
+  return { classification, ...await runCandidates(classification, context) };
+}
+
+/**
+ * Split a message into the separate questions it asks, at sentence ends and at
+ * "and" / "also" / "plus" when a new question follows
+ * @param {string} message - User message
+ * @returns {Array<string>} - Message parts in order (the whole message if it can't be split)
+ */
+function splitMessage(message) {
+  const separator = new RegExp(`[?!;]+|\\.(?=\\s|$)|,?\\s+(?:and|also|plus)\\s+(?:also\\s+)?(?=(?:${CLAUSE_STARTERS.join('|')})\\b)`, 'i');
+  const parts = (message || '')
+    .split(separator)
+    .map(part => part.trim())
+    .filter(part => /\w/.test(part));
+
+  return parts.length > 0 ? parts : [message];
+}
+
+/**
+ * Replace slot values such as "it" with the value of the same slot named earlier in the message
+ * @param {Object} slots - Slot values of one candidate
+ * @param {Object} mentioned - Slot values found in earlier parts
+ * @returns {Object} - Slots with references resolved (unresolved references are dropped)
+ */
+function resolveReferences(slots, mentioned) {
+  return Object.fromEntries(
+    Object.entries(slots)
+      .map(([name, value]) => [name, typeof value === 'string' && REFERENCE_PATTERN.test(value) ? mentioned[name] : value])
+      .filter(([, value]) => value)
+  );
+}
+
+/**
+ * Classify each question of a compound message, such as "can I eat pad thai and how many calories is it?"
+ * The parts are only classified (one model call each) when the regex patterns match at least two of them.
+ * @param {string} message - User message
+ * @param {Object} context - Chat context passed to each intent's isAvailable
+ * @returns {Promise<Object>} - { compound, parts: [{ text, classification }] }; compound is true
+ * when at least two parts match an intent other than the fallback
+ */
+async function classifyParts(message, context = {}) {
+  const texts = splitMessage(message);
+  const detectors = intents.filter(intent => !intent.fallback && intent.isAvailable(context));
+  const regexMatched = texts.filter(text => detectors.some(intent => detectWithRegex(intent, text).confidence > 0));
+
+  if (regexMatched.length < 2) {
+    return { compound: false, parts: [] };
+  }
+
+  const parts = [];
+  const mentioned = {};
+
+  for (const text of texts) {
+    const classification = await classifyMessage(text, context);
+    const candidates = classification.candidates.map(candidate => ({ ...candidate, slots: resolveReferences(candidate.slots, mentioned) }));
+    const [top] = candidates;
+
+    parts.push({ text, classification: { ...classification, slots: top ? top.slots : {}, candidates } });
+
+    // Remember what this part names, even for intents that aren't available to the user
+    for (const intent of intents) {
+      Object.entries(detectWithRegex(intent, text).slots)
+        .filter(([, value]) => typeof value === 'string' && !REFERENCE_PATTERN.test(value))
+        .forEach(([name, value]) => { mentioned[name] = value; });
+    }
+  }
+
+  const matched = parts.filter(part => part.classification.source !== 'fallback' && part.classification.intent);
+  console.log(`Split "${message}" into ${parts.length} parts, ${matched.length} with an intent`);
+
+  return { compound: matched.length >= 2, parts };
+}
+
+module.exports = {
+  registerIntent,
+  getIntents,
+  matchPatterns,
+  classifyMessage,
+  classifyParts,
+  splitMessage,
+  runCandidates,
+  routeMessage
+};
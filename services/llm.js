@@ -0,0 +1,415 @@
+/**
+ * LLM service: sends generation requests to the configured provider (Ollama, an
+ * OpenAI-compatible server or the mock provider) with the model chosen for each task.
+ * Calls time out and go through a circuit breaker. Timeouts, connection errors and 5xx/429
+ * responses are retried with backoff; once those give up they throw an error with code
+ * 'LLM_UNAVAILABLE' so callers can fall back. Other errors are thrown as they are.
+ */
+const dotenv = require('dotenv');
+const ollama = require('./ollama');
+const openaiCompatible = require('./openaiCompatible');
+const mockLlm = require('./mockLlm');
+
+// Load environment variables
+dotenv.config();
+
+// Available providers by name; more can be added with registerProvider
+const providers = {
+  ollama,
+  openai: openaiCompatible,
+  mock: mockLlm
+};
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'ollama';
+
+// Generation defaults, overridable per call
+const DEFAULT_OPTIONS = {
+  temperature: parseFloat(process.env.LLM_TEMPERATURE || process.env.OLLAMA_TEMPERATURE || '0.7'),
+  num_predict: parseInt(process.env.LLM_MAX_TOKENS || process.env.OLLAMA_MAX_TOKENS || '256')
+};
+
+// Longest wait for a model call before it is aborted (callers can pass their own `timeout`)
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000');
+
+// Retries after a failed call, waiting LLM_RETRY_BACKOFF_MS and doubling before each one (callers can pass their own `retries`)
+const LLM_RETRIES = parseInt(process.env.LLM_RETRIES || '2');
+const LLM_RETRY_BACKOFF_MS = parseInt(process.env.LLM_RETRY_BACKOFF_MS || '500');
+
+// Failed calls in a row that open the circuit breaker, and how long it stays open before
+// a single trial call is let through
+const LLM_BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD || '5');
+const LLM_BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '30000');
+
+// Network error codes meaning the model server could not be reached or dropped the connection
+const TRANSIENT_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_NETWORK'];
+
+// Circuit breaker state
+const breaker = {
+  failures: 0,
+  openedAt: null,
+  trialInFlight: false
+};
+
+/**
+ * Parse per-task models, e.g. "greeting=llama3.2:1b,plan=llama3:70b"
+ * @param {string} value - Comma-separated task=model pairs
+ * @returns {Object} - Models by task
+ */
+function parseTaskModels(value) {
+  return Object.fromEntries(
+    value.split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([task, model]) => task && model)
+  );
+}
+
+// Models per task. Tasks are the chat intents (e.g. 'greeting', 'workout'), 'classify'
+// for intent classification and 'plan' for fitness plan generation.
+const TASK_MODELS = parseTaskModels(process.env.LLM_TASK_MODELS || '');
+
+/**
+ * Add a provider that LLM_PROVIDER can name
+ * @param {string} name - Provider name
+ * @param {Object} provider - { defaultModel, supportsContext, supportsMessages, generate(request), stream(request, onToken) }
+ */
+function registerProvider(name, provider) {
+  if (typeof provider.generate !== 'function' || typeof provider.stream !== 'function') {
+    throw new Error('An LLM provider needs generate and stream functions');
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Get the configured provider
+ * @returns {Object} - Provider named by LLM_PROVIDER
+ */
+function getProvider() {
+  const provider = providers[LLM_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${LLM_PROVIDER}`);
+  }
+  return provider;
+}
+
+/**
+ * Get the model used for a task
+ * @param {string} task - Task name (e.g. 'greeting', 'plan')
+ * @returns {string} - The task's model, LLM_MODEL or the provider's default model
+ */
+function getModel(task = 'chat') {
+  return TASK_MODELS[task] || process.env.LLM_MODEL || getProvider().defaultModel;
+}
+
+/**
+ * Whether the provider returns context tokens that can be passed back to continue a conversation
+ * @returns {boolean}
+ */
+function supportsContext() {
+  return !!getProvider().supportsContext;
+}
+
+/**
+ * Whether the provider takes previous messages as a list of { role, content } messages
+ * @returns {boolean}
+ */
+function supportsMessages() {
+  return !!getProvider().supportsMessages;
+}
+
+/**
+ * Get the circuit breaker state
+ * @returns {Object} - { state: 'closed'|'open'|'half-open', failures, openedAt, retryAt }
+ */
+function getBreakerStatus() {
+  if (breaker.openedAt === null) {
+    return { state: 'closed', failures: breaker.failures, openedAt: null, retryAt: null };
+  }
+
+  const retryAt = breaker.openedAt + LLM_BREAKER_COOLDOWN_MS;
+  return {
+    state: Date.now() >= retryAt ? 'half-open' : 'open',
+    failures: breaker.failures,
+    openedAt: new Date(breaker.openedAt).toISOString(),
+    retryAt: new Date(retryAt).toISOString()
+  };
+}
+
+/**
+ * Describe the LLM setup and its health
+ * @returns {Object} - { provider, model, taskModels, breaker }
+ */
+function getStatus() {
+  return {
+    provider: LLM_PROVIDER,
+    model: getModel(),
+    taskModels: TASK_MODELS,
+    breaker: getBreakerStatus()
+  };
+}
+
+/**
+ * Whether an error means the model could not be reached (after retries, or with the breaker open)
+ * @param {Error} error - Error thrown by a generation call
+ * @returns {boolean}
+ */
+function isUnavailable(error) {
+  return error?.code === 'LLM_UNAVAILABLE';
+}
+
+/**
+ * Build the error thrown when the model can't be used
+ * @param {string} message - What went wrong
+ * @returns {Error} - Error with code 'LLM_UNAVAILABLE'
+ */
+function unavailableError(message) {
+  const error = new Error(`LLM unavailable: ${message}`);
+  error.code = 'LLM_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Whether a failed call may succeed when retried: a timeout, a connection error or a 5xx/429
+ * response. Errors such as a 400 for an unknown model or a rejected schema are not.
+ * @param {Error} error - Error thrown by a provider call (providers keep the original error as `cause`)
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.code === 'LLM_TIMEOUT') {
+    return true;
+  }
+
+  const original = error.cause || error;
+  const status = original.response?.status ?? original.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  return TRANSIENT_ERROR_CODES.includes(original.code);
+}
+
+/**
+ * Let a call through the circuit breaker, or fail fast while it is open
+ */
+function enterBreaker() {
+  const { state } = getBreakerStatus();
+
+  if (state === 'open' || (state === 'half-open' && breaker.trialInFlight)) {
+    throw unavailableError('circuit breaker is open');
+  }
+  if (state === 'half-open') {
+    breaker.trialInFlight = true;
+  }
+}
+
+/**
+ * Record the outcome of a call that went through the circuit breaker
+ * @param {boolean|null} succeeded - Whether the call succeeded, null when the caller aborted it
+ */
+function recordOutcome(succeeded) {
+  const wasTrial = breaker.trialInFlight;
+  breaker.trialInFlight = false;
+
+  if (succeeded === null) {
+    return;
+  }
+
+  if (succeeded) {
+    if (breaker.openedAt !== null) {
+      console.log('LLM circuit breaker closed');
+    }
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+
+  breaker.failures++;
+  if (wasTrial || breaker.failures >= LLM_BREAKER_THRESHOLD) {
+    breaker.openedAt = Date.now();
+    console.error(`LLM circuit breaker opened after ${breaker.failures} failed calls, retrying in ${LLM_BREAKER_COOLDOWN_MS} ms`);
+  }
+}
+
+/**
+ * Run a provider call with a timeout, aborting it when the timeout or the caller's signal fires
+ * @param {function(AbortSignal): Promise} call - Provider call
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal|null} parentSignal - Caller's signal (optional)
+ * @returns {Promise<*>} - The call's result
+ */
+async function callWithTimeout(call, timeout, parentSignal = null) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  parentSignal?.addEventListener('abort', abort);
+
+  let timer = null;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`timed out after ${timeout} ms`);
+      error.code = 'LLM_TIMEOUT';
+      reject(error);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Call the provider with the timeout, retries and circuit breaker
+ * @param {Object} request - Provider request, optionally with the caller's signal
+ * @param {number} timeout - Timeout per attempt in milliseconds
+ * @param {function(string): void|null} onToken - Streams the call when provided
+ * @param {number} retries - Retries after a transient failure
+ * @returns {Promise<{text: string, context: (Array<number>|null)}>} - Provider result
+ */
+async function callProvider(request, timeout, onToken = null, retries = LLM_RETRIES) {
+  const provider = getProvider();
+  enterBreaker();
+
+  // Tokens that already reached the caller can't be taken back, so a failed stream is only retried before the first one
+  let streamed = false;
+  const handleToken = onToken && (token => {
+    streamed = true;
+    onToken(token);
+  });
+
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = LLM_RETRY_BACKOFF_MS * 2 ** (attempt - 1);
+      console.warn(`Retrying ${request.task} LLM call in ${delay} ms (attempt ${attempt + 1} of ${retries + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    try {
+      const result = await callWithTimeout(signal => handleToken ?
+        provider.stream({ ...request, signal }, handleToken) :
+        provider.generate({ ...request, signal }), timeout, request.signal);
+
+      recordOutcome(true);
+      return result;
+    } catch (error) {
+      lastError = error;
+      console.error(`${request.task} LLM call failed:`, error.message);
+
+      // The caller went away, or retrying can't help, so neither retry nor count it against the model
+      if (request.signal?.aborted || !isTransientError(error)) {
+        recordOutcome(null);
+        throw error;
+      }
+      if (streamed) {
+        break;
+      }
+    }
+  }
+
+  recordOutcome(false);
+  throw unavailableError(lastError.message);
+}
+
+/**
+ * Build a provider request
+ * @param {Object} provider - Provider the request is for
+ * @param {string} prompt - The prompt to send
+ * @param {Array<number>|null} context - Context returned by a previous call
+ * @param {Object} options - Generation options, plus `task` and `history` (previous messages)
+ * @returns {Object} - Request with task, model, prompt, messages, context and options
+ */
+function buildRequest(provider, prompt, context, options) {
+  const { task = 'chat', history = [], timeout, retries, ...generationOptions } = options;
+
+  return {
+    task,
+    model: getModel(task),
+    prompt,
+    messages: provider.supportsMessages ?
+      [...history.map(({ role, content }) => ({ role, content })), { role: 'user', content: prompt }] :
+      undefined,
+    context: provider.supportsContext ? context : null,
+    options: { ...DEFAULT_OPTIONS, ...generationOptions }
+  };
+}
+
+/**
+ * Generate a response and return the conversation context it produced
+ * @param {string} prompt - The prompt to send
+ * @param {Array<number>|null} context - Context returned by a previous call (optional, ignored by providers without context)
+ * @param {Object} options - Generation overrides, e.g. num_predict or a JSON schema as `format`, plus
+ * `task` to pick the model, `history` with previous { role, content } messages, `timeout` in ms and `retries` (optional)
+ * @returns {Promise<{response: (string|object), context: (Array<number>|null)}>} - The parsed response and the new context
+ */
+async function generateResponseWithContext(prompt, context = null, options = {}) {
+  const request = buildRequest(getProvider(), prompt, context, options);
+  const { text, context: newContext } = await callProvider(request, options.timeout || LLM_TIMEOUT_MS, null, options.retries ?? LLM_RETRIES);
+
+  return {
+    response: parseResult(text),
+    context: newContext || null
+  };
+}
+
+/**
+ * Generate a response using the provided prompt
+ * @param {string} prompt - The prompt to send
+ * @param {Array<number>|null} context - Context returned by a previous call (optional)
+ * @param {Object} options - Generation overrides and `task` (see generateResponseWithContext)
+ * @returns {Promise<string|object>} - The parsed response
+ */
+async function generateResponse(prompt, context = null, options = {}) {
+  const { response } = await generateResponseWithContext(prompt, context, options);
+  return response;
+}
+
+/**
+ * Stream a response token by token
+ * @param {string} prompt - The prompt to send
+ * @param {function(string): void} onToken - Called with each generated token
+ * @param {Array<number>|null} context - Context returned by a previous call (optional)
+ * @param {AbortSignal|null} signal - Aborts the generation, e.g. when the client disconnects (optional)
+ * @param {Object} options - Generation overrides and `task` (see generateResponseWithContext)
+ * @returns {Promise<{response: (string|object), context: (Array<number>|null)}>} - The full parsed response and the new context
+ */
+async function streamResponse(prompt, onToken, context = null, signal = null, options = {}) {
+  const request = { ...buildRequest(getProvider(), prompt, context, options), signal };
+  const { text, context: newContext } = await callProvider(request, options.timeout || LLM_TIMEOUT_MS, onToken, options.retries ?? LLM_RETRIES);
+
+  return {
+    response: parseResult(text),
+    context: newContext || null
+  };
+}
+
+/**
+ * Parse the generated text as JSON if it appears to be JSON
+ * @param {string} result - Raw generated text
+ * @returns {string|object} - Parsed object, or the raw string
+ */
+function parseResult(result) {
+  if (result.trim().startsWith('{') && result.trim().endsWith('}')) {
+    try {
+      return JSON.parse(result);
+    } catch (err) {
+      console.warn('Response looks like JSON but failed to parse:', err.message);
+      // Continue with the raw string response
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  registerProvider,
+  getModel,
+  supportsContext,
+  supportsMessages,
+  getStatus,
+  isUnavailable,
+  generateResponse,
+  generateResponseWithContext,
+  streamResponse
+};
@@ -0,0 +1,109 @@
+/**
+ * Offline meal index: full MealDB meal details (including ingredients) keyed by idMeal,
+ * so ingredient lookups and allergy checks work without calling themealdb.com
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Meal index built by `npm run build-meal-index`
+const MEAL_INDEX_PATH = path.join(__dirname, '..', 'data', 'meal_index.json');
+
+// Cache for the meal index
+const indexCache = {
+  meals: null
+};
+
+/**
+ * Load the meal index (cached after the first read)
+ * @returns {Object} - Formatted meals keyed by idMeal
+ */
+function loadIndex() {
+  if (!indexCache.meals) {
+    try {
+      indexCache.meals = JSON.parse(fs.readFileSync(MEAL_INDEX_PATH, 'utf8'));
+
+      if (Object.keys(indexCache.meals).length === 0) {
+        console.warn('Meal index is empty, ingredient lookups will call MealDB. Run `npm run build-meal-index` to build it.');
+      }
+    } catch (error) {
+      // Cache the empty index too, so a missing or broken file isn't re-read on every lookup
+      console.error('Error loading meal index:', error.message);
+      indexCache.meals = {};
+    }
+  }
+
+  return indexCache.meals;
+}
+
+/**
+ * Replace the meal index on disk and in the cache
+ * @param {Object} meals - Formatted meals keyed by idMeal
+ */
+function saveIndex(meals) {
+  fs.writeFileSync(MEAL_INDEX_PATH, JSON.stringify(meals, null, 2));
+  indexCache.meals = meals;
+}
+
+/**
+ * Normalize a meal name for comparison
+ * @param {string} name - Meal name
+ * @returns {string} - Lowercase name without punctuation
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Get a meal from the index by its MealDB ID
+ * @param {string} idMeal - MealDB meal ID
+ * @returns {Object|null} - Formatted meal, or null if it isn't indexed
+ */
+function getMealById(idMeal) {
+  return loadIndex()[idMeal] || null;
+}
+
+/**
+ * Find indexed meals by name, exact matches first (like MealDB's search.php)
+ * @param {string} name - Meal name or part of it
+ * @returns {Array} - Matching formatted meals
+ */
+function findMealsByName(name) {
+  const nameNormalized = normalizeName(name);
+  if (!nameNormalized) return [];
+
+  const matches = Object.values(loadIndex())
+    .filter(meal => normalizeName(meal.name).includes(nameNormalized));
+
+  return matches.sort((a, b) =>
+    (normalizeName(b.name) === nameNormalized) - (normalizeName(a.name) === nameNormalized)
+  );
+}
+
+/**
+ * Get the ingredient names of an indexed meal
+ * @param {Object} lookup - Meal to look up
+ * @param {string} lookup.idMeal - MealDB meal ID (preferred)
+ * @param {string} lookup.name - Meal name, used when there is no ID
+ * @returns {Object|null} - { idMeal, name, ingredients }, or null if the meal isn't indexed
+ */
+function getIngredients({ idMeal = null, name = null }) {
+  const meal = (idMeal && getMealById(idMeal)) || (name && findMealsByName(name)[0]);
+
+  if (!meal) {
+    return null;
+  }
+
+  return {
+    idMeal: meal.id,
+    name: meal.name,
+    ingredients: meal.ingredients.map(ingredient => ingredient.name)
+  };
+}
+
+module.exports = {
+  loadIndex,
+  saveIndex,
+  getMealById,
+  findMealsByName,
+  getIngredients
+};
@@ -0,0 +1,233 @@
+/**
+ * Day-level meal planner: picks breakfast, lunch, dinner and snacks together
+ * so the day's totals land as close as possible to the daily macro targets
+ */
+const meals = require('./meals');
+
+// Share of the daily targets each meal time aims for (snacks share their slot)
+const DEFAULT_SLOT_SHARES = {
+  breakfast: 0.25,
+  lunch: 0.35,
+  dinner: 0.3,
+  snack: 0.1
+};
+
+// Meals that suit a meal time, based on their names
+const SLOT_KEYWORDS = {
+  breakfast: /breakfast|pancake|omelette|egg|shakshuka|chakchouka|migas|porridge|toast|congee|kedgeree|ful medames|nalesniki|blini|tortilla|benedict|pastries|boxty/i,
+  snack: /cake|tart|cookie|biscuit|brownie|fudge|mousse|fool|bars|buns|donut|timbits|beavertails|mandazi|flapjack|salad|soup|romanoff|wontons|kuih|crispy/i
+};
+
+// Number of best candidates per slot that are combined with each other
+const CANDIDATES_PER_SLOT = 6;
+
+// How much each macro's relative error counts in the plan score
+const MACRO_WEIGHTS = {
+  calories: 2,
+  protein: 1.5,
+  carbs: 1,
+  fat: 1
+};
+
+// Score bonus for each liked meal in the plan
+const LIKED_BONUS = 0.02;
+
+/**
+ * Score how far nutrition totals are from the targets (lower is better)
+ * @param {Object} totals - Calories, protein, carbs and fat
+ * @param {Object} targets - Targets with the same keys
+ * @returns {number} - Weighted sum of squared relative errors
+ */
+function scoreTotals(totals, targets) {
+  return Object.entries(MACRO_WEIGHTS).reduce((score, [macro, weight]) => {
+    if (!targets[macro]) return score;
+    const error = (totals[macro] - targets[macro]) / targets[macro];
+    return score + weight * error * error;
+  }, 0);
+}
+
+/**
+ * Add up the nutrition of a list of portions
+ * @param {Array} portions - Objects with a nutrition property
+ * @returns {Object} - Total calories, protein, carbs and fat
+ */
+function sumNutrition(portions) {
+  return portions.reduce((totals, portion) => ({
+    calories: totals.calories + portion.nutrition.calories,
+    protein: totals.protein + portion.nutrition.protein,
+    carbs: totals.carbs + portion.nutrition.carbs,
+    fat: totals.fat + portion.nutrition.fat
+  }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+}
+
+/**
+ * Get the best candidate meals for one slot
+ * @param {Array} candidates - Meals from meals.loadMeals()
+ * @param {string} slotType - 'breakfast', 'lunch', 'dinner' or 'snack'
+ * @param {Object} slotTargets - Calories and macros the slot aims for
+ * @returns {Array} - Best candidates with their portion for the slot
+ */
+function getSlotCandidates(candidates, slotType, slotTargets) {
+  // Prefer meals that suit the meal time when there are enough of them
+  const keywords = SLOT_KEYWORDS[slotType];
+  const suitable = keywords ? candidates.filter(item => keywords.test(item.meal.strMeal)) : [];
+  const pool = suitable.length >= CANDIDATES_PER_SLOT ? suitable : candidates;
+
+  return pool
+    .map(item => {
+      const portion = meals.portionForTarget(item, slotTargets.calories);
+      return { item, ...portion, score: scoreTotals(portion.nutrition, slotTargets) };
+    })
+    .sort((a, b) => a.score - b.score)
+    .slice(0, CANDIDATES_PER_SLOT);
+}
+
+/**
+ * Try every combination of slot candidates and keep the best distinct one
+ * @param {Array<Array>} slotCandidates - Candidates for each slot
+ * @param {Function} rank - Scores a list of picks (lower is better)
+ * @returns {Array|null} - Best picks, one per slot
+ */
+function findBestCombination(slotCandidates, rank) {
+  let best = null;
+  let bestScore = Infinity;
+
+  const search = (slotIndex, picks, usedIds) => {
+    if (slotIndex === slotCandidates.length) {
+      const score = rank(picks);
+      if (score < bestScore) {
+        bestScore = score;
+        best = [...picks];
+      }
+      return;
+    }
+
+    for (const candidate of slotCandidates[slotIndex]) {
+      // Variety: never serve the same meal twice in a day
+      if (usedIds.has(candidate.item.meal.idMeal)) continue;
+
+      usedIds.add(candidate.item.meal.idMeal);
+      picks.push(candidate);
+      search(slotIndex + 1, picks, usedIds);
+      picks.pop();
+      usedIds.delete(candidate.item.meal.idMeal);
+    }
+  };
+
+  search(0, [], new Set());
+  return best;
+}
+
+/**
+ * Step portions to the next size up or down while that brings the day closer to its targets
+ * @param {Array} picks - Chosen candidates
+ * @param {Function} rank - Scores a list of picks (lower is better)
+ * @returns {Array} - Picks with refined portions
+ */
+function refinePortions(picks, rank) {
+  let current = picks;
+  let currentScore = rank(current);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let index = 0; index < current.length; index++) {
+      for (const portion of meals.getAdjacentPortions(current[index].item, current[index])) {
+        const candidate = [...current];
+        candidate[index] = { ...current[index], ...portion };
+
+        const score = rank(candidate);
+        if (score < currentScore) {
+          current = candidate;
+          currentScore = score;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Plan a full day of meals against daily targets
+ * @param {Array} candidates - Meals the user may eat (already filtered for allergies and dislikes)
+ * @param {Object} nutritionData - Daily targets (dailyCalories, dailyProtein, dailyCarbs, dailyFat, optional mealDistribution)
+ * @param {Object} options - Planner options
+ * @param {number} options.snacks - Number of snacks (0-3)
+ * @param {Array<string>} options.likedMealIds - Meal IDs to favour
+ * @returns {Object|null} - { meals, totals, targets, remaining }, or null when there are not enough meals
+ */
+function planDay(candidates, nutritionData, { snacks = 1, likedMealIds = [] } = {}) {
+  const targets = {
+    calories: nutritionData.dailyCalories,
+    protein: nutritionData.dailyProtein,
+    carbs: nutritionData.dailyCarbs,
+    fat: nutritionData.dailyFat
+  };
+
+  const snackCount = Math.min(3, Math.max(0, snacks));
+  const slots = ['breakfast', 'lunch', 'dinner', ...Array(snackCount).fill('snack')];
+
+  if (candidates.length < slots.length) {
+    return null;
+  }
+
+  // Split the snack share between the snacks, and give it to the main meals when there are none
+  const shares = { ...DEFAULT_SLOT_SHARES };
+  for (const slotType of Object.keys(shares)) {
+    shares[slotType] = nutritionData.mealDistribution?.[slotType]?.calories || shares[slotType];
+  }
+  const mainShare = shares.breakfast + shares.lunch + shares.dinner;
+  const slotShare = slotType => {
+    if (slotType === 'snack') return shares.snack / snackCount;
+    return snackCount > 0 ? shares[slotType] : shares[slotType] / mainShare;
+  };
+
+  const slotCandidates = slots.map(slotType => {
+    const share = slotShare(slotType);
+    return getSlotCandidates(candidates, slotType, {
+      calories: targets.calories * share,
+      protein: targets.protein * share,
+      carbs: targets.carbs * share,
+      fat: targets.fat * share
+    });
+  });
+
+  const rank = picks => scoreTotals(sumNutrition(picks), targets) -
+    LIKED_BONUS * picks.filter(pick => likedMealIds.includes(pick.item.meal.idMeal)).length;
+
+  const best = findBestCombination(slotCandidates, rank);
+  if (!best) {
+    return null;
+  }
+
+  const refined = refinePortions(best, rank);
+  const totals = sumNutrition(refined);
+
+  return {
+    meals: refined.map((pick, index) => ({
+      mealTime: slots[index],
+      idMeal: pick.item.meal.idMeal,
+      name: pick.item.meal.strMeal,
+      recipeShare: pick.recipeShare,
+      servings: pick.servings,
+      portion: meals.describePortion(pick.item, pick),
+      nutrition: pick.nutrition,
+      isLiked: likedMealIds.includes(pick.item.meal.idMeal)
+    })),
+    totals,
+    targets,
+    remaining: {
+      calories: targets.calories - totals.calories,
+      protein: targets.protein - totals.protein,
+      carbs: targets.carbs - totals.carbs,
+      fat: targets.fat - totals.fat
+    }
+  };
+}
+
+module.exports = {
+  planDay
+};
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const dotenv = require('dotenv');
+const mealIndex = require('./mealIndex');
+const localMeals = require('./meals');
 
 // Load environment variables
 dotenv.config();
@@ -8,13 +10,19 @@ dotenv.config();
 const MEALDB_API_URL = 'https://www.themealdb.com/api/json/v1/1';
 const MEALDB_API_KEY = process.env.MEALDB_API_KEY || '1'; // Free tier uses '1'
 
+// Query themealdb.com when a meal isn't in the local meal index
+const MEALDB_USE_LIVE_API = process.env.MEALDB_USE_LIVE_API !== 'false';
+
+// Give up on a MealDB request after this long, so an unreachable API fails fast
+const MEALDB_TIMEOUT_MS = parseInt(process.env.MEALDB_TIMEOUT_MS || '5000');
+
 /**
  * Get a single random meal from MealDB API
  * @returns {Promise<Object>} - A meal object with formatted data
  */
 async function getRandomMeal() {
   try {
-    const response = await axios.get(`${MEALDB_API_URL}/random.php`);
+    const response = await axios.get(`${MEALDB_API_URL}/random.php`, { timeout: MEALDB_TIMEOUT_MS });
     
     if (response.data && response.data.meals && response.data.meals.length > 0) {
       return formatMealData(response.data.meals[0]);
@@ -61,7 +69,7 @@ async function getRandomMeals(count = 5) {
  */
 async function getMealsByCategory(category = 'Vegetarian', count = 5) {
   try {
-    const response = await axios.get(`${MEALDB_API_URL}/filter.php?c=${category}`);
+    const response = await axios.get(`${MEALDB_API_URL}/filter.php?c=${category}`, { timeout: MEALDB_TIMEOUT_MS });
     
     if (response.data && response.data.meals && response.data.meals.length > 0) {
       // Get the details for each meal
@@ -85,8 +93,13 @@ async function getMealsByCategory(category = 'Vegetarian', count = 5) {
  * @returns {Promise<Object>} - Formatted meal object
  */
 async function getMealById(id) {
+  const indexedMeal = mealIndex.getMealById(id);
+  if (indexedMeal) {
+    return indexedMeal;
+  }
+  
   try {
-    const response = await axios.get(`${MEALDB_API_URL}/lookup.php?i=${id}`);
+    const response = await axios.get(`${MEALDB_API_URL}/lookup.php?i=${id}`, { timeout: MEALDB_TIMEOUT_MS });
     
     if (response.data && response.data.meals && response.data.meals.length > 0) {
       return formatMealData(response.data.meals[0]);
@@ -99,6 +112,97 @@ async function getMealById(id) {
   }
 }
 
+/**
+ * Find meals by name, from the local meal index first and MealDB when nothing is indexed
+ * @param {string} name - Meal name or part of it
+ * @returns {Promise<Array>} - Array of meal objects with formatted data (empty if none found)
+ */
+async function searchMealsByName(name) {
+  const indexedMeals = mealIndex.findMealsByName(name);
+  if (indexedMeals.length > 0 || !MEALDB_USE_LIVE_API) {
+    return indexedMeals;
+  }
+  
+  try {
+    const response = await axios.get(`${MEALDB_API_URL}/search.php?s=${encodeURIComponent(name)}`, { timeout: MEALDB_TIMEOUT_MS });
+    return (response.data?.meals || []).map(formatMealData);
+  } catch (error) {
+    console.error(`Error searching meals for ${name}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the ingredient names of a meal, by ID when known and by name otherwise
+ * @param {Object} lookup - Meal to look up
+ * @param {string} lookup.idMeal - MealDB meal ID (optional)
+ * @param {string} lookup.name - Meal name
+ * @returns {Promise<Object|null>} - { idMeal, name, ingredients, source } or null if the meal can't be found
+ */
+async function getMealIngredients({ idMeal = null, name = null }) {
+  const indexed = mealIndex.getIngredients({ idMeal, name });
+  if (indexed) {
+    return { ...indexed, source: 'index' };
+  }
+  
+  if (!MEALDB_USE_LIVE_API) {
+    return null;
+  }
+  
+  const meal = idMeal ? await getMealById(idMeal) : (await searchMealsByName(name))[0];
+  if (!meal) {
+    return null;
+  }
+  
+  return {
+    idMeal: meal.id,
+    name: meal.name,
+    ingredients: meal.ingredients.map(ingredient => ingredient.name),
+    source: 'mealdb'
+  };
+}
+
+/**
+ * Rebuild the local meal index from MealDB for every meal in the nutrition dataset.
+ * Meals that can't be fetched keep their existing index entry.
+ * @returns {Promise<Object>} - { indexed, failed } counts
+ */
+async function refreshMealIndex() {
+  const existing = mealIndex.loadIndex();
+  const refreshed = {};
+  let failed = 0;
+  
+  // Fetch one meal at a time to stay within the free API's rate limits
+  for (const item of localMeals.loadMeals()) {
+    const id = item.meal.idMeal;
+    
+    try {
+      const response = await axios.get(`${MEALDB_API_URL}/lookup.php?i=${id}`, { timeout: MEALDB_TIMEOUT_MS });
+      const rawMeal = response.data?.meals?.[0];
+      
+      if (rawMeal) {
+        refreshed[id] = formatMealData(rawMeal);
+        continue;
+      }
+    } catch (error) {
+      console.error(`Error fetching meal ${id} for the index:`, error.message);
+    }
+    
+    failed++;
+    if (existing[id]) {
+      refreshed[id] = existing[id];
+    }
+  }
+  
+  if (Object.keys(refreshed).length === 0) {
+    throw new Error('MealDB returned no meals, keeping the existing index');
+  }
+  
+  mealIndex.saveIndex(refreshed);
+  
+  return { indexed: Object.keys(refreshed).length, failed };
+}
+
 /**
  * Get healthy meals across multiple categories
  * @param {number} count - Total number of meals to return
@@ -168,5 +272,8 @@ module.exports = {
   getRandomMeals,
   getMealsByCategory,
   getMealById,
-  getHealthyMeals
+  searchMealsByName,
+  getMealIngredients,
+  getHealthyMeals,
+  refreshMealIndex
 };
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Local meal dataset with whole-recipe nutrition, servings per recipe and portion scaling
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Meal nutrition dataset (whole-recipe totals, plus servings per recipe where the yield is known)
+const MEALS_PATH = path.join(__dirname, '..', 'data', 'meals_nutrition.json');
+
+// MealDB doesn't publish recipe yields, so recipes without `servings` are estimated to serve one
+// main meal per 600 kcal, the lunch and dinner size in Public Health England's 400-600-600 guidance
+const ESTIMATED_SERVING_CALORIES = 600;
+
+// Portions are tuned in quarter servings within a realistic range
+const PORTION_STEP = 0.25;
+const MIN_PORTION = 0.5;
+const MAX_PORTION = 2.5;
+
+// Cache for the meal dataset
+const mealCache = {
+  meals: null
+};
+
+/**
+ * Estimate how many servings a recipe makes from its total calories
+ * @param {Object} nutrition - Whole-recipe nutrition
+ * @returns {number} - Estimated servings (at least 1)
+ */
+function estimateServings(nutrition) {
+  return Math.max(1, Math.round(nutrition.calories / ESTIMATED_SERVING_CALORIES));
+}
+
+/**
+ * Load all meals (cached after the first read)
+ * @returns {Array} - Meals with meal, nutrition (whole recipe), servings (recipe yield), servingsEstimated
+ * (true when the yield was estimated from calories) and nutritionPerServing
+ */
+function loadMeals() {
+  if (!mealCache.meals) {
+    const rawMeals = JSON.parse(fs.readFileSync(MEALS_PATH, 'utf8'));
+
+    mealCache.meals = rawMeals.map(item => {
+      const servings = item.servings || estimateServings(item.nutrition);
+      return {
+        ...item,
+        servings,
+        servingsEstimated: !item.servings,
+        nutritionPerServing: scaleNutrition(item.nutrition, 1 / servings)
+      };
+    });
+  }
+
+  return mealCache.meals;
+}
+
+/**
+ * Find meals whose name contains the given text
+ * @param {string} name - Meal name or part of it
+ * @returns {Array} - Matching meals
+ */
+function findMealsByName(name) {
+  const nameLower = (name || '').toLowerCase();
+  return loadMeals().filter(item => item.meal.strMeal.toLowerCase().includes(nameLower));
+}
+
+/**
+ * Get a meal by its MealDB ID
+ * @param {string} idMeal - MealDB meal ID
+ * @returns {Object|null} - The meal, or null if it isn't in the dataset
+ */
+function getMealById(idMeal) {
+  return loadMeals().find(item => item.meal.idMeal === String(idMeal)) || null;
+}
+
+/**
+ * Scale nutrition values by a factor
+ * @param {Object} nutrition - Calories, protein, carbs and fat
+ * @param {number} factor - Multiplier
+ * @returns {Object} - Scaled nutrition, rounded to whole numbers
+ */
+function scaleNutrition(nutrition, factor) {
+  return {
+    calories: Math.round(nutrition.calories * factor),
+    protein: Math.round(nutrition.protein * factor),
+    carbs: Math.round(nutrition.carbs * factor),
+    fat: Math.round(nutrition.fat * factor)
+  };
+}
+
+/**
+ * Build a portion from its share of the whole recipe
+ * @param {Object} item - Meal from loadMeals()
+ * @param {number} recipeShare - Share of the whole recipe (e.g. 0.25 for a quarter)
+ * @returns {{recipeShare: number, servings: number, nutrition: Object}} - The portion
+ */
+function portionFromShare(item, recipeShare) {
+  return {
+    recipeShare: Math.round(recipeShare * 10000) / 10000,
+    servings: Math.round(recipeShare * item.servings * 100) / 100,
+    nutrition: scaleNutrition(item.nutrition, recipeShare)
+  };
+}
+
+/**
+ * List the portions a meal can be served in, smallest first
+ * @param {Object} item - Meal from loadMeals()
+ * @returns {Array<number>} - Shares of the whole recipe
+ */
+function getPortionShares(item) {
+  const shares = [];
+  for (let servings = MIN_PORTION; servings <= MAX_PORTION; servings += PORTION_STEP) {
+    shares.push(servings / item.servings);
+  }
+  return shares;
+}
+
+/**
+ * Work out the portion of a meal that best hits a calorie target
+ * @param {Object} item - Meal from loadMeals()
+ * @param {number} targetCalories - Calories the portion should provide
+ * @returns {{recipeShare: number, servings: number, nutrition: Object}} - The portion
+ */
+function portionForTarget(item, targetCalories) {
+  const shares = getPortionShares(item);
+  const closest = shares.reduce((best, share) =>
+    Math.abs(item.nutrition.calories * share - targetCalories) < Math.abs(item.nutrition.calories * best - targetCalories) ?
+      share : best
+  );
+
+  return portionFromShare(item, closest);
+}
+
+/**
+ * Get the next smaller and larger portions of a meal
+ * @param {Object} item - Meal from loadMeals()
+ * @param {Object} portion - Current portion
+ * @returns {Array<Object>} - Neighbouring portions (none past the smallest or largest)
+ */
+function getAdjacentPortions(item, portion) {
+  const shares = getPortionShares(item);
+  const index = shares.findIndex(share => Math.abs(share - portion.recipeShare) < 1e-4);
+
+  return [shares[index - 1], shares[index + 1]]
+    .filter(share => index !== -1 && share !== undefined)
+    .map(share => portionFromShare(item, share));
+}
+
+/**
+ * Describe a portion for prompts and responses
+ * @param {Object} item - Meal from loadMeals()
+ * @param {Object} portion - Portion from portionForTarget() or portionFromShare()
+ * @returns {string} - e.g. "1.5 servings (recipe makes 8)", or "1 serving (recipe makes about 12)" for an estimated yield
+ */
+function describePortion(item, portion) {
+  const yieldText = `recipe makes ${item.servingsEstimated ? 'about ' : ''}${item.servings}`;
+  return `${portion.servings} serving${portion.servings === 1 ? '' : 's'} (${yieldText})`;
+}
+
+/**
+ * Get the portion shown when no target was given: one serving
+ * @param {Object} item - Meal from loadMeals()
+ * @returns {{recipeShare: number, servings: number, nutrition: Object}} - The portion
+ */
+function getDefaultPortion(item) {
+  return portionFromShare(item, 1 / item.servings);
+}
+
+module.exports = {
+  loadMeals,
+  findMealsByName,
+  getMealById,
+  scaleNutrition,
+  estimateServings,
+  portionFromShare,
+  portionForTarget,
+  getAdjacentPortions,
+  getDefaultPortion,
+  describePortion
+};
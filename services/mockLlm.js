@@ -0,0 +1,126 @@
+/**
+ * Deterministic LLM provider for local testing without a model server. Replies come from
+ * queued responses or a custom handler; otherwise prose requests get a fixed reply and
+ * JSON schema requests get the smallest output that satisfies the schema.
+ */
+
+// Responses returned, in order, by the next calls
+const queuedResponses = [];
+
+// Every request received, for assertions
+const calls = [];
+
+// Optional (request) => response used when nothing is queued
+let responseHandler = null;
+
+/**
+ * Queue a response for the next call
+ * @param {string|Object} response - Text, or an object returned as JSON
+ */
+function queueResponse(response) {
+  queuedResponses.push(response);
+}
+
+/**
+ * Answer every call without a queued response with a handler
+ * @param {Function|null} handler - (request) => string or object (or a promise of one, e.g. to test
+ * timeouts), or null for the defaults. Throwing simulates a failed call; give the error a `status`
+ * (e.g. 503) or a network `code` (e.g. 'ECONNREFUSED') to have it retried as an unreachable model.
+ */
+function setResponseHandler(handler) {
+  responseHandler = handler;
+}
+
+/**
+ * List the requests received since the last reset
+ * @returns {Array<Object>} - Requests with task, model, prompt, messages and options
+ */
+function getCalls() {
+  return calls.slice();
+}
+
+/**
+ * Clear queued responses, the handler and recorded calls
+ */
+function reset() {
+  queuedResponses.length = 0;
+  calls.length = 0;
+  responseHandler = null;
+}
+
+/**
+ * Build the smallest value that satisfies a JSON schema
+ * @param {Object} schema - JSON schema
+ * @returns {*} - Value of the schema's type (first enum value, minimum numbers, minItems array items)
+ */
+function sampleFromSchema(schema = {}) {
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        (schema.required || []).map(name => [name, sampleFromSchema(schema.properties?.[name])])
+      );
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    case 'string':
+      return 'x'.repeat(schema.minLength || 0);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Produce the response for a request
+ * @param {Object} request - Generation request from the LLM service
+ * @returns {Promise<string>} - Response text
+ */
+async function respond(request) {
+  calls.push({ task: request.task, model: request.model, prompt: request.prompt, messages: request.messages, options: request.options });
+
+  const response = queuedResponses.length > 0 ? queuedResponses.shift() :
+    responseHandler ? await responseHandler(request) :
+      request.options.format ? sampleFromSchema(typeof request.options.format === 'object' ? request.options.format : { type: 'object' }) :
+        `Mock response (${request.task}).`;
+
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+/**
+ * Generate a completion
+ * @param {Object} request - Generation request from the LLM service
+ * @returns {Promise<{text: string, context: null}>} - Response text
+ */
+async function generate(request) {
+  return { text: await respond(request), context: null };
+}
+
+/**
+ * Stream a completion word by word
+ * @param {Object} request - Generation request from the LLM service
+ * @param {function(string): void} onToken - Called with each token
+ * @returns {Promise<{text: string, context: null}>} - The full response text
+ */
+async function stream(request, onToken) {
+  const text = await respond(request);
+  (text.match(/\S+\s*/g) || []).forEach(token => onToken(token));
+  return { text, context: null };
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock',
+  supportsContext: false,
+  supportsMessages: true,
+  generate,
+  stream,
+  queueResponse,
+  setResponseHandler,
+  getCalls,
+  reset
+};
@@ -0,0 +1,194 @@
+/**
+ * Muscle taxonomy shared by the chat handler and the wger service: muscle groups,
+ * the names users call them and the wger muscle IDs they cover
+ */
+
+// wger muscles by ID
+const MUSCLES = {
+  1: 'Biceps',
+  2: 'Shoulders',
+  3: 'Serratus anterior',
+  4: 'Chest',
+  5: 'Triceps',
+  6: 'Abs',
+  7: 'Calves',
+  8: 'Glutes',
+  9: 'Trapezius',
+  10: 'Quads',
+  11: 'Hamstrings',
+  12: 'Lats',
+  13: 'Brachialis',
+  14: 'Obliques',
+  15: 'Soleus'
+};
+
+// Muscle groups users can ask for. `muscles` are wger muscle IDs and `aliases` are other
+// names for the group (singular and plural forms are both matched).
+const MUSCLE_GROUPS = {
+  'full body': {
+    label: 'Full body',
+    muscles: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    aliases: ['whole body', 'total body']
+  },
+  'upper body': {
+    label: 'Upper body',
+    muscles: [1, 2, 3, 4, 5, 9, 12, 13],
+    aliases: []
+  },
+  'lower body': {
+    label: 'Lower body',
+    muscles: [7, 8, 10, 11, 15],
+    aliases: []
+  },
+  core: {
+    label: 'Core',
+    muscles: [6, 14],
+    aliases: ['midsection', 'stomach', 'belly', 'trunk']
+  },
+  arms: {
+    label: 'Arms',
+    muscles: [1, 5, 13],
+    aliases: ['arm', 'guns']
+  },
+  chest: {
+    label: 'Chest',
+    muscles: [4],
+    aliases: ['pecs', 'pec', 'pectorals', 'pectoral']
+  },
+  back: {
+    label: 'Back',
+    muscles: [12, 9],
+    aliases: ['lats', 'lat', 'traps', 'trap', 'upper back', 'trapezius', 'latissimus']
+  },
+  shoulders: {
+    label: 'Shoulders',
+    muscles: [2],
+    aliases: ['shoulder', 'delts', 'delt', 'deltoids', 'deltoid']
+  },
+  legs: {
+    label: 'Legs',
+    muscles: [10, 11, 8, 7, 15],
+    aliases: ['leg', 'leg day']
+  },
+  glutes: {
+    label: 'Glutes',
+    muscles: [8],
+    aliases: ['glute', 'butt', 'booty', 'bum', 'buttocks', 'hips']
+  },
+  abs: {
+    label: 'Abs',
+    muscles: [6],
+    aliases: ['ab', 'abdominals', 'abdominal', 'six pack', 'sixpack']
+  },
+  obliques: {
+    label: 'Obliques',
+    muscles: [14],
+    aliases: ['oblique', 'love handles', 'side abs']
+  },
+  biceps: {
+    label: 'Biceps',
+    muscles: [1, 13],
+    aliases: ['bicep', 'bis']
+  },
+  triceps: {
+    label: 'Triceps',
+    muscles: [5],
+    aliases: ['tricep', 'tris']
+  },
+  // wger has no forearm muscles; brachialis is the closest it tracks
+  forearms: {
+    label: 'Forearms',
+    muscles: [13],
+    aliases: ['forearm', 'grip', 'wrists', 'wrist', 'brachialis']
+  },
+  quads: {
+    label: 'Quads',
+    muscles: [10],
+    aliases: ['quad', 'quadriceps', 'thighs', 'thigh', 'front of thighs']
+  },
+  hamstrings: {
+    label: 'Hamstrings',
+    muscles: [11],
+    aliases: ['hamstring', 'hammies', 'back of thighs', 'back of legs']
+  },
+  calves: {
+    label: 'Calves',
+    muscles: [7, 15],
+    aliases: ['calf', 'soleus', 'lower legs']
+  }
+};
+
+/**
+ * Normalize text for muscle matching
+ * @param {string} text - Raw text
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+// Every name of every group, longest first so "upper back" wins over "back"
+const GROUP_NAMES = Object.entries(MUSCLE_GROUPS)
+  .flatMap(([key, group]) => [key, group.label, ...group.aliases].map(name => ({ key, name: normalizeText(name) })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * Resolve a muscle group name (a key, label or alias such as 'Upper body' or 'pecs') to its key
+ * @param {string} name - Muscle group name
+ * @returns {string|null} - Key of MUSCLE_GROUPS, or null if unknown
+ */
+function resolveMuscleGroup(name) {
+  const normalized = normalizeText(name);
+  const match = GROUP_NAMES.find(entry => entry.name === normalized || `${entry.name}s` === normalized);
+  return match ? match.key : null;
+}
+
+/**
+ * Find the muscle group a message asks about, preferring the one mentioned first
+ * @param {string} text - User message
+ * @returns {string|null} - Key of MUSCLE_GROUPS, or null if no group is mentioned
+ */
+function findMuscleGroupInText(text) {
+  const normalized = ` ${normalizeText(text)} `;
+  let best = null;
+
+  for (const { key, name } of GROUP_NAMES) {
+    const match = normalized.match(new RegExp(` ${name}(s|es)? `));
+    if (match && (!best || match.index < best.index)) {
+      best = { key, index: match.index };
+    }
+  }
+
+  return best ? best.key : null;
+}
+
+/**
+ * Get the wger muscle IDs covered by one or more muscle groups
+ * @param {string|Array<string>} groups - Muscle group names (keys, labels or aliases)
+ * @returns {Array<number>} - Unique wger muscle IDs (empty if no group is known)
+ */
+function getMuscleIds(groups) {
+  const names = Array.isArray(groups) ? groups : [groups];
+  return [...new Set(names.flatMap(name => MUSCLE_GROUPS[resolveMuscleGroup(name)]?.muscles || []))];
+}
+
+/**
+ * Get the readable name of a wger muscle
+ * @param {number} id - wger muscle ID
+ * @returns {string|null} - Muscle name, or null if unknown
+ */
+function getMuscleName(id) {
+  return MUSCLES[id] || null;
+}
+
+module.exports = {
+  MUSCLES,
+  MUSCLE_GROUPS,
+  resolveMuscleGroup,
+  findMuscleGroupInText,
+  getMuscleIds,
+  getMuscleName
+};
@@ -0,0 +1,233 @@
+/**
+ * Deterministic nutrition calculations: BMR, TDEE and goal-adjusted macro targets
+ */
+
+// TDEE multipliers for each activity level
+const ACTIVITY_MULTIPLIERS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  very: 1.725,
+  extra: 1.9
+};
+
+// Calorie adjustment and protein per kg of bodyweight for each goal
+const GOAL_SETTINGS = {
+  lose: { calorieAdjustment: -0.2, proteinPerKg: 2.0, label: 'Weight loss' },
+  maintain: { calorieAdjustment: 0, proteinPerKg: 1.6, label: 'Maintenance' },
+  gain: { calorieAdjustment: 0.1, proteinPerKg: 1.8, label: 'Muscle gain' }
+};
+
+// Share of calories from fat, and the minimum fat intake per kg
+const FAT_CALORIE_SHARE = 0.25;
+const MIN_FAT_PER_KG = 0.6;
+
+// Safe calorie floors
+const MIN_CALORIES = {
+  male: 1500,
+  female: 1200,
+  other: 1350
+};
+
+/**
+ * Calculate age from a DD/MM/YYYY date of birth
+ * @param {string} dateString - Date of birth
+ * @returns {number|null} - Age in years, or null if the date can't be read
+ */
+function calculateAge(dateString) {
+  try {
+    if (!dateString) return null;
+
+    const parts = dateString.split('/');
+    if (parts.length !== 3) return null;
+
+    const day = parseInt(parts[0]);
+    const month = parseInt(parts[1]);
+    const year = parseInt(parts[2]);
+
+    const birthDate = new Date(year, month - 1, day);
+    const today = new Date();
+
+    let age = today.getFullYear() - birthDate.getFullYear();
+    const monthDiff = today.getMonth() - birthDate.getMonth();
+
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+      age--;
+    }
+
+    return age;
+  } catch (e) {
+    console.error('Error calculating age:', e);
+    return null;
+  }
+}
+
+/**
+ * Normalize a gender value to 'male', 'female' or 'other'
+ * @param {string} gender - Gender from the user profile
+ * @returns {string} - Normalized gender
+ */
+function normalizeGender(gender) {
+  const value = (gender || '').toLowerCase();
+  if (value.startsWith('f') || value.includes('woman')) return 'female';
+  if (value.startsWith('m') || value.includes('man')) return 'male';
+  return 'other';
+}
+
+/**
+ * Map a free-text activity level to a TDEE multiplier key
+ * @param {string} activityLevel - Activity level from the user profile (e.g. 'Moderately active')
+ * @returns {string} - Key of ACTIVITY_MULTIPLIERS
+ */
+function normalizeActivityLevel(activityLevel) {
+  const value = (activityLevel || '').toLowerCase();
+  // Negations first, so "Not very active" isn't read as very active
+  if (/\b(not|inactive|sedentary|little|none)\b/.test(value)) return 'sedentary';
+  if (/\b(extra|extremely|athlete)\b/.test(value)) return 'extra';
+  if (/\b(very|high|highly)\b/.test(value)) return 'very';
+  if (/\b(moderate|moderately|medium)\b/.test(value)) return 'moderate';
+  if (/\b(light|lightly|low)\b/.test(value)) return 'light';
+  if (/\bactive\b/.test(value)) return 'moderate';
+  return 'sedentary';
+}
+
+/**
+ * Map a free-text goal to a key of GOAL_SETTINGS
+ * @param {string} goal - Goal from the user profile (e.g. 'Weight loss', 'Build muscle')
+ * @returns {string} - 'lose', 'maintain' or 'gain'
+ */
+function normalizeGoal(goal) {
+  const value = (goal || '').toLowerCase();
+  if (/(lose|loss|cut|fat|slim)/.test(value)) return 'lose';
+  if (/(gain|muscle|bulk|build|mass)/.test(value)) return 'gain';
+  // Checked after gain so "Build lean muscle" is not a deficit
+  if (/lean/.test(value)) return 'lose';
+  return 'maintain';
+}
+
+/**
+ * Calculate basal metabolic rate.
+ * Uses Katch-McArdle when body fat is known, Mifflin-St Jeor otherwise.
+ * @param {Object} stats - Body stats
+ * @param {number} stats.weight - Weight in kg
+ * @param {number} stats.height - Height in cm
+ * @param {number} stats.age - Age in years
+ * @param {string} stats.gender - 'male', 'female' or 'other'
+ * @param {number|null} stats.bodyFat - Body fat percentage (optional)
+ * @returns {{bmr: number, formula: string}} - BMR in kcal/day and the formula used
+ */
+function calculateBMR({ weight, height, age, gender, bodyFat = null }) {
+  if (bodyFat && bodyFat > 0 && bodyFat < 70) {
+    const leanMass = weight * (1 - bodyFat / 100);
+    return {
+      bmr: Math.round(370 + 21.6 * leanMass),
+      formula: 'Katch-McArdle'
+    };
+  }
+
+  // Mifflin-St Jeor, averaging the sex constants when gender is not male or female
+  const genderConstant = { male: 5, female: -161, other: -78 }[gender];
+  return {
+    bmr: Math.round(10 * weight + 6.25 * height - 5 * age + genderConstant),
+    formula: 'Mifflin-St Jeor'
+  };
+}
+
+/**
+ * Calculate daily calorie and macro targets from a user's body data
+ * @param {Object} bodyData - bodyData from the user profile (weight, height, dateOfBirth, gender, activityLevel, goal, bodyFat)
+ * @param {Object} adjustments - Optional inputs from the user's body metrics history
+ * @param {number|null} adjustments.weight - Trend weight to use instead of bodyData.weight
+ * @param {number} adjustments.calorieChange - Daily calories added to the goal-adjusted target
+ * @returns {Object} - { hasData: true, dailyCalories, dailyProtein, dailyCarbs, dailyFat, ... }
+ *                     or { hasData: false, missing } when required fields are missing
+ */
+function calculateNutritionTargets(bodyData, { weight: trendWeight = null, calorieChange = 0 } = {}) {
+  const weight = trendWeight || parseFloat(bodyData?.weight);
+  const height = parseFloat(bodyData?.height);
+  const age = calculateAge(bodyData?.dateOfBirth) || parseInt(bodyData?.age);
+
+  const missing = [];
+  if (!weight) missing.push('weight');
+  if (!height) missing.push('height');
+  if (!age) missing.push('dateOfBirth');
+
+  if (missing.length > 0) {
+    return { hasData: false, missing };
+  }
+
+  const gender = normalizeGender(bodyData.gender);
+  const activityLevel = normalizeActivityLevel(bodyData.activityLevel);
+  const goal = normalizeGoal(bodyData.goal);
+  const goalSettings = GOAL_SETTINGS[goal];
+
+  const { bmr, formula } = calculateBMR({
+    weight,
+    height,
+    age,
+    gender,
+    bodyFat: parseFloat(bodyData.bodyFat) || null
+  });
+
+  const tdee = Math.round(bmr * ACTIVITY_MULTIPLIERS[activityLevel]);
+  const dailyCalories = Math.max(
+    MIN_CALORIES[gender],
+    Math.round(tdee * (1 + goalSettings.calorieAdjustment)) + calorieChange
+  );
+
+  // Protein from bodyweight, fat from its calorie share, carbs fill the rest
+  const dailyProtein = Math.round(weight * goalSettings.proteinPerKg);
+  const dailyFat = Math.round(Math.max(dailyCalories * FAT_CALORIE_SHARE / 9, weight * MIN_FAT_PER_KG));
+  const dailyCarbs = Math.max(0, Math.round((dailyCalories - dailyProtein * 4 - dailyFat * 9) / 4));
+
+  return {
+    hasData: true,
+    dailyCalories,
+    dailyProtein,
+    dailyCarbs,
+    dailyFat,
+    bmr,
+    tdee,
+    formula,
+    activityLevel,
+    activityMultiplier: ACTIVITY_MULTIPLIERS[activityLevel],
+    goal: goalSettings.label,
+    calorieAdjustment: goalSettings.calorieAdjustment,
+    weightUsed: weight,
+    trendCalorieChange: calorieChange
+  };
+}
+
+/**
+ * Add a calorie change to saved daily targets, keeping protein and fat and moving carbs with the calories
+ * @param {Object} targets - Saved nutritionData (dailyCalories, dailyProtein, dailyCarbs, dailyFat, ...)
+ * @param {number} calorieChange - Daily calories to add (negative to remove)
+ * @param {string} gender - Gender from the user profile, for the calorie floor
+ * @returns {Object} - Targets with the change applied and recorded as trendCalorieChange
+ */
+function applyCalorieChange(targets, calorieChange, gender) {
+  if (!calorieChange) {
+    return targets;
+  }
+
+  // A cut stops at the safe floor, but saved targets already below it are not raised
+  const floor = Math.min(MIN_CALORIES[normalizeGender(gender)], targets.dailyCalories);
+  const dailyCalories = Math.max(floor, targets.dailyCalories + calorieChange);
+  const appliedChange = dailyCalories - targets.dailyCalories;
+
+  return {
+    ...targets,
+    dailyCalories,
+    dailyCarbs: Math.max(0, Math.round((targets.dailyCarbs || 0) + appliedChange / 4)),
+    trendCalorieChange: appliedChange
+  };
+}
+
+module.exports = {
+  calculateAge,
+  calculateBMR,
+  normalizeActivityLevel,
+  normalizeGoal,
+  calculateNutritionTargets,
+  applyCalorieChange
+};
@@ -4,60 +4,143 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
-// Default configuration
-const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434/api/generate';
+// Default configuration. OLLAMA_API_URL may still point at /api/generate or /api/chat.
+const OLLAMA_HOST = (process.env.OLLAMA_HOST || process.env.OLLAMA_API_URL || 'http://localhost:11434')
+  .replace(/\/api\/(generate|chat)\/?$/, '')
+  .replace(/\/$/, '');
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3:8b-instruct-q4_K_M';
 
+// 'generate' sends a single prompt and supports context tokens, 'chat' sends a list of messages
+const OLLAMA_API_MODE = process.env.OLLAMA_API_MODE === 'chat' || /\/api\/chat\/?$/.test(process.env.OLLAMA_API_URL || '') ?
+  'chat' : 'generate';
+
 /**
- * Generate a response from Ollama using the provided prompt
- * @param {string} prompt - The prompt to send to Ollama
- * @param {object|null} context - Additional context to help with response generation (optional)
- * @returns {Promise<object>} - The parsed response from Ollama
+ * Generate a completion with Ollama
+ * @param {Object} request - Generation request from the LLM service
+ * @param {string} request.model - Model name
+ * @param {string} request.prompt - The prompt to send
+ * @param {Array<Object>} request.messages - The prompt with previous messages, as { role, content } (chat mode)
+ * @param {Array<number>|null} request.context - Context returned by a previous call (generate mode)
+ * @param {Object} request.options - Generation options, e.g. num_predict or a JSON schema as `format`
+ * @param {AbortSignal|null} request.signal - Aborts the request, e.g. on timeout
+ * @returns {Promise<{text: string, context: (Array<number>|null)}>} - Generated text and the new context
  */
-const generateResponse = async (prompt, context = null) => {
+const generate = async ({ model, prompt, messages, context = null, options = {}, signal = null }) => {
   try {
-    console.log(`Generating response using model: ${OLLAMA_MODEL}`);
+    console.log(`Generating response using model: ${model} (${OLLAMA_API_MODE})`);
     
-    // PERFORMANCE: Optimize model parameters
-    const requestBody = {
-      model: OLLAMA_MODEL,
-      prompt: prompt,
-      context: context,
-      stream: false,
-      options: {
-        temperature: parseFloat(process.env.OLLAMA_TEMPERATURE || '0.7'),
-        top_p: 0.8,
-        top_k: 40,
-        num_predict: parseInt(process.env.OLLAMA_MAX_TOKENS || '256'),
-        num_ctx: 2048  // Reduced context window for faster processing
-      }
+    const response = await axios.post(`${OLLAMA_HOST}/api/${OLLAMA_API_MODE}`,
+      buildRequestBody({ model, prompt, messages, context, options }, false), {
+        signal: signal || undefined
+      });
+    
+    return {
+      text: OLLAMA_API_MODE === 'chat' ? response.data.message?.content || '' : response.data.response,
+      context: response.data.context || null
     };
+  } catch (error) {
+    console.error('Error calling Ollama API:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+      console.error('Response status:', error.response.status);
+    }
+    throw new Error(`Ollama API error: ${error.message}`, { cause: error });
+  }
+};
 
-    const response = await axios.post(OLLAMA_API_URL, requestBody);
-
-    let result = response.data.response;
+/**
+ * Stream a completion from Ollama token by token
+ * @param {Object} request - Generation request from the LLM service (see generate)
+ * @param {AbortSignal|null} request.signal - Aborts the generation, e.g. when the client disconnects
+ * @param {function(string): void} onToken - Called with each generated token
+ * @returns {Promise<{text: string, context: (Array<number>|null)}>} - The full text and the new context
+ */
+const stream = async ({ model, prompt, messages, context = null, options = {}, signal = null }, onToken) => {
+  try {
+    console.log(`Streaming response using model: ${model} (${OLLAMA_API_MODE})`);
+    
+    const response = await axios.post(`${OLLAMA_HOST}/api/${OLLAMA_API_MODE}`,
+      buildRequestBody({ model, prompt, messages, context, options }, true), {
+        responseType: 'stream',
+        signal: signal || undefined
+      });
     
-    // Try to parse the response as JSON if it appears to be JSON
-    if (result.trim().startsWith('{') && result.trim().endsWith('}')) {
-      try {
-        result = JSON.parse(result);
-      } catch (err) {
-        console.warn('Response looks like JSON but failed to parse:', err.message);
-        // Continue with the raw string response
+    let text = '';
+    let finalContext = null;
+    let buffer = '';
+    
+    // Ollama streams newline-delimited JSON objects
+    const handleLine = line => {
+      if (!line.trim()) return;
+      
+      const chunk = JSON.parse(line);
+      if (chunk.error) {
+        throw new Error(chunk.error);
+      }
+      
+      const token = OLLAMA_API_MODE === 'chat' ? chunk.message?.content : chunk.response;
+      if (token) {
+        text += token;
+        onToken(token);
       }
+      
+      if (chunk.done) {
+        finalContext = chunk.context || null;
+      }
+    };
+    
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
     }
+    handleLine(buffer);
     
-    return result;
+    return {
+      text,
+      context: finalContext
+    };
   } catch (error) {
-    console.error('Error calling Ollama API:', error.message);
-    if (error.response) {
-      console.error('Response data:', error.response.data);
-      console.error('Response status:', error.response.status);
+    console.error('Error streaming from Ollama API:', error.message);
+    throw new Error(`Ollama API error: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Build the request body for Ollama's generate or chat endpoint
+ * @param {Object} request - Generation request (model, prompt, messages, context, options)
+ * @param {boolean} stream - Whether Ollama should stream the response
+ * @returns {Object} - Request body
+ */
+const buildRequestBody = ({ model, prompt, messages, context, options }, stream) => {
+  const { format, ...optionOverrides } = options;
+  
+  // PERFORMANCE: Optimize model parameters
+  const body = {
+    model,
+    stream,
+    format,
+    options: {
+      top_p: 0.8,
+      top_k: 40,
+      num_ctx: 2048,  // Reduced context window for faster processing
+      ...optionOverrides
     }
-    throw new Error(`Ollama API error: ${error.message}`);
+  };
+  
+  if (OLLAMA_API_MODE === 'chat') {
+    return { ...body, messages: messages || [{ role: 'user', content: prompt }] };
   }
+  
+  return { ...body, prompt, context: context || undefined };
 };
 
 module.exports = {
-  generateResponse
-};
\ No newline at end of file
+  name: 'ollama',
+  defaultModel: OLLAMA_MODEL,
+  supportsContext: OLLAMA_API_MODE === 'generate',
+  supportsMessages: OLLAMA_API_MODE === 'chat',
+  generate,
+  stream
+};
@@ -0,0 +1,142 @@
+/**
+ * LLM provider for OpenAI-compatible chat completion servers, such as llama.cpp's server,
+ * vLLM and LM Studio
+ */
+const axios = require('axios');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Base URL of the server's OpenAI-compatible API, including the /v1 prefix
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, '');
+
+// Most local servers ignore the key, but some (and remote gateways) require one
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'local-model';
+
+/**
+ * Build the request body for the chat completions endpoint
+ * @param {Object} request - Generation request (model, prompt, messages, options)
+ * @param {boolean} stream - Whether the server should stream the response
+ * @returns {Object} - Request body
+ */
+function buildRequestBody({ model, prompt, messages, options }, stream) {
+  // Options use Ollama's names, which is what the rest of the app passes
+  const { format, temperature, num_predict: maxTokens, top_p: topP, stop } = options;
+
+  const body = {
+    model,
+    messages: messages || [{ role: 'user', content: prompt }],
+    stream,
+    temperature,
+    top_p: topP,
+    max_tokens: maxTokens,
+    stop
+  };
+
+  if (format === 'json') {
+    body.response_format = { type: 'json_object' };
+  } else if (format && typeof format === 'object') {
+    body.response_format = { type: 'json_schema', json_schema: { name: 'output', schema: format } };
+  }
+
+  return body;
+}
+
+/**
+ * Request headers, with the API key when one is configured
+ * @returns {Object} - Headers
+ */
+function getHeaders() {
+  return OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {};
+}
+
+/**
+ * Generate a completion
+ * @param {Object} request - Generation request from the LLM service (model, prompt, messages, options, signal)
+ * @returns {Promise<{text: string, context: null}>} - Generated text (these servers have no context tokens)
+ */
+async function generate(request) {
+  try {
+    console.log(`Generating response using model: ${request.model} (${OPENAI_BASE_URL})`);
+
+    const response = await axios.post(`${OPENAI_BASE_URL}/chat/completions`, buildRequestBody(request, false), {
+      headers: getHeaders(),
+      signal: request.signal || undefined
+    });
+
+    return {
+      text: response.data.choices?.[0]?.message?.content || '',
+      context: null
+    };
+  } catch (error) {
+    console.error('Error calling OpenAI-compatible API:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+      console.error('Response status:', error.response.status);
+    }
+    throw new Error(`OpenAI-compatible API error: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Stream a completion token by token
+ * @param {Object} request - Generation request from the LLM service (model, prompt, messages, options, signal)
+ * @param {function(string): void} onToken - Called with each generated token
+ * @returns {Promise<{text: string, context: null}>} - The full text
+ */
+async function stream(request, onToken) {
+  try {
+    console.log(`Streaming response using model: ${request.model} (${OPENAI_BASE_URL})`);
+
+    const response = await axios.post(`${OPENAI_BASE_URL}/chat/completions`, buildRequestBody(request, true), {
+      headers: getHeaders(),
+      responseType: 'stream',
+      signal: request.signal || undefined
+    });
+
+    let text = '';
+    let buffer = '';
+
+    // Server-Sent Events: "data: {json}" lines, ending with "data: [DONE]"
+    const handleLine = line => {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.trim().startsWith('data:') || data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || chunk.error);
+      }
+
+      const token = chunk.choices?.[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    };
+
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return { text, context: null };
+  } catch (error) {
+    console.error('Error streaming from OpenAI-compatible API:', error.message);
+    throw new Error(`OpenAI-compatible API error: ${error.message}`, { cause: error });
+  }
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: OPENAI_MODEL,
+  supportsContext: false,
+  supportsMessages: true,
+  generate,
+  stream
+};
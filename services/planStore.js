@@ -0,0 +1,183 @@
+const firebase = require('./firebase');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a reference to a user's saved fitness plans in Firebase
+ * @param {string} userId - The user ID
+ * @param {string} planId - Optional plan ID
+ * @returns {Object} - Firebase database reference
+ */
+function plansRef(userId, planId = null) {
+  const basePath = `users/${userId}/fitnessPlans`;
+  return firebase.admin.database().ref(planId ? `${basePath}/${planId}` : basePath);
+}
+
+/**
+ * Get a reference to the ID of a user's active plan
+ * @param {string} userId - The user ID
+ * @returns {Object} - Firebase database reference
+ */
+function activePlanRef(userId) {
+  return firebase.admin.database().ref(`users/${userId}/activePlanId`);
+}
+
+/**
+ * Save a plan as a new version and make it the active plan
+ * @param {string} userId - The user ID
+ * @param {Object} plan - Validated fitness plan
+ * @param {Object} details - Version details
+ * @param {string} details.change - What this version changed (e.g. 'generated', 'regenerated day 3')
+ * @param {string|null} details.parentId - Plan this version was revised from
+ * @param {string} details.startDate - Day 1 of the plan (YYYY-MM-DD)
+ * @param {Array<string>} details.exerciseCatalog - Exercise names the plan may use
+ * @returns {Promise<Object>} - The saved plan record with its id
+ */
+async function savePlan(userId, plan, { change, parentId = null, startDate, exerciseCatalog = [] }) {
+  const existing = await listPlans(userId);
+  const version = existing.reduce((highest, record) => Math.max(highest, record.version || 0), 0) + 1;
+
+  const ref = plansRef(userId).push();
+  const record = {
+    version,
+    change,
+    parentId,
+    startDate,
+    exerciseCatalog,
+    createdAt: Date.now(),
+    plan
+  };
+
+  await ref.set(record);
+  await activePlanRef(userId).set(ref.key);
+
+  return { id: ref.key, ...record, active: true };
+}
+
+/**
+ * List a user's plan versions, newest first, without the plan contents
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} - Plan summaries
+ */
+async function listPlans(userId) {
+  const [snapshot, activeSnapshot] = await Promise.all([
+    plansRef(userId).once('value'),
+    activePlanRef(userId).once('value')
+  ]);
+  const activePlanId = activeSnapshot.val();
+
+  const plans = [];
+  snapshot.forEach(childSnapshot => {
+    const data = childSnapshot.val();
+    plans.push({
+      id: childSnapshot.key,
+      version: data.version,
+      change: data.change,
+      parentId: data.parentId || null,
+      startDate: data.startDate,
+      createdAt: data.createdAt,
+      planType: data.plan?.overview?.planType || null,
+      active: childSnapshot.key === activePlanId
+    });
+  });
+
+  return plans.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Get a saved plan version
+ * @param {string} userId - The user ID
+ * @param {string} planId - The plan ID
+ * @returns {Promise<Object|null>} - The plan record or null if not found
+ */
+async function getPlan(userId, planId) {
+  const [snapshot, activeSnapshot] = await Promise.all([
+    plansRef(userId, planId).once('value'),
+    activePlanRef(userId).once('value')
+  ]);
+
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  return { id: planId, ...snapshot.val(), active: activeSnapshot.val() === planId };
+}
+
+/**
+ * Get a user's active plan
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - The active plan record or null if the user has none
+ */
+async function getActivePlan(userId) {
+  const activeSnapshot = await activePlanRef(userId).once('value');
+  return activeSnapshot.exists() ? getPlan(userId, activeSnapshot.val()) : null;
+}
+
+/**
+ * Make an earlier plan version the active one
+ * @param {string} userId - The user ID
+ * @param {string} planId - The plan ID
+ * @returns {Promise<Object|null>} - The plan record, or null if not found
+ */
+async function activatePlan(userId, planId) {
+  const record = await getPlan(userId, planId);
+  if (!record) {
+    return null;
+  }
+
+  await activePlanRef(userId).set(planId);
+  return { ...record, active: true };
+}
+
+/**
+ * Work out which plan day a date falls on, cycling through the plan's days
+ * @param {Object} record - Plan record with startDate and plan
+ * @param {string} date - Day to look up (YYYY-MM-DD)
+ * @returns {number} - Plan day number (1-based)
+ */
+function getPlanDay(record, date) {
+  const planLength = Math.max(record.plan.workoutPlan.length, record.plan.mealPlan.length, 1);
+  const elapsed = Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${record.startDate}T00:00:00Z`)) / MS_PER_DAY);
+  return ((elapsed % planLength) + planLength) % planLength + 1;
+}
+
+/**
+ * Add up the calories and protein of one day of a meal plan
+ * @param {Object} mealDay - mealPlan entry with breakfast, lunch, dinner and snacks
+ * @returns {{calories: number, protein: number}} - Day totals
+ */
+function getMealDayTotals(mealDay) {
+  const dayMeals = [mealDay.breakfast, mealDay.lunch, mealDay.dinner, ...(mealDay.snacks || [])].filter(Boolean);
+  return dayMeals.reduce((totals, meal) => ({
+    calories: totals.calories + (meal.calories || 0),
+    protein: totals.protein + (meal.protein || 0)
+  }), { calories: 0, protein: 0 });
+}
+
+/**
+ * Replace the workout and/or meals of one plan day, leaving the other days untouched
+ * @param {Object} plan - The fitness plan
+ * @param {number} day - Plan day to replace
+ * @param {Object} replacement - New entries for the day
+ * @param {Object|null} replacement.workout - New workoutPlan entry (null keeps the current one)
+ * @param {Object|null} replacement.meals - New mealPlan entry (null keeps the current one)
+ * @returns {Object} - A new plan with the day replaced
+ */
+function replaceDay(plan, day, { workout = null, meals = null }) {
+  return {
+    ...plan,
+    workoutPlan: plan.workoutPlan.map(entry => entry.day === day && workout ? { ...workout, day } : entry),
+    mealPlan: plan.mealPlan.map(entry => entry.day === day && meals ? { ...meals, day } : entry)
+  };
+}
+
+module.exports = {
+  savePlan,
+  listPlans,
+  getPlan,
+  getActivePlan,
+  activatePlan,
+  getPlanDay,
+  getMealDayTotals,
+  replaceDay
+};
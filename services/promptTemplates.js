@@ -8,6 +8,8 @@
  * @returns {string} - Formatted user info section
  */
 function buildUserInfoSection(userData) {
+  const bodyData = userData.bodyData || {};
+  
   return `
 ## USER INFO
 Age: ${userData.age || 'Not specified'}
@@ -18,6 +20,8 @@ Fitness Level: ${userData.fitnessLevel || 'Beginner'}
 Goals: ${userData.goals || 'General fitness'}
 Dietary Preferences: ${userData.dietaryPreferences || 'None specified'}
 Restrictions: ${userData.restrictions || 'None specified'}
+Allergies: ${(bodyData.allergies || []).join(', ') || 'None'}
+Food Dislikes: ${(bodyData.foodDislikes || []).join(', ') || 'None'}
 `;
 }
 
@@ -37,9 +41,33 @@ function buildNutritionSection(nutritionData) {
   return `
 ## NUTRITION DATA
 Database contains ${nutritionData.length} meals with complete nutritional information.
-Sample meals:
+Sample meals (per serving):
 ${sampleMeals.map(item => 
-  `- ${item.meal.strMeal}: ${item.nutrition.calories} calories, ${item.nutrition.protein}g protein, ${item.nutrition.carbs}g carbs, ${item.nutrition.fat}g fat`
+  `- ${item.meal.strMeal}: ${item.nutritionPerServing.calories} calories, ${item.nutritionPerServing.protein}g protein, ${item.nutritionPerServing.carbs}g carbs, ${item.nutritionPerServing.fat}g fat`
+).join('\n')}
+`;
+}
+
+/**
+ * Builds the workout catalog section the plan must pick exercises from
+ * @param {Object|null} workoutPlan - Workout plan by day from wger.getFullBodyWorkoutPlan
+ * @returns {string} - Formatted workout catalog section
+ */
+function buildWorkoutCatalogSection(workoutPlan) {
+  const days = Object.entries(workoutPlan || {})
+    .filter(([, day]) => day.exercises && day.exercises.length > 0);
+  
+  if (days.length === 0) {
+    return '';
+  }
+  
+  return `
+## WORKOUT CATALOG
+These are the ONLY exercises available for the workout plan, grouped by suggested training day:
+${days.map(([dayKey, day]) => 
+  `${dayKey} (${day.focus}):\n${day.exercises.map(exercise => 
+    `- ${exercise.name}${exercise.equipment && exercise.equipment.length > 0 ? ` [${exercise.equipment.join(', ')}]` : ''}`
+  ).join('\n')}`
 ).join('\n')}
 `;
 }
@@ -48,9 +76,12 @@ ${sampleMeals.map(item =>
  * Builds the main prompt with instructions for the AI
  * @param {Object} userData - User profile data from Firebase
  * @param {Array} nutritionData - Nutrition data
+ * @param {Object|null} workoutPlan - Workout plan by day to pick exercises from (optional)
  * @returns {string} - Complete prompt for the AI
  */
-function buildWorkoutMealPrompt(userData, nutritionData = []) {
+function buildWorkoutMealPrompt(userData, nutritionData = [], workoutPlan = null) {
+  const workoutCatalog = buildWorkoutCatalogSection(workoutPlan);
+  
   // Determine plan duration based on user preference or default to 7 days
   const planDuration = userData.planDuration || 7;
   
@@ -61,6 +92,7 @@ You are a professional fitness coach and nutritionist. Create a personalized ${p
 
 ${buildUserInfoSection(userData)}
 ${buildNutritionSection(nutritionData)}
+${workoutCatalog}
 
 ## INSTRUCTIONS
 Based on the user's profile and available nutrition data, create a comprehensive plan that includes:
@@ -72,7 +104,7 @@ Based on the user's profile and available nutrition data, create a comprehensive
 
 IMPORTANT GUIDELINES:
 - Tailor exercises to the user's fitness level (${userData.fitnessLevel || 'Beginner'})
-- Select meals that align with their dietary preferences and restrictions
+${workoutCatalog ? '- Use ONLY exercises from the WORKOUT CATALOG and copy their names exactly; do not invent other exercises\n' : ''}- Select meals that align with their dietary preferences and restrictions
 - Calculate appropriate calorie targets based on their stats and goals
 - For weight loss: Create a moderate calorie deficit (300-500 calories below maintenance)
 - For muscle gain: Create a moderate calorie surplus (300-500 calories above maintenance)
@@ -80,42 +112,99 @@ IMPORTANT GUIDELINES:
 - Protein: 1.6-2.2g per kg of bodyweight for muscle building, 1.2-1.6g for maintenance
 
 ## RESPONSE FORMAT
-Structure your response in JSON format with the following sections:
+Respond with JSON only, using exactly this structure with one workoutPlan and one mealPlan entry per day:
 {
   "overview": {
-    "calorieTarget": 0000,
-    "proteinTarget": 000,
-    "carbTarget": 000,
-    "fatTarget": 000,
-    "planType": "Weight Loss/Muscle Building/Maintenance"
+    "calorieTarget": 2000,
+    "proteinTarget": 150,
+    "carbTarget": 200,
+    "fatTarget": 70,
+    "planType": "Weight Loss" | "Muscle Building" | "Maintenance"
   },
-  "workoutPlan": {
-    "day1": {
+  "workoutPlan": [
+    {
+      "day": 1,
       "focus": "Push/Pull/Legs/Cardio/Rest",
       "exercises": [
-        {"name": "Exercise Name", "sets": 0, "reps": 0, "rest": "60s"}
+        {"name": "Exercise Name", "sets": 3, "reps": "8-12", "rest": "60s"}
       ]
-    },
-    "day2": {},
-    // ... continue for all days
-  },
-  "mealPlan": {
-    "day1": {
-      "breakfast": {"name": "Meal Name", "calories": 000, "protein": 00},
-      "lunch": {},
-      "dinner": {},
-      "snacks": []
-    },
-    "day2": {},
-    // ... continue for all days
-  },
+    }
+  ],
+  "mealPlan": [
+    {
+      "day": 1,
+      "breakfast": {"name": "Meal Name", "calories": 450, "protein": 30},
+      "lunch": {"name": "Meal Name", "calories": 600, "protein": 40},
+      "dinner": {"name": "Meal Name", "calories": 650, "protein": 45},
+      "snacks": [{"name": "Snack Name", "calories": 200, "protein": 15}]
+    }
+  ],
   "tips": ["Tip 1", "Tip 2", "Tip 3"]
 }
 
+Rest days keep an entry in workoutPlan with "focus": "Rest" and an empty exercises list.
+
 Ensure all recommendations are personalized to the user's specific profile and goals.
 `;
 }
 
+/**
+ * Builds the prompt to regenerate one day of a saved plan, keeping the rest of the plan
+ * @param {Object} userData - User profile data from Firebase
+ * @param {Object} plan - The saved fitness plan
+ * @param {number} day - Plan day to regenerate
+ * @param {Object} options - Regeneration options
+ * @param {string} options.part - 'workout', 'meals' or 'both'
+ * @param {Array<string>} options.exerciseCatalog - Exercise names the day may use
+ * @param {string} options.request - What the user wants changed (optional)
+ * @returns {string} - Complete prompt for the AI
+ */
+function buildPlanDayPrompt(userData, plan, day, { part = 'both', exerciseCatalog = [], request = '' } = {}) {
+  const workoutDay = plan.workoutPlan.find(entry => entry.day === day) || null;
+  const mealDay = plan.mealPlan.find(entry => entry.day === day) || null;
+  const otherFocuses = plan.workoutPlan
+    .filter(entry => entry.day !== day)
+    .map(entry => `Day ${entry.day}: ${entry.focus}`)
+    .join('\n');
+  
+  return `
+# FITNESS PLAN DAY REGENERATION
+
+You are a professional fitness coach and nutritionist. Rewrite day ${day} of this client's existing plan.
+
+${buildUserInfoSection(userData)}
+
+## PLAN OVERVIEW
+Plan type: ${plan.overview.planType}
+Daily targets: ${plan.overview.calorieTarget} calories, ${plan.overview.proteinTarget}g protein, ${plan.overview.carbTarget}g carbs, ${plan.overview.fatTarget}g fat
+
+## OTHER DAYS (keep the weekly split balanced)
+${otherFocuses || 'None'}
+
+## CURRENT DAY ${day}
+${JSON.stringify({ workout: workoutDay, meals: mealDay }, null, 2)}
+${exerciseCatalog.length > 0 ? `\n## WORKOUT CATALOG\n${exerciseCatalog.map(name => `- ${name}`).join('\n')}\n` : ''}
+## INSTRUCTIONS
+${part === 'meals' ? '- Keep the workout exactly as it is' : '- Write a new workout for this day with a similar focus, unless asked otherwise'}
+${part === 'workout' ? '- Keep the meals exactly as they are' : `- Write new meals that add up to about ${plan.overview.calorieTarget} calories and ${plan.overview.proteinTarget}g protein`}
+${part !== 'workout' ? '- Never use foods the client is allergic to or dislikes, or dishes that usually contain them\n' : ''}${exerciseCatalog.length > 0 ? '- Use ONLY exercises from the WORKOUT CATALOG and copy their names exactly\n' : ''}${request ? `- The client asked: "${request}"\n` : ''}- Use "day": ${day} in both the workout and the meals
+
+## RESPONSE FORMAT
+Respond with JSON only:
+{
+  "workout": {"day": ${day}, "focus": "Push", "exercises": [{"name": "Exercise Name", "sets": 3, "reps": "8-12", "rest": "60s"}]},
+  "meals": {
+    "day": ${day},
+    "breakfast": {"name": "Meal Name", "calories": 450, "protein": 30},
+    "lunch": {"name": "Meal Name", "calories": 600, "protein": 40},
+    "dinner": {"name": "Meal Name", "calories": 650, "protein": 45},
+    "snacks": [{"name": "Snack Name", "calories": 200, "protein": 15}]
+  }
+}
+`;
+}
+
 module.exports = {
-  buildWorkoutMealPrompt
+  buildWorkoutMealPrompt,
+  buildPlanDayPrompt
 };
\ No newline at end of file
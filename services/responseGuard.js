@@ -0,0 +1,251 @@
+/**
+ * Post-generation safety guard: scans the coach's replies for foods the user is
+ * allergic to or dislikes, then annotates or regenerates the reply
+ */
+const firebase = require('./firebase');
+const allergens = require('./allergens');
+
+// 'annotate' appends a warning, 'regenerate' asks the model for a new reply first, 'off' disables the guard
+const RESPONSE_GUARD_MODE = ['annotate', 'regenerate', 'off'].includes(process.env.RESPONSE_GUARD_MODE) ?
+  process.env.RESPONSE_GUARD_MODE : 'annotate';
+
+// The rest of a clause, up to punctuation or a word that starts a new suggestion
+const CLAUSE = String.raw`(?<food>[^,.;:!?()]+?)(?=\s*(?:[,.;:!?()]|\b(?:but|so|then|try|add|use|topped|served|plus)\b|$))`;
+
+// Foods governed by a negating cue are warnings or substitutions, so only those foods are exempt
+// (e.g. "without tofu" or "instead of peanuts"), never the rest of the sentence
+const EXEMPT_PATTERNS = [
+  // "without tofu", "avoid peanuts and cashews", "you're allergic to shellfish"
+  new RegExp(String.raw`\b(?:without|instead of|rather than|free of|free from|avoid\w*|skip\w*|leave out|cut out|omit\w*|no|never|allergic to|allergy to|stay away from|steer clear of|dislike\w*|(?:do not|don['’]?t|should ?n(?:o|['’])t|can['’]?t|cannot) (?:eat|have|like)|(?:can['’]?t|cannot) confirm(?: that)?)\s+${CLAUSE}`, 'gid'),
+  // "swap rice for ...", "replace the cream with ...": only the food being replaced
+  /\b(?:swap|replace)\s+(?:out\s+)?(?<food>[^,.;:!?()]+?)\s+(?:for|with)\b/gid,
+  /\bsubstitute\s+(?:out\s+)?(?<food>[^,.;:!?()]+?)\s+with\b/gid,
+  // "substitute almond milk for dairy milk": the food after "for" is the one replaced
+  /\bsubstitute\s+[^,.;:!?()]+?\s+for\s+(?<food>[^,.;:!?()]+)/gid,
+  // "peanut-free granola"
+  /(?<food>[\w'’]+)[- ]free\b/gid,
+  // "pad thai usually has peanuts, which you're allergic to", "shrimp is not safe for you"
+  /(?<food>[^,.;:!?()]+?)\s*,?\s*(?:(?:which|that) (?:you['’]?re|you are|you) (?:allergic to|dislike|don['’]?t like|do not like|can['’]?t eat|cannot eat)|(?:is|are) (?:not safe|unsafe))/gid
+];
+
+// Foods a sentence says a dish contains ("contains peanuts", "made with crushed peanuts"). These are
+// exempt in sentences that warn the user, and in replies warning about the allergy they name.
+const CONTAINS_PATTERN = new RegExp(String.raw`\b(?:contains?|containing|made (?:with|from)|cooked (?:in|with)|prepared with|includes?|including|has|have|uses?|comes with)\s+${CLAUSE}`, 'gid');
+
+// Words that make a sentence a warning ("which can trigger your allergy", "is not safe for you")
+const WARNING_CUE = /\b(?:allerg\w*|trigger\w*|reactions?|anaphyla\w*|unsafe|not safe|dangerous|should ?n['’]?t eat|should not eat|do not eat|don['’]?t eat|avoid\w*)\b/i;
+
+// Longest excerpt of the original reply kept in the guard log
+const LOG_EXCERPT_LENGTH = 500;
+
+/**
+ * Split a reply into sentences and list items
+ * @param {string} text - Reply text
+ * @returns {Array<string>} - Sentences
+ */
+function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Blank out the foods a sentence warns about or replaces, keeping everything it recommends
+ * @param {string} sentence - One sentence of the reply
+ * @param {Array<RegExp>} patterns - Exempt patterns with a `food` group
+ * @param {Array<string>} foods - Foods exempt wherever they appear (e.g. the meal a warning is about)
+ * @returns {string} - The sentence with exempt foods replaced by spaces
+ */
+function removeExemptFoods(sentence, patterns = EXEMPT_PATTERNS, foods = []) {
+  const characters = sentence.split('');
+
+  for (const pattern of patterns) {
+    for (const match of sentence.matchAll(pattern)) {
+      const [start, end] = match.indices.groups.food;
+      characters.fill(' ', start, end);
+    }
+  }
+
+  const lowerSentence = sentence.toLowerCase();
+  for (const food of foods.filter(Boolean).map(food => food.toLowerCase())) {
+    for (let start = lowerSentence.indexOf(food); start !== -1; start = lowerSentence.indexOf(food, start + food.length)) {
+      characters.fill(' ', start, start + food.length);
+    }
+  }
+
+  return characters.join('');
+}
+
+/**
+ * Find foods in a reply that conflict with the user's allergies or dislikes
+ * @param {string} text - Reply text
+ * @param {Object} profile - The user's food restrictions
+ * @param {Array<string>} profile.allergies - Allergies from bodyData
+ * @param {Array<string>} profile.dislikes - Disliked foods from bodyData
+ * @param {Object} warning - What the reply is meant to warn about (an unsafe or unverified allergy check)
+ * @param {Array<string>} warning.allergies - Allergies the reply may say a dish contains
+ * @param {Array<string>} warning.foods - Foods the warning is about (e.g. the meal that was checked)
+ * @returns {Array<Object>} - Violations with type ('allergy' or 'dislike'), food, term and familyLabel
+ */
+function findViolations(text, { allergies = [], dislikes = [] }, { allergies: warnedAllergies = [], foods: warnedFoods = [] } = {}) {
+  const violations = [];
+
+  const addViolation = (type, match) => {
+    const food = match.allergy;
+    if (!violations.some(violation => violation.type === type && violation.food === food && violation.term === match.term)) {
+      violations.push({ type, food, term: match.term, familyLabel: match.familyLabel });
+    }
+  };
+
+  for (const sentence of splitSentences(text)) {
+    const warns = WARNING_CUE.test(sentence);
+    const recommended = removeExemptFoods(sentence, warns ? [...EXEMPT_PATTERNS, CONTAINS_PATTERN] : EXEMPT_PATTERNS);
+    const described = removeExemptFoods(sentence, [...EXEMPT_PATTERNS, CONTAINS_PATTERN], warnedFoods);
+
+    // Saying what the checked dish contains is the point of the warning, for the allergies it is about
+    allergies.forEach(allergy => {
+      const checked = warnedAllergies.includes(allergy) ? described : recommended;
+      allergens.findAllergensInText(checked, [allergy]).forEach(match => addViolation('allergy', match));
+    });
+    allergens.findAllergensInText(recommended, dislikes).forEach(match => addViolation('dislike', match));
+  }
+
+  return violations;
+}
+
+/**
+ * Build the warning appended to a reply that mentions restricted foods
+ * @param {Array<Object>} violations - Violations from findViolations
+ * @returns {string} - Warning text
+ */
+function buildAnnotation(violations) {
+  const allergyTerms = [...new Set(violations.filter(v => v.type === 'allergy').map(v => `${v.term} (${v.familyLabel})`))];
+  const dislikeTerms = [...new Set(violations.filter(v => v.type === 'dislike').map(v => v.term))];
+
+  const notes = [];
+  if (allergyTerms.length > 0) {
+    notes.push(`⚠️ Allergy warning: this answer mentions ${allergyTerms.join(', ')}, which you're allergic to. Please avoid it or choose a safe substitute.`);
+  }
+  if (dislikeTerms.length > 0) {
+    notes.push(`Note: this answer mentions ${dislikeTerms.join(', ')}, which you told us you don't like. Feel free to swap it for something you enjoy.`);
+  }
+
+  return `\n\n${notes.join('\n')}`;
+}
+
+/**
+ * Build the instruction added to the prompt when a reply is regenerated
+ * @param {Array<Object>} violations - Violations from findViolations
+ * @returns {string} - Correction note for the prompt
+ */
+function buildCorrectionNote(violations) {
+  const terms = [...new Set(violations.map(violation => violation.term))];
+  return `
+    ## SAFETY CORRECTION
+    Your previous answer recommended ${terms.join(', ')}, which the user is allergic to or dislikes.
+    Answer again WITHOUT recommending any of these foods or anything that contains them.
+    Keep any warning that a food contains them.
+  `;
+}
+
+/**
+ * Check a generated reply and annotate or regenerate it when it mentions restricted foods
+ * @param {string} response - Generated reply
+ * @param {Object} profile - { allergies, dislikes } from bodyData
+ * @param {Object} options - Guard options
+ * @param {Function|null} options.regenerate - Called with a correction note, resolves to { response, context };
+ *                                              null when the reply can no longer be replaced (e.g. already streamed)
+ * @param {Object} options.warning - { allergies, foods } the reply warns about (see findViolations)
+ * @returns {Promise<Object>} - { action: 'none'|'annotated'|'regenerated', response, context, violations, annotation }
+ */
+async function guardResponse(response, profile, { regenerate = null, warning = {} } = {}) {
+  const unchanged = { action: 'none', response, context: undefined, violations: [], annotation: '' };
+
+  if (RESPONSE_GUARD_MODE === 'off') {
+    return unchanged;
+  }
+
+  const violations = findViolations(response, profile, warning);
+  if (violations.length === 0) {
+    return unchanged;
+  }
+
+  if (RESPONSE_GUARD_MODE === 'regenerate' && regenerate) {
+    try {
+      const regenerated = await regenerate(buildCorrectionNote(violations));
+      const remaining = findViolations(regenerated.response, profile, warning);
+
+      if (remaining.length === 0) {
+        return { action: 'regenerated', response: regenerated.response, context: regenerated.context, violations, annotation: '' };
+      }
+
+      const annotation = buildAnnotation(remaining);
+      return {
+        action: 'annotated',
+        response: regenerated.response + annotation,
+        context: regenerated.context,
+        violations: remaining,
+        annotation
+      };
+    } catch (error) {
+      console.error('Error regenerating guarded response:', error.message);
+    }
+  }
+
+  const annotation = buildAnnotation(violations);
+  return { action: 'annotated', response: response + annotation, context: undefined, violations, annotation };
+}
+
+/**
+ * Record a guard intervention for later review
+ * @param {Object} entry - What happened
+ * @param {string|null} entry.userId - The user ID
+ * @param {string|null} entry.conversationId - The conversation ID
+ * @param {string} entry.intent - Intent of the reply
+ * @param {string} entry.action - 'annotated' or 'regenerated'
+ * @param {Array<Object>} entry.violations - Violations that were found
+ * @param {string} entry.originalResponse - Reply before the guard changed it
+ * @returns {Promise<void>}
+ */
+async function logIntervention({ userId = null, conversationId = null, intent, action, violations, originalResponse }) {
+  console.log(`🛡️ Response guard ${action} a ${intent} reply for user ${userId || 'unknown'}: ` +
+    violations.map(violation => `${violation.term} (${violation.type})`).join(', '));
+
+  try {
+    await firebase.admin.database().ref('guardLogs').push({
+      userId,
+      conversationId,
+      intent,
+      action,
+      violations,
+      originalResponse: (originalResponse || '').slice(0, LOG_EXCERPT_LENGTH),
+      createdAt: Date.now()
+    });
+  } catch (error) {
+    console.error('Error saving guard log:', error.message);
+  }
+}
+
+/**
+ * Get the most recent guard interventions, newest first
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} - Logged interventions
+ */
+async function getRecentInterventions(limit = 50) {
+  const snapshot = await firebase.admin.database().ref('guardLogs').limitToLast(limit).once('value');
+
+  const entries = [];
+  snapshot.forEach(childSnapshot => {
+    entries.push({ id: childSnapshot.key, ...childSnapshot.val() });
+  });
+
+  return entries.reverse();
+}
+
+module.exports = {
+  findViolations,
+  guardResponse,
+  logIntervention,
+  getRecentInterventions
+};
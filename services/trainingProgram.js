@@ -0,0 +1,320 @@
+/**
+ * Periodized training programs: multi-week mesocycles with weekly progression,
+ * deload weeks and goal-specific rep ranges, dated on a calendar
+ */
+const wger = require('./wger');
+const muscleTaxonomy = require('./muscles');
+const fitnessLevels = require('./fitnessLevels');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Program length limits in weeks
+const MIN_WEEKS = 4;
+const MAX_WEEKS = 12;
+
+// Session length limits in minutes
+const MIN_SESSION_MINUTES = 20;
+const MAX_SESSION_MINUTES = 120;
+
+// Minutes of each session kept for warm-up and cool-down
+const WARMUP_MINUTES = 10;
+
+// Seconds of work per set, and for moving between exercises
+const SET_SECONDS = 40;
+const TRANSITION_SECONDS = 60;
+
+// Exercises per session, whatever the session length
+const MIN_EXERCISES = 2;
+const MAX_EXERCISES = 8;
+
+// Program start days are dated YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rep-range phases by goal, run one after another across the program's blocks
+const GOAL_PHASES = {
+  muscleGain: [
+    { name: 'Hypertrophy', minReps: 10, maxReps: 12, rest: 90 },
+    { name: 'Hypertrophy', minReps: 8, maxReps: 10, rest: 90 },
+    { name: 'Strength-hypertrophy', minReps: 6, maxReps: 8, rest: 120 }
+  ],
+  strength: [
+    { name: 'Volume', minReps: 8, maxReps: 10, rest: 90 },
+    { name: 'Strength', minReps: 5, maxReps: 6, rest: 150 },
+    { name: 'Peak strength', minReps: 3, maxReps: 5, rest: 180 }
+  ],
+  weightLoss: [
+    { name: 'Muscular endurance', minReps: 12, maxReps: 15, rest: 45 },
+    { name: 'Hypertrophy', minReps: 10, maxReps: 12, rest: 60 },
+    { name: 'Strength-endurance', minReps: 8, maxReps: 10, rest: 75 }
+  ],
+  endurance: [
+    { name: 'Muscular endurance', minReps: 15, maxReps: 20, rest: 30 },
+    { name: 'Muscular endurance', minReps: 12, maxReps: 15, rest: 45 }
+  ],
+  general: [
+    { name: 'Foundation', minReps: 12, maxReps: 15, rest: 60 },
+    { name: 'Hypertrophy', minReps: 10, maxReps: 12, rest: 60 },
+    { name: 'Strength', minReps: 8, maxReps: 10, rest: 75 }
+  ]
+};
+
+// Block length in weeks by fitness level; the last week of each block is a deload
+const BLOCK_WEEKS = {
+  Beginner: 6,
+  Intermediate: 5,
+  Advanced: 4
+};
+
+// Working sets per exercise in the first week of a block, and the most sets added by the end of it
+const BASE_SETS = {
+  Beginner: 2,
+  Intermediate: 3,
+  Advanced: 3
+};
+const MAX_ADDED_SETS = 2;
+
+// Target RPE climbs by half a point each week of a block, up to a cap by level
+const START_RPE = 7;
+const RPE_STEP = 0.5;
+const MAX_RPE = {
+  Beginner: 8,
+  Intermediate: 9,
+  Advanced: 9.5
+};
+
+// Deload weeks keep the rep range but cut the sets and the effort
+const DELOAD_SET_FACTOR = 0.6;
+const DELOAD_RPE = 6;
+
+// Days of the week (from the start date) that sessions fall on, by training days per week
+const SESSION_DAY_OFFSETS = {
+  2: [0, 3],
+  3: [0, 2, 4],
+  4: [0, 1, 3, 4],
+  5: [0, 1, 2, 4, 5],
+  6: [0, 1, 2, 3, 4, 5]
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Map a workout profile goal to a periodization goal
+ * @param {string} fitnessGoal - Goal from workoutData (e.g. 'Muscle gain', 'Weight loss')
+ * @returns {string} - Key of GOAL_PHASES
+ */
+function normalizeTrainingGoal(fitnessGoal) {
+  const goal = (fitnessGoal || '').toLowerCase();
+
+  if (/loss|lose|fat/.test(goal)) return 'weightLoss';
+  if (/strength|strong|power/.test(goal)) return 'strength';
+  if (/muscle|gain|hypertroph|bulk|build/.test(goal)) return 'muscleGain';
+  // Checked after muscle gain so "Build lean muscle" is not a weight loss program
+  if (/lean/.test(goal)) return 'weightLoss';
+  if (/endurance|stamina|cardio/.test(goal)) return 'endurance';
+  return 'general';
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Estimate how long a session takes
+ * @param {number} exerciseCount - Exercises in the session
+ * @param {number} sets - Working sets per exercise
+ * @param {number} rest - Rest between sets in seconds
+ * @returns {number} - Minutes, including warm-up and cool-down
+ */
+function estimateSessionMinutes(exerciseCount, sets, rest) {
+  const exerciseSeconds = sets * (SET_SECONDS + rest) + TRANSITION_SECONDS;
+  return Math.round(WARMUP_MINUTES + (exerciseCount * exerciseSeconds) / 60);
+}
+
+/**
+ * Work out the most sets per exercise that fit in a session
+ * @param {number} sessionMinutes - Session length in minutes
+ * @param {number} exerciseCount - Exercises in the session
+ * @param {number} rest - Rest between sets in seconds
+ * @returns {number} - Sets per exercise (at least 1)
+ */
+function maxSetsForDuration(sessionMinutes, exerciseCount, rest) {
+  const secondsPerExercise = ((sessionMinutes - WARMUP_MINUTES) * 60) / exerciseCount;
+  return Math.max(1, Math.floor((secondsPerExercise - TRANSITION_SECONDS) / (SET_SECONDS + rest)));
+}
+
+/**
+ * Build the week-by-week prescription of a program
+ * @param {number} weeks - Program length in weeks
+ * @param {string} goal - Key of GOAL_PHASES
+ * @param {string} level - 'Beginner', 'Intermediate' or 'Advanced'
+ * @returns {Array<Object>} - For each week: { week, type, phase, minReps, maxReps, sets, rpe, rest }
+ */
+function buildWeeklyPrescription(weeks, goal, level) {
+  const phases = GOAL_PHASES[goal];
+  const blockWeeks = BLOCK_WEEKS[level];
+  const blocks = Math.ceil(weeks / blockWeeks);
+  const baseSets = BASE_SETS[level];
+
+  return Array.from({ length: weeks }, (_, index) => {
+    const block = Math.floor(index / blockWeeks);
+    const weekInBlock = index % blockWeeks;
+    const phase = phases[Math.min(phases.length - 1, Math.floor((block * phases.length) / blocks))];
+    const isDeload = weekInBlock === blockWeeks - 1;
+
+    return {
+      week: index + 1,
+      type: isDeload ? 'deload' : 'build',
+      phase: phase.name,
+      minReps: phase.minReps,
+      maxReps: phase.maxReps,
+      sets: isDeload ?
+        Math.max(1, Math.round(baseSets * DELOAD_SET_FACTOR)) :
+        Math.min(baseSets + weekInBlock, baseSets + MAX_ADDED_SETS),
+      rpe: isDeload ? DELOAD_RPE : Math.min(START_RPE + weekInBlock * RPE_STEP, MAX_RPE[level]),
+      rest: phase.rest
+    };
+  });
+}
+
+/**
+ * Choose the exercises of each training day, spread across the day's muscle groups
+ * @param {Array<Array<string>>} split - Muscle groups for each training day
+ * @param {number} exercisesPerSession - Exercises per session
+ * @param {Object} filters - { equipment, difficulty } passed to wger.getExercises
+ * @returns {Promise<Array<Array<Object>>>} - Exercises for each training day
+ */
+async function selectDayExercises(split, exercisesPerSession, { equipment, difficulty }) {
+  const days = [];
+
+  for (const groups of split) {
+    const candidatesByGroup = [];
+    for (const group of groups) {
+      candidatesByGroup.push(await wger.getExercises({ muscles: muscleTaxonomy.getMuscleIds(group), equipment, difficulty }));
+    }
+
+    // Take one exercise per muscle group in turn until the session is full
+    const picked = [];
+    let round = 0;
+    while (picked.length < exercisesPerSession && candidatesByGroup.some(candidates => candidates.length > round)) {
+      for (const candidates of candidatesByGroup) {
+        const exercise = candidates[round];
+        if (exercise && picked.length < exercisesPerSession && !picked.some(item => item.id === exercise.id)) {
+          picked.push(exercise);
+        }
+      }
+      round++;
+    }
+
+    days.push(picked);
+  }
+
+  return days;
+}
+
+/**
+ * Build a periodized training program from a workout profile
+ * @param {Object} workoutData - The user's workout profile (fitnessLevel, fitnessGoal, equipment)
+ * @param {Object} options - Program options
+ * @param {number} options.weeks - Program length (4-12 weeks)
+ * @param {number} options.daysPerWeek - Training days per week (2-6)
+ * @param {number} options.sessionDuration - Session length in minutes (20-120)
+ * @param {string} options.startDate - First day of the program (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { valid: true, program } or { valid: false, errors }
+ */
+async function buildProgram(workoutData = {}, { weeks = 8, daysPerWeek = 3, sessionDuration = 60, startDate }) {
+  const errors = [];
+  const weekCount = parseInt(weeks);
+  const days = parseInt(daysPerWeek);
+  const minutes = parseInt(sessionDuration);
+
+  if (!weekCount || weekCount < MIN_WEEKS || weekCount > MAX_WEEKS) {
+    errors.push(`weeks must be between ${MIN_WEEKS} and ${MAX_WEEKS}`);
+  }
+  if (!SESSION_DAY_OFFSETS[days]) {
+    errors.push('daysPerWeek must be between 2 and 6');
+  }
+  if (!minutes || minutes < MIN_SESSION_MINUTES || minutes > MAX_SESSION_MINUTES) {
+    errors.push(`sessionDuration must be between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES} minutes`);
+  }
+  if (!DATE_PATTERN.test(startDate || '') || isNaN(new Date(`${startDate}T00:00:00Z`).getTime())) {
+    errors.push('startDate must be in YYYY-MM-DD format');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const goal = normalizeTrainingGoal(workoutData.fitnessGoal);
+  const level = fitnessLevels.normalizeLevel(workoutData.fitnessLevel);
+  const prescription = buildWeeklyPrescription(weekCount, goal, level);
+
+  // Size sessions on an average build week, so the sets added later in a block mostly still fit.
+  // Weeks that would overrun the session length are capped in sets.
+  const buildWeeks = prescription.filter(week => week.type === 'build');
+  const averageSets = Math.round(buildWeeks.reduce((total, week) => total + week.sets, 0) / buildWeeks.length);
+  const averageRest = buildWeeks.reduce((total, week) => total + week.rest, 0) / buildWeeks.length;
+  const exerciseSeconds = averageSets * (SET_SECONDS + averageRest) + TRANSITION_SECONDS;
+  const exercisesPerSession = Math.min(MAX_EXERCISES, Math.max(MIN_EXERCISES,
+    Math.floor(((minutes - WARMUP_MINUTES) * 60) / exerciseSeconds)));
+
+  const split = wger.getTrainingSplit(days);
+  const dayExercises = await selectDayExercises(split, exercisesPerSession, {
+    equipment: wger.getEquipmentIds(workoutData.equipment || []),
+    difficulty: fitnessLevels.getMaxDifficulty(level)
+  });
+
+  const schedule = prescription.map(week => {
+    const sessions = split.map((groups, dayIndex) => {
+      const exercises = dayExercises[dayIndex];
+      const sets = Math.min(week.sets, maxSetsForDuration(minutes, Math.max(exercises.length, 1), week.rest));
+      const date = addDays(startDate, (week.week - 1) * 7 + SESSION_DAY_OFFSETS[days][dayIndex]);
+
+      return {
+        date,
+        weekday: WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()],
+        day: dayIndex + 1,
+        focus: groups.join(', '),
+        estimatedMinutes: estimateSessionMinutes(exercises.length, sets, week.rest),
+        exercises: exercises.map(exercise => ({
+          exerciseId: exercise.id,
+          name: exercise.name,
+          equipment: exercise.equipment,
+          sets,
+          reps: `${week.minReps}-${week.maxReps}`,
+          rest: `${week.rest}s`,
+          rpe: week.rpe
+        }))
+      };
+    });
+
+    return { ...week, startDate: addDays(startDate, (week.week - 1) * 7), sessions };
+  });
+
+  return {
+    valid: true,
+    program: {
+      goal,
+      fitnessLevel: level,
+      weeks: weekCount,
+      daysPerWeek: days,
+      sessionDuration: minutes,
+      equipment: workoutData.equipment && workoutData.equipment.length > 0 ? workoutData.equipment : ['Bodyweight only'],
+      startDate,
+      endDate: addDays(startDate, weekCount * 7 - 1),
+      deloadWeeks: prescription.filter(week => week.type === 'deload').map(week => week.week),
+      schedule
+    }
+  };
+}
+
+module.exports = {
+  normalizeTrainingGoal,
+  buildWeeklyPrescription,
+  buildProgram
+};
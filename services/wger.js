@@ -1,5 +1,8 @@
 const axios = require('axios');
 const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const muscleTaxonomy = require('./muscles');
 
 // Load environment variables
 dotenv.config();
@@ -8,6 +11,12 @@ dotenv.config();
 const WGER_API_URL = 'https://wger.de/api/v2';
 const WGER_API_KEY = process.env.WGER_API_KEY || 'YOUR-API-KEY';
 
+// Only query wger.de when the local catalog has no match (off by default for offline deployments)
+const WGER_USE_LIVE_API = process.env.WGER_USE_LIVE_API === 'true';
+
+// Local exercise catalog bundled with the app
+const EXERCISE_CATALOG_PATH = path.join(__dirname, '..', 'data', 'exercises.json');
+
 // Create axios instance with default configuration
 const wgerClient = axios.create({
   baseURL: WGER_API_URL,
@@ -17,48 +26,505 @@ const wgerClient = axios.create({
   }
 });
 
-// Map of muscle names to their IDs in the WGER API
-const muscleGroups = {
-  'chest': 4,
+// Map of WGER equipment IDs to readable names
+const equipmentNames = {
+  1: 'Barbell',
+  2: 'SZ-Bar',
+  3: 'Dumbbell',
+  4: 'Gym mat',
+  5: 'Swiss Ball',
+  6: 'Pull-up bar',
+  7: 'Bodyweight',
+  8: 'Bench',
+  9: 'Incline bench',
+  10: 'Kettlebell',
+  11: 'Resistance band'
+};
+
+// Map of WGER exercise category names to their IDs
+const exerciseCategories = {
+  'abs': 10,
+  'arms': 8,
   'back': 12,
-  'shoulders': 2,
-  'biceps': 1,
-  'triceps': 5,
-  'legs': 10, // Actually quadriceps
-  'abs': 6,
-  'calves': 7,
-  'glutes': 8
+  'calves': 14,
+  'cardio': 15,
+  'chest': 11,
+  'legs': 9,
+  'shoulders': 13
+};
+
+// Map of the equipment options in the user's workout profile to WGER equipment IDs
+const equipmentIdsByName = {
+  'bodyweight only': [7],
+  'dumbbells': [3],
+  'barbell': [1, 2],
+  'kettlebells': [10],
+  'resistance bands': [11],
+  'pull-up bar': [6],
+  'stability ball': [5],
+  'bench': [8, 9]
+};
+
+// Muscle groups trained on each day of a week, by training days per week
+const trainingSplits = {
+  2: [
+    ['chest', 'back', 'legs', 'abs'],
+    ['shoulders', 'glutes', 'arms', 'calves']
+  ],
+  3: [
+    ['chest', 'triceps', 'shoulders'],
+    ['back', 'biceps'],
+    ['legs', 'abs']
+  ],
+  4: [
+    ['chest', 'triceps'],
+    ['back', 'biceps'],
+    ['shoulders', 'abs'],
+    ['legs', 'calves']
+  ],
+  5: [
+    ['chest'],
+    ['back'],
+    ['legs'],
+    ['shoulders'],
+    ['arms', 'abs']
+  ],
+  6: [
+    ['chest'],
+    ['back'],
+    ['legs'],
+    ['shoulders'],
+    ['arms'],
+    ['abs', 'calves']
+  ]
 };
 
+// WGER equipment ID for bodyweight exercises
+const BODYWEIGHT_EQUIPMENT_ID = 7;
+
+// Gym mats and benches are assumed to be available and never exclude an exercise
+const ACCESSORY_EQUIPMENT_IDS = [4, 8, 9];
+
+// Minimum name similarity for a catalog entry to count as a search match
+const CATALOG_MATCH_THRESHOLD = 0.6;
+
+// Cache for the local exercise catalog
+const catalogCache = {
+  exercises: null
+};
+
+// Languages searched when looking up exercises by name
+const SEARCH_LANGUAGES = 'en,de,fr,es,it,nl';
+
 /**
- * Get exercises for a specific muscle group
- * @param {string} muscleGroup - The muscle group name
- * @param {number} count - Number of exercises to return
- * @returns {Promise<Array>} - Array of exercise objects
+ * Get exercises matching several filters at once
+ * @param {Object} filters - Exercise filters
+ * @param {Array<number>} filters.muscles - WGER muscle IDs, an exercise matches if it targets any of them
+ * @param {Array<number>} filters.equipment - WGER equipment IDs the user has available
+ * @param {Array<number|string>} filters.categories - WGER category IDs or names (e.g. 'legs')
+ * @param {number|null} filters.difficulty - Maximum difficulty (1-3), only applied to exercises that define one
+ * @param {number} filters.limit - Maximum number of exercises to return
+ * @returns {Promise<Array>} - Array of formatted exercise objects
  */
-async function getExercisesByMuscleGroup(muscleGroup, count = 5) {
+async function getExercises({ muscles = [], equipment = [], categories = [], difficulty = null, limit = 20 } = {}) {
   try {
-    // Convert muscle group name to ID
-    const muscleId = muscleGroups[muscleGroup.toLowerCase()];
+    const filters = {
+      muscles: [...new Set(muscles)],
+      equipment,
+      categoryIds: categories
+        .map(category => typeof category === 'string' ? exerciseCategories[category.toLowerCase()] : category)
+        .filter(Boolean),
+      difficulty
+    };
+    
+    // Use the local catalog first
+    let matching = loadExerciseCatalog().filter(exercise => matchesFilters(exercise, filters));
+    
+    if (matching.length === 0 && WGER_USE_LIVE_API) {
+      console.log('No catalog exercises match, querying WGER API');
+      const liveExercises = await fetchLiveExercises(filters.muscles);
+      matching = liveExercises.filter(rawExercise => matchesFilters(rawExercise, filters));
+    }
+    
+    return matching
+      .map(rawExercise => formatExerciseData(rawExercise))
+      .filter(exercise => exercise.name)
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Error fetching filtered exercises:', error.message);
+    // Return empty array instead of throwing to avoid breaking the application
+    return [];
+  }
+}
+
+/**
+ * Check whether a catalog or WGER exercise passes the given filters
+ * @param {Object} rawExercise - Catalog entry or raw WGER exercise
+ * @param {Object} filters - Normalized filters built by getExercises
+ * @returns {boolean} - True if the exercise matches every filter
+ */
+function matchesFilters(rawExercise, { muscles, equipment, categoryIds, difficulty }) {
+  const muscleMatch = muscles.length === 0 ||
+    getIds(rawExercise.muscles).some(id => muscles.includes(id));
+  
+  // Exercises without equipment are bodyweight exercises
+  const exerciseEquipment = getIds(rawExercise.equipment)
+    .filter(id => !ACCESSORY_EQUIPMENT_IDS.includes(id));
+  if (exerciseEquipment.length === 0) {
+    exerciseEquipment.push(BODYWEIGHT_EQUIPMENT_ID);
+  }
+  
+  const equipmentMatch = equipment.length === 0 ||
+    exerciseEquipment.every(id => equipment.includes(id));
+  
+  const categoryId = typeof rawExercise.category === 'object' ? rawExercise.category?.id : rawExercise.category;
+  const categoryMatch = categoryIds.length === 0 || categoryIds.includes(categoryId);
+  
+  const difficultyMatch = !difficulty || !rawExercise.difficulty || rawExercise.difficulty <= difficulty;
+  
+  return muscleMatch && equipmentMatch && categoryMatch && difficultyMatch;
+}
+
+/**
+ * Fetch raw exercises from the WGER API for a list of muscles
+ * @param {Array<number>} muscles - WGER muscle IDs (empty for all exercises)
+ * @returns {Promise<Array>} - Raw WGER exercises, deduplicated by ID
+ */
+async function fetchLiveExercises(muscles = []) {
+  // WGER only filters on a single muscle per request, so query each one
+  const muscleIds = muscles.length > 0 ? muscles : [null];
+  const rawExercises = new Map();
+  
+  for (const muscleId of muscleIds) {
+    try {
+      const response = await wgerClient.get('/exerciseinfo/', {
+        params: {
+          muscles: muscleId || undefined,
+          language: 2, // English
+          limit: 100
+        }
+      });
+      
+      for (const rawExercise of response.data?.results || []) {
+        rawExercises.set(rawExercise.id, rawExercise);
+      }
+    } catch (err) {
+      console.error(`Error fetching exercises for muscle ${muscleId}:`, err.message);
+      // Continue with other muscles
+    }
+  }
+  
+  return [...rawExercises.values()];
+}
+
+/**
+ * Load the local exercise catalog (cached after the first read)
+ * @returns {Array} - Catalog entries
+ */
+function loadExerciseCatalog() {
+  if (!catalogCache.exercises) {
+    try {
+      catalogCache.exercises = JSON.parse(fs.readFileSync(EXERCISE_CATALOG_PATH, 'utf8'));
+    } catch (error) {
+      console.error('Error loading exercise catalog:', error.message);
+      return [];
+    }
+  }
+  
+  return catalogCache.exercises;
+}
+
+/**
+ * Rebuild the local exercise catalog from the WGER API.
+ * Curated fields (aliases, difficulty, step-by-step instructions) are kept for exercises already in the catalog.
+ * @returns {Promise<number>} - Number of exercises written to the catalog
+ */
+async function refreshExerciseCatalog() {
+  const existing = new Map(loadExerciseCatalog().map(exercise => [normalizeName(exercise.name), exercise]));
+  const refreshed = [];
+  let url = '/exerciseinfo/';
+  let params = { language: 2, limit: 100 };
+  
+  while (url) {
+    const response = await wgerClient.get(url, { params });
+    
+    for (const rawExercise of response.data?.results || []) {
+      const formatted = formatExerciseData(rawExercise);
+      if (!formatted.name) continue;
+      
+      const curated = existing.get(normalizeName(formatted.name));
+      refreshed.push({
+        id: rawExercise.id,
+        name: formatted.name,
+        aliases: curated?.aliases || (rawExercise.translations || [])
+          .map(translation => translation.name)
+          .filter(name => name && name !== formatted.name),
+        description: formatted.description,
+        category: { id: rawExercise.category?.id, name: formatted.category },
+        muscles: getIds(rawExercise.muscles),
+        musclesSecondary: getIds(rawExercise.muscles_secondary),
+        equipment: getIds(rawExercise.equipment),
+        difficulty: curated?.difficulty || estimateDifficulty(getIds(rawExercise.equipment)),
+        instructions: curated?.instructions || splitInstructions(formatted.description)
+      });
+    }
+    
+    // Follow pagination links until every page is read
+    url = response.data?.next || null;
+    params = undefined;
+  }
+  
+  if (refreshed.length === 0) {
+    throw new Error('WGER API returned no exercises, keeping the existing catalog');
+  }
+  
+  fs.writeFileSync(EXERCISE_CATALOG_PATH, JSON.stringify(refreshed, null, 2));
+  catalogCache.exercises = refreshed;
+  
+  return refreshed.length;
+}
+
+/**
+ * Estimate difficulty (1-3) for an exercise WGER gives no difficulty for
+ * @param {Array<number>} equipmentIds - WGER equipment IDs used by the exercise
+ * @returns {number} - Estimated difficulty level
+ */
+function estimateDifficulty(equipmentIds) {
+  if (equipmentIds.includes(1)) return 2; // Barbell lifts need more technique
+  return 1;
+}
+
+/**
+ * Split an exercise description into instruction steps
+ * @param {string} description - Plain-text description
+ * @returns {Array<string>} - One instruction per sentence
+ */
+function splitInstructions(description) {
+  return (description || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Search exercises by name, tolerating typos, plurals and non-English names
+ * @param {string} name - The exercise name to search for (e.g. 'deadlift', 'Kniebeuge')
+ * @param {number} limit - Maximum number of exercises to return
+ * @param {Object} filters - Optional equipment and difficulty filters
+ * @param {Array<number>} filters.equipment - WGER equipment IDs available (empty for any)
+ * @param {number|null} filters.difficulty - Maximum difficulty (1-3)
+ * @returns {Promise<Array>} - Formatted exercise objects, best match first
+ */
+async function searchExercises(name, limit = 5, { equipment = [], difficulty = null } = {}) {
+  try {
+    const filters = { muscles: [], equipment, categoryIds: [], difficulty };
+    
+    if (!name || !name.trim()) {
+      return [];
+    }
     
-    if (!muscleId) {
-      throw new Error(`Invalid muscle group: ${muscleGroup}. Valid options are: ${Object.keys(muscleGroups).join(', ')}`);
+    // Use the local catalog first, matching names and aliases (including translations)
+    const catalogMatches = loadExerciseCatalog()
+      .map(exercise => ({
+        exercise,
+        score: Math.max(...[exercise.name, ...(exercise.aliases || [])].map(candidate => nameSimilarity(name, candidate)))
+      }))
+      .filter(match => match.score >= CATALOG_MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+    
+    if (catalogMatches.length > 0 || !WGER_USE_LIVE_API) {
+      return catalogMatches
+        .filter(match => matchesFilters(match.exercise, filters))
+        .slice(0, limit)
+        .map(match => formatExerciseData(match.exercise));
     }
     
-    // Get exercises that target this muscle
-    const response = await wgerClient.get('/exercise/', {
-      params: {
-        muscles: muscleId,
-        language: 2, // English
-        limit: count
+    const exerciseIds = new Set();
+    
+    for (const term of getSearchTerms(name)) {
+      try {
+        const response = await wgerClient.get('/exercise/search/', {
+          params: {
+            term,
+            language: SEARCH_LANGUAGES
+          }
+        });
+        
+        for (const suggestion of response.data?.suggestions || []) {
+          const id = suggestion.data?.base_id || suggestion.data?.id;
+          if (id) exerciseIds.add(id);
+        }
+      } catch (err) {
+        console.error(`Error searching exercises for "${term}":`, err.message);
       }
-    });
+      
+      // Stop trying variants once the search returned something
+      if (exerciseIds.size > 0) break;
+    }
+    
+    const exercises = [];
     
-    if (response.data && response.data.results) {
-      return response.data.results.map(formatExerciseData);
+    for (const id of [...exerciseIds].slice(0, limit * 2)) {
+      try {
+        const response = await wgerClient.get(`/exerciseinfo/${id}/`);
+        if (matchesFilters(response.data, filters)) {
+          exercises.push(formatExerciseData(response.data, name));
+        }
+      } catch (err) {
+        console.error(`Error fetching exercise ${id}:`, err.message);
+      }
     }
     
+    return exercises
+      .filter(exercise => exercise.name)
+      .sort((a, b) => nameSimilarity(name, b.matchedName) - nameSimilarity(name, a.matchedName))
+      .slice(0, limit)
+      .map(({ matchedName, ...exercise }) => exercise);
+  } catch (error) {
+    console.error(`Error searching exercises for ${name}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Find catalog exercises that work the same primary muscles as a given exercise
+ * @param {string} name - Name of the exercise to replace
+ * @param {Object} options - Search options
+ * @param {Array<string>} options.exclude - Exercise names that must not be suggested (e.g. already in the workout)
+ * @param {Array<number>} options.equipment - WGER equipment IDs available (empty for any)
+ * @param {number|null} options.difficulty - Maximum difficulty (1-3)
+ * @param {number} options.limit - Maximum number of alternatives to return
+ * @returns {Array} - Formatted exercise objects, most overlapping muscles first
+ */
+function findAlternativeExercises(name, { exclude = [], equipment = [], difficulty = null, limit = 5 } = {}) {
+  const catalog = loadExerciseCatalog();
+  const original = catalog
+    .map(exercise => ({
+      exercise,
+      score: Math.max(...[exercise.name, ...(exercise.aliases || [])].map(candidate => nameSimilarity(name, candidate)))
+    }))
+    .filter(match => match.score >= CATALOG_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)[0]?.exercise;
+  
+  if (!original) {
     return [];
+  }
+  
+  const primaryMuscles = getIds(original.muscles);
+  const excluded = [original.name, ...exclude].map(normalizeName);
+  
+  return catalog
+    .filter(exercise => !excluded.includes(normalizeName(exercise.name)))
+    .filter(exercise => matchesFilters(exercise, { muscles: [], equipment, categoryIds: [], difficulty }))
+    .map(exercise => ({
+      exercise,
+      overlap: getIds(exercise.muscles).filter(id => primaryMuscles.includes(id)).length
+    }))
+    .filter(match => match.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, limit)
+    .map(match => formatExerciseData(match.exercise));
+}
+
+/**
+ * Build search term variants for an exercise name (plural and punctuation tolerant)
+ * @param {string} name - The raw exercise name
+ * @returns {Array<string>} - Unique search terms, most specific first
+ */
+function getSearchTerms(name) {
+  const normalized = normalizeName(name);
+  const singular = normalized.split(' ').map(word => word.replace(/(?<!s)s$/, '')).join(' ');
+  const words = normalized.split(' ');
+  
+  // Try the longest word last as a broad fallback (e.g. "romanian deadlifts" -> "deadlift")
+  const longestWord = [...words].sort((a, b) => b.length - a.length)[0];
+  
+  return [...new Set([name.trim(), normalized, singular, longestWord.replace(/s$/, '')])]
+    .filter(term => term && term.length >= 3);
+}
+
+/**
+ * Normalize an exercise name for comparison
+ * @param {string} name - The name to normalize
+ * @returns {string} - Lowercase name without articles or punctuation
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[-_]/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\b(a|an|the)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score how similar two exercise names are (0 to 1)
+ * @param {string} query - The searched name
+ * @param {string} candidate - The exercise name to compare
+ * @returns {number} - Similarity score, 1 for an exact match
+ */
+function nameSimilarity(query, candidate) {
+  const a = normalizeName(query);
+  const b = normalizeName(candidate);
+  
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (b.startsWith(a) || a.startsWith(b)) return 0.9;
+  if (b.includes(a) || a.includes(b)) return 0.8;
+  
+  // Fall back to edit distance for typos
+  const distance = levenshtein(a, b);
+  return Math.max(0, 1 - distance / Math.max(a.length, b.length)) * 0.7;
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Extract IDs from a WGER list that may hold IDs or objects
+ * @param {Array} items - Muscles or equipment from the WGER API
+ * @returns {Array<number>} - List of IDs
+ */
+function getIds(items) {
+  return (items || []).map(item => typeof item === 'object' ? item.id : item);
+}
+
+/**
+ * Get exercises for a specific muscle group
+ * @param {string} muscleGroup - The muscle group name
+ * @param {number} count - Number of exercises to return
+ * @returns {Promise<Array>} - Array of exercise objects
+ */
+async function getExercisesByMuscleGroup(muscleGroup, count = 5) {
+  try {
+    // Convert muscle group name (or alias) to the WGER muscle IDs it covers
+    const muscleIds = muscleTaxonomy.getMuscleIds(muscleGroup);
+    
+    if (muscleIds.length === 0) {
+      throw new Error(`Invalid muscle group: ${muscleGroup}. Valid options are: ${Object.keys(muscleTaxonomy.MUSCLE_GROUPS).join(', ')}`);
+    }
+    
+    // Get exercises that target these muscles
+    return await getExercises({ muscles: muscleIds, limit: count });
   } catch (error) {
     console.error(`Error fetching exercises for ${muscleGroup}:`, error.message);
     // Return empty array instead of throwing to avoid breaking the application
@@ -68,14 +534,14 @@ async function getExercisesByMuscleGroup(muscleGroup, count = 5) {
 
 /**
  * Get a complete workout plan with exercises for multiple muscle groups
- * @param {string|Array} muscleGroup - Single muscle group or array of muscle groups
- * @param {number} count - Number of exercises per muscle group
+ * @param {string|Array} targetGroups - Single muscle group or array of muscle groups
+ * @param {number} exercisesPerMuscle - Number of exercises per muscle group
  * @returns {Promise<Object>} - Workout plan organized by muscle groups
  */
-async function getWorkoutPlan(muscleGroups, exercisesPerMuscle = 3) {
+async function getWorkoutPlan(targetGroups, exercisesPerMuscle = 3) {
   try {
     // If a single muscle group is provided, convert to array
-    let groups = Array.isArray(muscleGroups) ? muscleGroups : [muscleGroups];
+    let groups = Array.isArray(targetGroups) ? targetGroups : [targetGroups];
     
     // Fix the validation - Check if array has values
     if (!groups || groups.length === 0) {
@@ -90,7 +556,7 @@ async function getWorkoutPlan(muscleGroups, exercisesPerMuscle = 3) {
     for (const group of groups) {
       try {
         // Fix the muscle group validation
-        if (typeof group === 'string' && Object.keys(muscleGroups).includes(group.toLowerCase())) {
+        if (typeof group === 'string' && muscleTaxonomy.resolveMuscleGroup(group)) {
           const exercises = await getExercisesByMuscleGroup(group, exercisesPerMuscle);
           workoutPlan[group] = exercises;
         } else {
@@ -118,59 +584,57 @@ async function getWorkoutPlan(muscleGroups, exercisesPerMuscle = 3) {
   }
 }
 
+/**
+ * Get the muscle groups trained on each day of a week
+ * @param {number} daysPerWeek - Number of workout days per week (2-6, other values use 3)
+ * @returns {Array<Array<string>>} - Muscle groups for each training day
+ */
+function getTrainingSplit(daysPerWeek = 3) {
+  return trainingSplits[daysPerWeek] || trainingSplits[3];
+}
+
+/**
+ * Convert the equipment options of a workout profile to WGER equipment IDs
+ * @param {Array<string>} names - Equipment from workoutData (e.g. 'Dumbbells', 'Bodyweight only')
+ * @returns {Array<number>} - WGER equipment IDs, always including bodyweight
+ */
+function getEquipmentIds(names = []) {
+  const ids = names.flatMap(name => equipmentIdsByName[String(name).toLowerCase()] || []);
+  return [...new Set([BODYWEIGHT_EQUIPMENT_ID, ...ids])];
+}
+
 /**
  * Get a balanced full-body workout plan
  * @param {number} daysPerWeek - Number of workout days per week
+ * @param {Object} options - Exercise filters
+ * @param {Array<number>} options.equipment - WGER equipment IDs the user has available (empty for any)
+ * @param {number|null} options.difficulty - Maximum difficulty (1-3)
+ * @param {number} options.exercisesPerMuscle - Exercises per muscle group
  * @returns {Promise<Object>} - Full workout plan organized by day
  */
-async function getFullBodyWorkoutPlan(daysPerWeek = 3) {
+async function getFullBodyWorkoutPlan(daysPerWeek = 3, { equipment = [], difficulty = null, exercisesPerMuscle = 3 } = {}) {
   try {
-    // Define workout splits based on days per week
-    const workoutSplits = {
-      3: [
-        ['chest', 'triceps', 'shoulders'],
-        ['back', 'biceps'],
-        ['legs', 'abs']
-      ],
-      4: [
-        ['chest', 'triceps'],
-        ['back', 'biceps'],
-        ['shoulders', 'abs'],
-        ['legs', 'calves']
-      ],
-      5: [
-        ['chest'],
-        ['back'],
-        ['legs'],
-        ['shoulders'],
-        ['arms', 'abs']
-      ],
-      6: [
-        ['chest'],
-        ['back'],
-        ['legs'],
-        ['shoulders'],
-        ['arms'],
-        ['abs', 'calves']
-      ]
-    };
-    
-    // Use appropriate split or default to 3 days
-    const split = workoutSplits[daysPerWeek] || workoutSplits[3];
+    const split = getTrainingSplit(daysPerWeek);
     
     // Create workout plan for each day
     const fullPlan = {};
     
     for (let i = 0; i < split.length; i++) {
-      const dayNumber = i + 1;
       const muscleGroupsForDay = split[i];
+      const exercises = [];
       
-      // Get 3 exercises per muscle group for this day
-      const dayPlan = await getWorkoutPlan(muscleGroupsForDay, 3);
+      for (const group of muscleGroupsForDay) {
+        const groupExercises = await getExercises({ muscles: muscleTaxonomy.getMuscleIds(group), equipment, difficulty, limit: exercisesPerMuscle * 2 });
+        
+        // Skip exercises already picked for another muscle group of the day
+        exercises.push(...groupExercises
+          .filter(exercise => !exercises.some(picked => picked.id === exercise.id))
+          .slice(0, exercisesPerMuscle));
+      }
       
-      fullPlan[`day${dayNumber}`] = {
+      fullPlan[`day${i + 1}`] = {
         focus: muscleGroupsForDay.join(', '),
-        exercises: Object.values(dayPlan).flat()
+        exercises
       };
     }
     
@@ -183,24 +647,53 @@ async function getFullBodyWorkoutPlan(daysPerWeek = 3) {
 
 /**
  * Format raw exercise data from WGER API
- * @param {Object} rawExercise - Raw exercise data
+ * @param {Object} rawExercise - Raw exercise data (from /exercise/ or /exerciseinfo/)
+ * @param {string|null} searchedName - Name the user searched for, used to pick the matching translation
  * @returns {Object} - Formatted exercise object
  */
-function formatExerciseData(rawExercise) {
-  return {
+function formatExerciseData(rawExercise, searchedName = null) {
+  // exerciseinfo returns names and descriptions per language
+  const translations = rawExercise.translations || rawExercise.exercises || [];
+  const english = translations.find(translation => translation.language === 2) || translations[0] || {};
+  const matched = searchedName
+    ? [...translations].sort((a, b) => nameSimilarity(searchedName, b.name) - nameSimilarity(searchedName, a.name))[0] || english
+    : english;
+  
+  const description = (rawExercise.description || english.description || '').replace(/<[^>]*>?/gm, ''); // Remove HTML tags
+  
+  const formatted = {
     id: rawExercise.id,
-    name: rawExercise.name,
-    description: rawExercise.description.replace(/<[^>]*>?/gm, ''), // Remove HTML tags
-    muscles: rawExercise.muscles,
-    equipment: rawExercise.equipment,
+    name: rawExercise.name || english.name || '',
+    description,
+    muscles: getNames(rawExercise.muscles, muscleTaxonomy.MUSCLES),
+    musclesSecondary: getNames(rawExercise.muscles_secondary || rawExercise.musclesSecondary, muscleTaxonomy.MUSCLES),
+    equipment: getNames(rawExercise.equipment, equipmentNames),
     category: rawExercise.category?.name || 'Unknown',
-    instructions: [
-      'Sets: 3-4',
-      'Reps: 8-12',
-      'Rest: 60-90 seconds between sets'
-    ],
+    difficulty: rawExercise.difficulty || null,
+    instructions: rawExercise.instructions || splitInstructions(description),
     variations: []
   };
+  
+  if (searchedName) {
+    formatted.matchedName = matched.name || formatted.name;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Convert WGER muscles or equipment (IDs or objects) to readable names
+ * @param {Array} items - Muscles or equipment from the WGER API
+ * @param {Object} namesById - Lookup of readable names by ID
+ * @returns {Array<string>} - List of names
+ */
+function getNames(items, namesById) {
+  return (items || []).map(item => {
+    if (typeof item === 'object') {
+      return namesById[item.id] || item.name_en || item.name;
+    }
+    return namesById[item] || String(item);
+  });
 }
 
 // Get all available exercise categories
@@ -215,9 +708,14 @@ async function getExerciseCategories() {
 }
 
 module.exports = {
+  getExercises,
+  searchExercises,
+  findAlternativeExercises,
   getExercisesByMuscleGroup,
   getWorkoutPlan,
   getFullBodyWorkoutPlan,
+  getTrainingSplit,
+  getEquipmentIds,
   getExerciseCategories,
-  muscleGroups
+  refreshExerciseCatalog
 };
@@ -0,0 +1,298 @@
+const firebase = require('./firebase');
+
+// Number of recent sessions read when working out progressions
+const HISTORY_SESSIONS = 30;
+
+// RPE at or below which hitting the top of the rep range earns more load
+const PROGRESSION_RPE = 8;
+
+// RPE at or above which a set counts as a grind
+const MAX_EFFORT_RPE = 9.5;
+
+// Load increments in kg: smaller jumps for lighter lifts
+const SMALL_LOAD_INCREMENT = 1;
+const LOAD_INCREMENT = 2.5;
+const LARGE_LOAD_INCREMENT = 5;
+
+// Loads are rounded to what plates and dumbbells allow
+const LOAD_ROUNDING = 0.5;
+
+// Share of the load taken off for a deload
+const DELOAD_FACTOR = 0.9;
+
+// Sessions are dated YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a reference to a user's workout log in Firebase
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - Optional session ID
+ * @returns {Object} - Firebase database reference
+ */
+function workoutLogRef(userId, sessionId = null) {
+  const basePath = `users/${userId}/workoutLog`;
+  return firebase.admin.database().ref(sessionId ? `${basePath}/${sessionId}` : basePath);
+}
+
+/**
+ * Normalize an exercise name for comparison
+ * @param {string} name - Exercise name
+ * @returns {string} - Lowercase name without punctuation
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Build a workout session from request data
+ * @param {Object} input - Session data
+ * @param {string} input.date - Day of the session (YYYY-MM-DD)
+ * @param {string} input.name - Optional session name (e.g. 'Push day')
+ * @param {string} input.notes - Optional notes
+ * @param {Array} input.exercises - Exercises with name, optional exerciseId and sets of { reps, load, rpe }
+ * @returns {Object} - { valid: true, session } or { valid: false, errors }
+ */
+function buildSession({ date, name = '', notes = '', exercises }) {
+  const errors = [];
+
+  if (!DATE_PATTERN.test(date || '')) {
+    errors.push('date must be in YYYY-MM-DD format');
+  }
+  if (!Array.isArray(exercises) || exercises.length === 0) {
+    errors.push('exercises must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  const loggedExercises = exercises.map((exercise, exerciseIndex) => {
+    const path = `exercises[${exerciseIndex}]`;
+
+    if (!exercise.name || !exercise.name.trim()) {
+      errors.push(`${path}.name is required`);
+    }
+    if (!Array.isArray(exercise.sets) || exercise.sets.length === 0) {
+      errors.push(`${path}.sets must be a non-empty array`);
+      return null;
+    }
+
+    const sets = exercise.sets.map((set, setIndex) => {
+      const reps = parseInt(set.reps);
+      const load = set.load === undefined || set.load === null ? 0 : parseFloat(set.load);
+      const rpe = set.rpe === undefined || set.rpe === null ? null : parseFloat(set.rpe);
+
+      if (!reps || reps < 0) errors.push(`${path}.sets[${setIndex}].reps must be a positive whole number`);
+      if (isNaN(load) || load < 0) errors.push(`${path}.sets[${setIndex}].load must be a number of 0 or more (kg)`);
+      if (rpe !== null && (isNaN(rpe) || rpe < 1 || rpe > 10)) errors.push(`${path}.sets[${setIndex}].rpe must be between 1 and 10`);
+
+      return { reps, load, rpe };
+    });
+
+    return {
+      exerciseId: exercise.exerciseId || null,
+      name: (exercise.name || '').trim(),
+      sets
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    session: { date, name, notes, exercises: loggedExercises }
+  };
+}
+
+/**
+ * Save a workout session
+ * @param {string} userId - The user ID
+ * @param {Object} session - Session from buildSession
+ * @returns {Promise<Object>} - The saved session with its id
+ */
+async function addSession(userId, session) {
+  const ref = workoutLogRef(userId).push();
+  const saved = { ...session, loggedAt: Date.now() };
+  await ref.set(saved);
+  return { id: ref.key, ...saved };
+}
+
+/**
+ * List a user's recent workout sessions, newest first
+ * @param {string} userId - The user ID
+ * @param {number} limit - Maximum number of sessions
+ * @returns {Promise<Array>} - Sessions with their ids
+ */
+async function listSessions(userId, limit = HISTORY_SESSIONS) {
+  const snapshot = await workoutLogRef(userId).limitToLast(limit).once('value');
+
+  const sessions = [];
+  snapshot.forEach(childSnapshot => {
+    sessions.push({ id: childSnapshot.key, ...childSnapshot.val() });
+  });
+
+  // Sessions can be logged after the fact, so order by their date first
+  return sessions.sort((a, b) => b.date.localeCompare(a.date) || b.loggedAt - a.loggedAt);
+}
+
+/**
+ * Get a single workout session
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|null>} - The session or null if not found
+ */
+async function getSession(userId, sessionId) {
+  const snapshot = await workoutLogRef(userId, sessionId).once('value');
+  return snapshot.exists() ? { id: sessionId, ...snapshot.val() } : null;
+}
+
+/**
+ * Delete a workout session
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<boolean>} - False if the session didn't exist
+ */
+async function deleteSession(userId, sessionId) {
+  const existing = await getSession(userId, sessionId);
+  if (!existing) {
+    return false;
+  }
+
+  await workoutLogRef(userId, sessionId).remove();
+  return true;
+}
+
+/**
+ * Get the load increment for a lift
+ * @param {number} load - Current load in kg
+ * @returns {number} - Increment in kg
+ */
+function loadIncrement(load) {
+  if (load < 20) return SMALL_LOAD_INCREMENT;
+  if (load >= 100) return LARGE_LOAD_INCREMENT;
+  return LOAD_INCREMENT;
+}
+
+/**
+ * Round a load to the nearest plate step
+ * @param {number} load - Load in kg
+ * @returns {number} - Rounded load
+ */
+function roundLoad(load) {
+  return Math.round(load / LOAD_ROUNDING) * LOAD_ROUNDING;
+}
+
+/**
+ * Work out the next target for an exercise from its logged history (double progression:
+ * add reps until the top of the range is hit at a comfortable RPE, then add load)
+ * @param {Array} history - Logged entries for one exercise, newest first, each { date, sets }
+ * @param {Object} repRange - { minReps, maxReps } prescribed for the user
+ * @returns {Object} - { action, nextLoad, targetReps, reason, lastSession }
+ */
+function suggestProgression(history, { minReps, maxReps }) {
+  const [last, previous] = history;
+  const topLoad = Math.max(...last.sets.map(set => set.load));
+  const workingSets = last.sets.filter(set => set.load === topLoad);
+  const rpes = workingSets.map(set => set.rpe).filter(rpe => rpe !== null && rpe !== undefined);
+  const maxRpe = rpes.length > 0 ? Math.max(...rpes) : null;
+
+  const hitTopOfRange = workingSets.every(set => set.reps >= maxReps);
+  const missedRange = workingSets.some(set => set.reps < minReps);
+  const lastSession = { date: last.date, load: topLoad, sets: last.sets };
+
+  // Bodyweight exercises progress with reps until load is added
+  if (topLoad === 0) {
+    return hitTopOfRange ?
+      { action: 'add_load', nextLoad: null, targetReps: minReps, reason: `All sets reached ${maxReps} reps; add weight or move to a harder variation`, lastSession } :
+      { action: 'add_reps', nextLoad: 0, targetReps: Math.min(maxReps, Math.max(...workingSets.map(set => set.reps)) + 1), reason: 'Add a rep per set until you reach the top of the range', lastSession };
+  }
+
+  if (hitTopOfRange && (maxRpe === null || maxRpe <= PROGRESSION_RPE)) {
+    const nextLoad = roundLoad(topLoad + loadIncrement(topLoad));
+    return {
+      action: 'increase_load',
+      nextLoad,
+      targetReps: minReps,
+      reason: `All sets reached ${maxReps} reps${maxRpe !== null ? ` at RPE ${maxRpe}` : ''}; increase to ${nextLoad} kg`,
+      lastSession
+    };
+  }
+
+  // Missing the range two sessions in a row at the same load calls for a deload
+  const previousTopLoad = previous ? Math.max(...previous.sets.map(set => set.load)) : null;
+  const previousMissed = previous && previousTopLoad === topLoad &&
+    previous.sets.filter(set => set.load === topLoad).some(set => set.reps < minReps);
+
+  if (missedRange && previousMissed) {
+    const nextLoad = roundLoad(topLoad * DELOAD_FACTOR);
+    return {
+      action: 'deload',
+      nextLoad,
+      targetReps: minReps,
+      reason: `Reps fell below ${minReps} in two sessions at ${topLoad} kg; drop to ${nextLoad} kg and build back up`,
+      lastSession
+    };
+  }
+
+  if (missedRange || (maxRpe !== null && maxRpe >= MAX_EFFORT_RPE)) {
+    return {
+      action: 'hold',
+      nextLoad: topLoad,
+      targetReps: minReps,
+      reason: `Stay at ${topLoad} kg until every set reaches at least ${minReps} reps with reps in reserve`,
+      lastSession
+    };
+  }
+
+  return {
+    action: 'add_reps',
+    nextLoad: topLoad,
+    targetReps: Math.min(maxReps, Math.min(...workingSets.map(set => set.reps)) + 1),
+    reason: `Keep ${topLoad} kg and add a rep per set until you reach ${maxReps}`,
+    lastSession
+  };
+}
+
+/**
+ * Get progressive overload suggestions for a user's logged exercises
+ * @param {string} userId - The user ID
+ * @param {Object} repRange - { minReps, maxReps } prescribed for the user
+ * @param {Array<string>|null} exerciseNames - Only these exercises (all logged exercises when null)
+ * @returns {Promise<Array>} - Suggestions with exercise, exerciseId, sessionsLogged and the progression
+ */
+async function getProgressions(userId, repRange, exerciseNames = null) {
+  const sessions = await listSessions(userId);
+  const wanted = exerciseNames ? exerciseNames.map(normalizeName) : null;
+  const histories = new Map();
+
+  for (const session of sessions) {
+    for (const exercise of session.exercises || []) {
+      const key = normalizeName(exercise.name);
+      if (wanted && !wanted.includes(key)) continue;
+
+      if (!histories.has(key)) {
+        histories.set(key, { exercise: exercise.name, exerciseId: exercise.exerciseId || null, history: [] });
+      }
+      histories.get(key).history.push({ date: session.date, sets: exercise.sets || [] });
+    }
+  }
+
+  return [...histories.values()]
+    .filter(({ history }) => history[0].sets.length > 0)
+    .map(({ exercise, exerciseId, history }) => ({
+      exercise,
+      exerciseId,
+      sessionsLogged: history.length,
+      ...suggestProgression(history, repRange)
+    }));
+}
+
+module.exports = {
+  normalizeName,
+  buildSession,
+  addSession,
+  listSessions,
+  getSession,
+  deleteSession,
+  suggestProgression,
+  getProgressions
+};
@@ -0,0 +1,63 @@
+/**
+ * Allergy resolution and ingredient-level allergen matching
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const allergens = require('../services/allergens');
+
+// Family keys an allergy resolves to
+const familiesOf = allergy => allergens.resolveAllergy(allergy).map(family => family.key);
+
+test('allergies resolve to families by whole-word aliases', () => {
+  assert.deepStrictEqual(familiesOf('Dairy products'), ['milk']);
+  assert.deepStrictEqual(familiesOf('lactose intolerant'), ['milk']);
+  assert.deepStrictEqual(familiesOf('tree nuts'), ['treeNuts']);
+  assert.deepStrictEqual(familiesOf('nuts').sort(), ['peanuts', 'treeNuts']);
+  assert.deepStrictEqual(familiesOf('severe peanut allergy'), ['peanuts']);
+});
+
+test('category words cover their whole family', () => {
+  assert.deepStrictEqual(familiesOf('cheese'), ['milk']);
+  assert.deepStrictEqual(familiesOf('seafood').sort(), ['fish', 'shellfish']);
+  assert.deepStrictEqual(familiesOf('sea food').sort(), ['fish', 'shellfish']);
+  assert.deepStrictEqual(familiesOf('shell fish'), ['shellfish']);
+  assert.deepStrictEqual(familiesOf('white fish'), ['fish']);
+});
+
+test('a cheese allergy catches cheeses by name, like a dairy allergy does', () => {
+  for (const allergy of ['cheese', 'dairy']) {
+    const result = allergens.checkIngredients(['Parmesan', 'Mozzarella', 'Tomatoes'], [allergy]);
+
+    assert.strictEqual(result.safe, false, allergy);
+    assert.deepStrictEqual(result.matches.map(match => match.ingredient), ['Parmesan', 'Mozzarella'], allergy);
+  }
+});
+
+test('a specific ingredient only covers that ingredient', () => {
+  const [family] = allergens.resolveAllergy('almond allergy');
+
+  assert.strictEqual(family.key, 'treeNuts');
+  assert.strictEqual(family.terms.length, 1);
+  assert.strictEqual(allergens.checkIngredients(['Walnuts'], ['almond']).safe, true);
+  assert.strictEqual(allergens.checkIngredients(['Ground Almonds'], ['almond']).safe, false);
+});
+
+test('look-alike ingredients free of the allergen are not flagged', () => {
+  assert.strictEqual(allergens.checkIngredients(['Coconut Milk', 'Peanut Butter', 'Butternut Squash'], ['dairy']).safe, true);
+  assert.strictEqual(allergens.checkIngredients(['Eggplant'], ['eggs']).safe, true);
+  assert.strictEqual(allergens.checkIngredients(['Nutmeg', 'Water Chestnuts'], ['tree nuts']).safe, true);
+  assert.strictEqual(allergens.checkIngredients(['Oyster Mushrooms'], ['shellfish']).safe, true);
+});
+
+test('singular and plural forms both match', () => {
+  assert.strictEqual(allergens.checkIngredients(['Prawn'], ['shellfish']).safe, false);
+  assert.strictEqual(allergens.checkIngredients(['Anchovies'], ['fish']).safe, false);
+  assert.strictEqual(allergens.findAllergensInText('Cheeses of France', ['cheese']).length, 1);
+});
+
+test('unknown allergies are matched as their own term', () => {
+  const [family] = allergens.resolveAllergy('kiwi');
+
+  assert.strictEqual(family.key, 'other');
+  assert.strictEqual(allergens.checkIngredients(['Kiwi fruit'], ['kiwi']).safe, false);
+});
@@ -0,0 +1,62 @@
+/**
+ * Body metrics entries, trend weight and calorie adjustments
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Only the pure helpers are tested here, so the history never reaches Firebase
+const firebasePath = require.resolve('../services/firebase');
+require.cache[firebasePath] = { id: firebasePath, filename: firebasePath, loaded: true, exports: {} };
+
+const bodyMetrics = require('../services/bodyMetrics');
+
+// A weigh-in every 4 days from 2025-03-01, changing by `weeklyChange` kg a week
+function weighIns(count, start, weeklyChange) {
+  return Array.from({ length: count }, (_, index) => ({
+    date: new Date(Date.UTC(2025, 2, 1 + index * 4)).toISOString().slice(0, 10),
+    weight: Math.round((start + weeklyChange * index * 4 / 7) * 100) / 100
+  }));
+}
+
+test('entries need a real date and at least one value', () => {
+  assert.deepStrictEqual(bodyMetrics.buildEntry({ date: '2024-02-29', weight: '80.5' }), { valid: true, entry: { date: '2024-02-29', weight: 80.5 } });
+  assert.strictEqual(bodyMetrics.buildEntry({ date: '2024-02-31', weight: 80 }).valid, false);
+  assert.strictEqual(bodyMetrics.buildEntry({ date: '2024-03-01' }).valid, false);
+  assert.strictEqual(bodyMetrics.buildEntry({ date: '2024-03-01', measurements: { ankle: 20 } }).valid, false);
+});
+
+test('the trend weight smooths out daily swings', () => {
+  const trend = bodyMetrics.analyzeTrend([
+    { date: '2025-03-01', weight: 80 },
+    { date: '2025-03-02', weight: 82 },
+    { date: '2025-03-03', weight: 80 }
+  ], { goal: 'maintain' });
+
+  assert.strictEqual(trend.latestWeight, 80);
+  assert.ok(trend.trendWeight > 80 && trend.trendWeight < 80.5);
+  assert.strictEqual(trend.adjustment, null);
+});
+
+test('no weigh-ins means no trend', () => {
+  assert.strictEqual(bodyMetrics.analyzeTrend([{ date: '2025-03-01', bodyFat: 20 }], {}).hasData, false);
+});
+
+test('losing weight while maintaining suggests more calories', () => {
+  const trend = bodyMetrics.analyzeTrend(weighIns(10, 80, -0.7), { goal: 'maintain' });
+
+  assert.ok(trend.weeklyRate < 0);
+  assert.strictEqual(trend.onTrack, false);
+  assert.ok(trend.adjustment.calorieChange > 0 && trend.adjustment.calorieChange <= 300);
+});
+
+test('a loss on pace for a cut needs no adjustment and has an ETA', () => {
+  const trend = bodyMetrics.analyzeTrend(weighIns(10, 80, -0.4), { goal: 'lose weight', targetWeight: 75 });
+
+  assert.strictEqual(trend.adjustment, null);
+  assert.strictEqual(trend.eta.reached, false);
+  assert.ok(trend.eta.weeks > 0);
+});
+
+test('no adjustment is suggested until the last one has settled', () => {
+  assert.strictEqual(bodyMetrics.analyzeTrend(weighIns(10, 80, -0.7), { goal: 'maintain' }, Date.now()).adjustment, null);
+});
@@ -0,0 +1,80 @@
+/**
+ * Plan validation and repair against the mock LLM provider
+ */
+process.env.LLM_PROVIDER = 'mock';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mockLlm = require('../services/mockLlm');
+const fitnessPlan = require('../services/fitnessPlan');
+
+const validPlan = {
+  overview: { calorieTarget: 2200, proteinTarget: 150, carbTarget: 230, fatTarget: 70, planType: 'Weight Loss' },
+  workoutPlan: [{ day: 1, focus: 'Full body', exercises: [{ name: 'Push-up', sets: 3, reps: '10', rest: '60s' }] }],
+  mealPlan: [{
+    day: 1,
+    breakfast: { name: 'Oats', calories: 450, protein: 20 },
+    lunch: { name: 'Chicken salad', calories: 600, protein: 45 },
+    dinner: { name: 'Salmon and rice', calories: 700, protein: 45 },
+    snacks: []
+  }],
+  tips: ['Drink water']
+};
+
+beforeEach(() => {
+  mockLlm.reset();
+});
+
+test('a valid plan is accepted on the first attempt', async () => {
+  mockLlm.queueResponse(validPlan);
+
+  const result = await fitnessPlan.generateValidatedPlan('Make a plan', { exerciseCatalog: ['Push-up'] });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.attempts, 1);
+  assert.deepStrictEqual(result.plan, validPlan);
+});
+
+test('an invalid plan is sent back with its errors and the repaired plan is used', async () => {
+  mockLlm.queueResponse({ ...validPlan, tips: [] });
+  mockLlm.queueResponse(validPlan);
+
+  const result = await fitnessPlan.generateValidatedPlan('Make a plan', { exerciseCatalog: ['Push-up'] });
+  const [, repair] = mockLlm.getCalls();
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.attempts, 2);
+  assert.match(repair.prompt, /## VALIDATION ERRORS\n- tips:/);
+});
+
+test('exercises outside the catalog fail validation', () => {
+  const plan = { ...validPlan, workoutPlan: [{ ...validPlan.workoutPlan[0], exercises: [{ name: 'Barbell Snatch', sets: 3, reps: '5', rest: '90s' }] }] };
+
+  const report = fitnessPlan.validatePlan(plan, { exerciseCatalog: ['Push-up'] });
+
+  assert.strictEqual(report.valid, false);
+});
+
+test('common model mistakes are repaired before validation', () => {
+  const { workoutPlan, mealPlan, ...rest } = validPlan;
+  const output = JSON.stringify({
+    ...rest,
+    overview: { ...validPlan.overview, calorieTarget: '2200 kcal', planType: 'weight loss' },
+    workoutPlan: { day1: workoutPlan[0] },
+    mealPlan
+  });
+
+  const report = fitnessPlan.validatePlan(output, { exerciseCatalog: ['Push-up'] });
+
+  assert.strictEqual(report.valid, true);
+  assert.strictEqual(report.plan.overview.calorieTarget, 2200);
+  assert.strictEqual(report.plan.overview.planType, 'Weight Loss');
+  assert.deepStrictEqual(report.plan.workoutPlan, workoutPlan);
+});
+
+test('truncated output is reported as invalid JSON', () => {
+  const report = fitnessPlan.validatePlan(JSON.stringify(validPlan).slice(0, 100));
+
+  assert.strictEqual(report.valid, false);
+  assert.match(report.errors[0].message, /not valid JSON/);
+});
@@ -0,0 +1,69 @@
+/**
+ * Food diary dates, entries and edits
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Only the pure helpers are tested here, so the diary never reaches Firebase
+const firebasePath = require.resolve('../services/firebase');
+require.cache[firebasePath] = { id: firebasePath, filename: firebasePath, loaded: true, exports: {} };
+
+const foodDiary = require('../services/foodDiary');
+
+const banana = { name: 'Banana', calories: 105, protein: 1, carbs: 27, fat: 0 };
+
+test('only real calendar days are valid dates', () => {
+  assert.strictEqual(foodDiary.isValidDate('2024-02-29'), true);
+  assert.strictEqual(foodDiary.isValidDate('2024-02-31'), false);
+  assert.strictEqual(foodDiary.isValidDate('2023-02-29'), false);
+  assert.strictEqual(foodDiary.isValidDate('2025-13-01'), false);
+  assert.strictEqual(foodDiary.isValidDate('2025-5-1'), false);
+  assert.strictEqual(foodDiary.isValidDate(undefined), false);
+});
+
+test('custom foods are scaled by the number of portions', () => {
+  const { valid, entry } = foodDiary.buildEntry({ food: banana, servings: 2, mealTime: 'breakfast' });
+
+  assert.strictEqual(valid, true);
+  assert.strictEqual(entry.custom, true);
+  assert.strictEqual(entry.nutrition.calories, 210);
+  assert.deepStrictEqual(entry.nutritionPerPortion, { calories: 105, protein: 1, carbs: 27, fat: 0 });
+});
+
+test('dataset meals are logged by serving or by recipe share', () => {
+  const byServing = foodDiary.buildEntry({ idMeal: '53049', servings: 1, mealTime: 'dinner' }).entry;
+  const byShare = foodDiary.buildEntry({ idMeal: '53049', recipeShare: 0.5, mealTime: 'dinner' }).entry;
+
+  assert.strictEqual(byServing.name, 'Apam balik');
+  assert.strictEqual(byServing.servings, 1);
+  assert.strictEqual(byShare.recipeShare, 0.5);
+  assert.strictEqual(byShare.servings, 6);
+});
+
+test('invalid entries list every problem', () => {
+  const { valid, errors } = foodDiary.buildEntry({ servings: 0, mealTime: 'brunch' });
+
+  assert.strictEqual(valid, false);
+  assert.strictEqual(errors.length, 3);
+});
+
+test('an edit keeps the fields it leaves out', () => {
+  const stored = { id: 'e1', ...foodDiary.buildEntry({ idMeal: '53049', recipeShare: 0.25, mealTime: 'dinner' }).entry };
+
+  const moved = foodDiary.buildEntry(foodDiary.mergeEntryEdit(stored, { mealTime: 'lunch' })).entry;
+  assert.strictEqual(moved.mealTime, 'lunch');
+  assert.strictEqual(moved.recipeShare, 0.25);
+  assert.deepStrictEqual(moved.nutrition, stored.nutrition);
+
+  const resized = foodDiary.buildEntry(foodDiary.mergeEntryEdit(stored, { servings: 2 })).entry;
+  assert.strictEqual(resized.mealTime, 'dinner');
+  assert.strictEqual(resized.servings, 2);
+});
+
+test('an edit of a custom food keeps its name and nutrition', () => {
+  const stored = foodDiary.buildEntry({ food: banana, servings: 1, mealTime: 'snack' }).entry;
+  const { entry } = foodDiary.buildEntry(foodDiary.mergeEntryEdit(stored, { servings: 3 }));
+
+  assert.strictEqual(entry.name, 'Banana');
+  assert.strictEqual(entry.nutrition.calories, 315);
+});
@@ -0,0 +1,106 @@
+/**
+ * Intent routing against the mock LLM provider
+ */
+process.env.LLM_PROVIDER = 'mock';
+process.env.INTENT_CLASSIFIER = 'llm';
+process.env.INTENT_CLASSIFIER_TIMEOUT_MS = '50';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mockLlm = require('../services/mockLlm');
+const intentRouter = require('../services/intentRouter');
+
+intentRouter.registerIntent({
+  name: 'allergy_check',
+  description: 'Whether the user can safely eat a food',
+  patterns: [/can i (?:eat|have) (?<mealName>[\w\s]+)/i],
+  slots: { mealName: 'the food asked about' },
+  handle: async (context, slots) => `allergy check for ${slots.mealName}`
+});
+
+intentRouter.registerIntent({
+  name: 'nutrition_info',
+  description: 'Calories or macros of a food',
+  patterns: [/how many calories (?:is|are|in) (?<mealName>[\w\s]+)/i],
+  slots: { mealName: 'the food asked about' },
+  handle: async (context, slots) => (slots.mealName === 'unknown food' ? null : `nutrition for ${slots.mealName}`)
+});
+
+intentRouter.registerIntent({
+  name: 'general',
+  description: 'Anything else',
+  fallback: true,
+  handle: async () => 'general answer'
+});
+
+// Number of intent classification requests the mock received
+const classifyCalls = () => mockLlm.getCalls().filter(call => call.task === 'classify').length;
+
+beforeEach(() => {
+  mockLlm.reset();
+});
+
+test('a confident model pick wins over the regex patterns', async () => {
+  mockLlm.queueResponse({ intent: 'nutrition_info', confidence: 0.9, slots: { mealName: 'pad thai' } });
+
+  const { classification, handledBy, result } = await intentRouter.routeMessage('can I eat pad thai', {});
+
+  assert.strictEqual(classification.source, 'llm');
+  assert.strictEqual(handledBy, 'nutrition_info');
+  assert.strictEqual(result, 'nutrition for pad thai');
+});
+
+test('a low-confidence model pick falls back to the regex match', async () => {
+  mockLlm.queueResponse({ intent: 'general', confidence: 0.3 });
+
+  const { classification, handledBy, result } = await intentRouter.routeMessage('can I eat pad thai', {});
+
+  assert.strictEqual(classification.source, 'regex');
+  assert.strictEqual(handledBy, 'allergy_check');
+  assert.strictEqual(result, 'allergy check for pad thai');
+});
+
+test('a failed classification falls back to the regex match', async () => {
+  mockLlm.setResponseHandler(() => 'not json');
+
+  const { handledBy } = await intentRouter.routeMessage('how many calories in pad thai', {});
+
+  assert.strictEqual(handledBy, 'nutrition_info');
+});
+
+test('a model that hangs is given up on once, without retries', async () => {
+  mockLlm.setResponseHandler(() => new Promise(() => {}));
+
+  const { classification, handledBy } = await intentRouter.routeMessage('can I eat pad thai', {});
+
+  assert.match(classification.llm.error, /timed out after 50 ms/);
+  assert.strictEqual(handledBy, 'allergy_check');
+  assert.strictEqual(classifyCalls(), 1);
+});
+
+test('a handler that passes hands the message to the next candidate', async () => {
+  mockLlm.setResponseHandler(() => ({ intent: 'nutrition_info', confidence: 0.9, slots: { mealName: 'unknown food' } }));
+
+  const { handledBy } = await intentRouter.routeMessage('how many calories in unknown food', {});
+
+  assert.strictEqual(handledBy, 'general');
+});
+
+test('compound messages classify each part and resolve references to earlier parts', async () => {
+  mockLlm.setResponseHandler(() => ({ intent: 'general', confidence: 0.1 }));
+
+  const { compound, parts } = await intentRouter.classifyParts('can I eat pad thai and how many calories is it?', {});
+
+  assert.strictEqual(compound, true);
+  assert.deepStrictEqual(parts.map(part => part.classification.intent), ['allergy_check', 'nutrition_info']);
+  assert.strictEqual(parts[1].classification.slots.mealName, 'pad thai');
+  assert.strictEqual(classifyCalls(), 2);
+});
+
+test('messages the patterns find fewer than two questions in are not classified part by part', async () => {
+  const { compound, parts } = await intentRouter.classifyParts('Hello there. What should I train today?', {});
+
+  assert.strictEqual(compound, false);
+  assert.deepStrictEqual(parts, []);
+  assert.strictEqual(classifyCalls(), 0);
+});
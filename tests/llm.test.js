@@ -0,0 +1,69 @@
+/**
+ * Retries and the circuit breaker, against the mock LLM provider
+ */
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_RETRIES = '2';
+process.env.LLM_RETRY_BACKOFF_MS = '1';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mockLlm = require('../services/mockLlm');
+const llm = require('../services/llm');
+
+// Build an error like the ones providers throw
+const providerError = (message, fields) => Object.assign(new Error(message), fields);
+
+beforeEach(() => {
+  mockLlm.reset();
+});
+
+test('5xx responses are retried', async () => {
+  mockLlm.setResponseHandler(() => {
+    if (mockLlm.getCalls().length < 3) throw providerError('Service Unavailable', { status: 503 });
+    return 'recovered';
+  });
+
+  assert.strictEqual(await llm.generateResponse('hi'), 'recovered');
+  assert.strictEqual(mockLlm.getCalls().length, 3);
+});
+
+test('an unreachable model gives up after the retries as unavailable', async () => {
+  mockLlm.setResponseHandler(() => { throw providerError('connect ECONNREFUSED', { code: 'ECONNREFUSED' }); });
+
+  await assert.rejects(llm.generateResponse('hi'), error => llm.isUnavailable(error));
+  assert.strictEqual(mockLlm.getCalls().length, 3);
+  assert.strictEqual(llm.getStatus().breaker.failures, 1);
+});
+
+test('timeouts are retried', async () => {
+  mockLlm.setResponseHandler(() => new Promise(resolve => setTimeout(() => resolve('late'), 50)));
+
+  await assert.rejects(llm.generateResponse('hi', null, { timeout: 5 }), error => llm.isUnavailable(error));
+  assert.strictEqual(mockLlm.getCalls().length, 3);
+});
+
+test('callers can turn the retries off', async () => {
+  mockLlm.setResponseHandler(() => { throw providerError('Service Unavailable', { status: 503 }); });
+
+  await assert.rejects(llm.generateResponse('hi', null, { retries: 0 }), error => llm.isUnavailable(error));
+  assert.strictEqual(mockLlm.getCalls().length, 1);
+  assert.strictEqual(mockLlm.getCalls()[0].options.retries, undefined);
+});
+
+test('client errors are thrown without retrying or counting toward the breaker', async () => {
+  const failuresBefore = llm.getStatus().breaker.failures;
+  mockLlm.setResponseHandler(() => { throw providerError('model "missing" not found', { status: 404 }); });
+
+  await assert.rejects(llm.generateResponse('hi'), error => !llm.isUnavailable(error) && error.status === 404);
+  assert.strictEqual(mockLlm.getCalls().length, 1);
+  assert.strictEqual(llm.getStatus().breaker.failures, failuresBefore);
+});
+
+test('errors with the original axios error as cause are classified by its response status', async () => {
+  mockLlm.setResponseHandler(() => {
+    throw new Error('Ollama API error: Request failed with status code 400', { cause: { response: { status: 400 } } });
+  });
+
+  await assert.rejects(llm.generateResponse('hi'), error => !llm.isUnavailable(error));
+  assert.strictEqual(mockLlm.getCalls().length, 1);
+});
@@ -0,0 +1,28 @@
+/**
+ * Offline meal index loading
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const mealIndex = require('../services/mealIndex');
+
+test('the index file is read once, even when it can not be parsed', () => {
+  const readFileSync = fs.readFileSync;
+  let reads = 0;
+  fs.readFileSync = (file, ...args) => {
+    if (String(file).endsWith('meal_index.json')) {
+      reads++;
+      return '{ not json';
+    }
+    return readFileSync(file, ...args);
+  };
+
+  try {
+    assert.deepStrictEqual(mealIndex.loadIndex(), {});
+    assert.strictEqual(mealIndex.getIngredients({ idMeal: '53049' }), null);
+    assert.deepStrictEqual(mealIndex.findMealsByName('apam'), []);
+    assert.strictEqual(reads, 1);
+  } finally {
+    fs.readFileSync = readFileSync;
+  }
+});
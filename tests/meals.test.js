@@ -0,0 +1,51 @@
+/**
+ * Servings per recipe and portion scaling
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const meals = require('../services/meals');
+
+// Apam balik is 7222 kcal for the whole recipe
+const apamBalik = meals.getMealById('53049');
+
+test('recipes without a yield are estimated at one serving per 600 kcal', () => {
+  assert.strictEqual(meals.estimateServings({ calories: 7222 }), 12);
+  assert.strictEqual(meals.estimateServings({ calories: 250 }), 1);
+  assert.strictEqual(apamBalik.servings, 12);
+  assert.strictEqual(apamBalik.servingsEstimated, true);
+  assert.deepStrictEqual(apamBalik.nutritionPerServing, meals.scaleNutrition(apamBalik.nutrition, 1 / 12));
+});
+
+test('every meal in the dataset has a yield and per-serving nutrition', () => {
+  for (const item of meals.loadMeals()) {
+    assert.ok(item.servings >= 1, item.meal.strMeal);
+    assert.ok(item.nutritionPerServing.calories < 900, item.meal.strMeal);
+  }
+});
+
+test('the default portion is one serving', () => {
+  const portion = meals.getDefaultPortion(apamBalik);
+
+  assert.strictEqual(portion.servings, 1);
+  assert.strictEqual(portion.nutrition.calories, 602);
+  assert.strictEqual(meals.describePortion(apamBalik, portion), '1 serving (recipe makes about 12)');
+});
+
+test('portions for a target stay between half a serving and 2.5 servings', () => {
+  assert.strictEqual(meals.portionForTarget(apamBalik, 900).servings, 1.5);
+  assert.strictEqual(meals.portionForTarget(apamBalik, 50).servings, 0.5);
+  assert.strictEqual(meals.portionForTarget(apamBalik, 5000).servings, 2.5);
+});
+
+test('adjacent portions are a quarter serving either side, and none past the range', () => {
+  const adjacent = meals.getAdjacentPortions(apamBalik, meals.portionFromShare(apamBalik, 1 / 12));
+  assert.deepStrictEqual(adjacent.map(portion => portion.servings), [0.75, 1.25]);
+
+  const smallest = meals.getAdjacentPortions(apamBalik, meals.portionFromShare(apamBalik, 0.5 / 12));
+  assert.deepStrictEqual(smallest.map(portion => portion.servings), [0.75]);
+});
+
+test('meals are found by part of their name', () => {
+  assert.ok(meals.findMealsByName('apam').some(item => item.meal.idMeal === '53049'));
+  assert.strictEqual(meals.getMealById('does-not-exist'), null);
+});
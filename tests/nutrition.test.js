@@ -0,0 +1,70 @@
+/**
+ * BMR, TDEE and macro targets
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const nutrition = require('../services/nutrition');
+
+const bodyData = { weight: 80, height: 180, age: 30, gender: 'Male', activityLevel: 'Moderately active', goal: 'Maintain' };
+
+test('BMR uses Mifflin-St Jeor, or Katch-McArdle when body fat is known', () => {
+  assert.deepStrictEqual(nutrition.calculateBMR({ weight: 80, height: 180, age: 30, gender: 'male' }), { bmr: 1780, formula: 'Mifflin-St Jeor' });
+  assert.deepStrictEqual(nutrition.calculateBMR({ weight: 60, height: 165, age: 30, gender: 'female' }), { bmr: 1320, formula: 'Mifflin-St Jeor' });
+  assert.deepStrictEqual(nutrition.calculateBMR({ weight: 80, height: 180, age: 30, gender: 'male', bodyFat: 20 }), { bmr: 1752, formula: 'Katch-McArdle' });
+});
+
+test('activity levels map to their multipliers, with negations read as sedentary', () => {
+  const levels = {
+    'Sedentary': 'sedentary',
+    'Not very active': 'sedentary',
+    'Not active at all': 'sedentary',
+    'Lightly active': 'light',
+    'Moderately active': 'moderate',
+    'Active': 'moderate',
+    'Very active': 'very',
+    'Extremely active': 'extra',
+    '': 'sedentary'
+  };
+
+  for (const [level, expected] of Object.entries(levels)) {
+    assert.strictEqual(nutrition.normalizeActivityLevel(level), expected, level);
+  }
+});
+
+test('goals map to a deficit, maintenance or surplus', () => {
+  assert.strictEqual(nutrition.normalizeGoal('Lose weight'), 'lose');
+  assert.strictEqual(nutrition.normalizeGoal('Get lean'), 'lose');
+  assert.strictEqual(nutrition.normalizeGoal('Build lean muscle'), 'gain');
+  assert.strictEqual(nutrition.normalizeGoal('Stay healthy'), 'maintain');
+});
+
+test('targets apply the activity multiplier and goal, and the macros add up to the calories', () => {
+  const targets = nutrition.calculateNutritionTargets(bodyData);
+
+  assert.strictEqual(targets.tdee, Math.round(1780 * 1.55));
+  assert.strictEqual(targets.dailyCalories, targets.tdee);
+  assert.strictEqual(targets.dailyProtein, 128);
+  assert.ok(Math.abs(targets.dailyProtein * 4 + targets.dailyCarbs * 4 + targets.dailyFat * 9 - targets.dailyCalories) <= 10);
+
+  const cut = nutrition.calculateNutritionTargets({ ...bodyData, goal: 'Lose weight' });
+  assert.strictEqual(cut.dailyCalories, Math.round(targets.tdee * 0.8));
+});
+
+test('targets never go below the calorie floor', () => {
+  const targets = nutrition.calculateNutritionTargets({ weight: 45, height: 150, age: 70, gender: 'Female', activityLevel: 'Sedentary', goal: 'Lose weight' });
+
+  assert.strictEqual(targets.dailyCalories, 1200);
+});
+
+test('calorie changes on saved targets move carbs and stop at the floor', () => {
+  const saved = { dailyCalories: 1400, dailyProtein: 100, dailyCarbs: 150, dailyFat: 45 };
+
+  assert.deepStrictEqual(nutrition.applyCalorieChange(saved, 200, 'Female'), { ...saved, dailyCalories: 1600, dailyCarbs: 200, trendCalorieChange: 200 });
+  assert.deepStrictEqual(nutrition.applyCalorieChange(saved, -300, 'Female'), { ...saved, dailyCalories: 1200, dailyCarbs: 100, trendCalorieChange: -200 });
+  assert.strictEqual(nutrition.applyCalorieChange(saved, -300, 'Male').dailyCalories, 1400);
+  assert.strictEqual(nutrition.applyCalorieChange(saved, 0, 'Male'), saved);
+});
+
+test('missing body data is reported instead of guessed', () => {
+  assert.deepStrictEqual(nutrition.calculateNutritionTargets({ weight: 80 }), { hasData: false, missing: ['height', 'dateOfBirth'] });
+});
@@ -0,0 +1,74 @@
+/**
+ * Provider selection, per-task models and the mock provider
+ */
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MODEL = 'general-model';
+process.env.LLM_TASK_MODELS = 'classify=small-model, plan = large-model';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mockLlm = require('../services/mockLlm');
+const llm = require('../services/llm');
+
+beforeEach(() => {
+  mockLlm.reset();
+});
+
+test('tasks use their own model, and other tasks use LLM_MODEL', async () => {
+  await llm.generateResponse('classify this', null, { task: 'classify' });
+  await llm.generateResponse('make a plan', null, { task: 'plan' });
+  await llm.generateResponse('hello', null, { task: 'greeting' });
+
+  assert.deepStrictEqual(mockLlm.getCalls().map(call => call.model), ['small-model', 'large-model', 'general-model']);
+});
+
+test('previous messages are sent as chat messages before the prompt', async () => {
+  const history = [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello', extra: true }];
+
+  await llm.generateResponse('what about dinner?', null, { history });
+
+  assert.deepStrictEqual(mockLlm.getCalls()[0].messages, [
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'hello' },
+    { role: 'user', content: 'what about dinner?' }
+  ]);
+});
+
+test('JSON schema requests get the smallest output that matches the schema', async () => {
+  const format = {
+    type: 'object',
+    required: ['intent', 'confidence', 'tags'],
+    properties: {
+      intent: { type: 'string', enum: ['greeting', 'workout'] },
+      confidence: { type: 'number', minimum: 0.5 },
+      tags: { type: 'array', minItems: 2, items: { type: 'string', minLength: 1 } }
+    }
+  };
+
+  const response = await llm.generateResponse('classify', null, { format });
+
+  assert.deepStrictEqual(response, { intent: 'greeting', confidence: 0.5, tags: ['x', 'x'] });
+});
+
+test('queued responses are returned in order before the defaults', async () => {
+  mockLlm.queueResponse('first');
+  mockLlm.queueResponse({ second: true });
+
+  assert.strictEqual(await llm.generateResponse('a'), 'first');
+  assert.deepStrictEqual(await llm.generateResponse('b'), { second: true });
+  assert.strictEqual(await llm.generateResponse('c', null, { task: 'greeting' }), 'Mock response (greeting).');
+});
+
+test('streamed responses arrive token by token and add up to the full text', async () => {
+  mockLlm.queueResponse('Three short words');
+  const tokens = [];
+
+  const { response } = await llm.streamResponse('stream it', token => tokens.push(token));
+
+  assert.deepStrictEqual(tokens, ['Three ', 'short ', 'words']);
+  assert.strictEqual(response, 'Three short words');
+});
+
+test('providers need generate and stream functions', () => {
+  assert.throws(() => llm.registerProvider('broken', { generate: async () => ({ text: '' }) }), /generate and stream/);
+});
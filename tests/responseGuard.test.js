@@ -0,0 +1,50 @@
+/**
+ * Response guard: warnings about allergens are kept, recommendations are flagged
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The guard logs to Firebase, which needs credentials; the scanning tested here never touches it
+const firebasePath = require.resolve('../services/firebase');
+require.cache[firebasePath] = { id: firebasePath, filename: firebasePath, loaded: true, exports: {} };
+
+const responseGuard = require('../services/responseGuard');
+
+const profile = { allergies: ['peanuts'], dislikes: [] };
+const warning = { allergies: ['peanuts'], foods: ['pad thai'] };
+
+test('a sentence warning that a dish contains the allergen is not flagged', () => {
+  assert.deepStrictEqual(responseGuard.findViolations('Pad thai contains peanuts, which can trigger your allergy.', profile), []);
+});
+
+test('an allergy check reply may say what the dish is made with', () => {
+  const reply = 'NO, you should not eat pad thai. Pad thai is usually made with crushed peanuts.';
+
+  assert.deepStrictEqual(responseGuard.findViolations(reply, profile, warning), []);
+});
+
+test('recommendations are still flagged in a warning reply', () => {
+  const reply = 'Pad thai is made with peanuts, so skip it. Try a peanut satay instead.';
+  const violations = responseGuard.findViolations(reply, profile, warning);
+
+  assert.strictEqual(violations.length, 1);
+  assert.strictEqual(violations[0].type, 'allergy');
+});
+
+test('a dish described without a warning is flagged', () => {
+  assert.strictEqual(responseGuard.findViolations('This curry is made with peanuts and coconut milk.', profile).length, 1);
+});
+
+test('a kept warning is not regenerated away', async () => {
+  let regenerated = false;
+  const guard = await responseGuard.guardResponse('Pad thai contains peanuts, which can trigger your allergy.', profile, {
+    regenerate: async () => {
+      regenerated = true;
+      return { response: '', context: null };
+    },
+    warning
+  });
+
+  assert.strictEqual(guard.action, 'none');
+  assert.strictEqual(regenerated, false);
+});
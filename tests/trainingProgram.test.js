@@ -0,0 +1,47 @@
+/**
+ * Training program periodization and fitness levels
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const trainingProgram = require('../services/trainingProgram');
+const fitnessLevels = require('../services/fitnessLevels');
+
+test('profile goals map to periodization goals', () => {
+  assert.strictEqual(trainingProgram.normalizeTrainingGoal('Weight loss'), 'weightLoss');
+  assert.strictEqual(trainingProgram.normalizeTrainingGoal('Build lean muscle'), 'muscleGain');
+  assert.strictEqual(trainingProgram.normalizeTrainingGoal('Get stronger'), 'strength');
+  assert.strictEqual(trainingProgram.normalizeTrainingGoal('Stay lean'), 'weightLoss');
+  assert.strictEqual(trainingProgram.normalizeTrainingGoal(undefined), 'general');
+});
+
+test('fitness levels share one difficulty scale', () => {
+  assert.strictEqual(fitnessLevels.normalizeLevel('advanced'), 'Advanced');
+  assert.strictEqual(fitnessLevels.normalizeLevel('Intermediate lifter'), 'Intermediate');
+  assert.strictEqual(fitnessLevels.getMaxDifficulty(''), 1);
+  assert.strictEqual(fitnessLevels.getMaxDifficulty('Advanced'), 3);
+});
+
+test('each block adds sets and effort and ends with a deload', () => {
+  const weeks = trainingProgram.buildWeeklyPrescription(8, 'muscleGain', 'Beginner');
+
+  assert.deepStrictEqual(weeks.map(week => week.type), ['build', 'build', 'build', 'build', 'build', 'deload', 'build', 'build']);
+  assert.deepStrictEqual(weeks.slice(0, 3).map(week => week.sets), [2, 3, 4]);
+  assert.deepStrictEqual(weeks.slice(0, 3).map(week => week.rpe), [7, 7.5, 8]);
+  assert.strictEqual(weeks[5].rpe, 6);
+  assert.ok(weeks[5].sets < weeks[4].sets);
+});
+
+test('rep ranges move through the goal phases block by block', () => {
+  const weeks = trainingProgram.buildWeeklyPrescription(12, 'strength', 'Advanced');
+
+  assert.deepStrictEqual([weeks[0], weeks[4], weeks[8]].map(week => `${week.minReps}-${week.maxReps}`), ['8-10', '5-6', '3-5']);
+  assert.deepStrictEqual(weeks.filter(week => week.type === 'deload').map(week => week.week), [4, 8, 12]);
+  assert.ok(weeks.every(week => week.rpe <= 9.5));
+});
+
+test('program options are validated', async () => {
+  const result = await trainingProgram.buildProgram({}, { weeks: 20, daysPerWeek: 7, sessionDuration: 10, startDate: 'next week' });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors.length, 4);
+});
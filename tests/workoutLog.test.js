@@ -0,0 +1,68 @@
+/**
+ * Workout log sessions and progressive overload
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Only the pure helpers are tested here, so the log never reaches Firebase
+const firebasePath = require.resolve('../services/firebase');
+require.cache[firebasePath] = { id: firebasePath, filename: firebasePath, loaded: true, exports: {} };
+
+const workoutLog = require('../services/workoutLog');
+
+const repRange = { minReps: 8, maxReps: 12 };
+const sets = (count, reps, load, rpe = null) => Array.from({ length: count }, () => ({ reps, load, rpe }));
+
+test('exercise names match across spelling and punctuation', () => {
+  assert.strictEqual(workoutLog.normalizeName('Push-up'), workoutLog.normalizeName('push up'));
+  assert.strictEqual(workoutLog.normalizeName(' Barbell  Row '), 'barbell row');
+  assert.strictEqual(workoutLog.normalizeName(null), '');
+});
+
+test('sessions are validated set by set', () => {
+  const { valid, session } = workoutLog.buildSession({ date: '2025-05-01', exercises: [{ name: ' Squat ', sets: [{ reps: '5', load: '100' }] }] });
+  assert.strictEqual(valid, true);
+  assert.deepStrictEqual(session.exercises[0], { exerciseId: null, name: 'Squat', sets: [{ reps: 5, load: 100, rpe: null }] });
+
+  const invalid = workoutLog.buildSession({ date: 'May 1', exercises: [{ name: 'Squat', sets: [{ reps: 5, load: -1, rpe: 11 }] }] });
+  assert.strictEqual(invalid.valid, false);
+  assert.strictEqual(invalid.errors.length, 3);
+});
+
+test('hitting the top of the range at a comfortable RPE adds load', () => {
+  const progression = workoutLog.suggestProgression([{ date: '2025-05-01', sets: sets(3, 12, 60, 8) }], repRange);
+
+  assert.strictEqual(progression.action, 'increase_load');
+  assert.strictEqual(progression.nextLoad, 62.5);
+  assert.strictEqual(progression.targetReps, 8);
+});
+
+test('a grind at the top of the range holds the load', () => {
+  const progression = workoutLog.suggestProgression([{ date: '2025-05-01', sets: sets(3, 12, 60, 10) }], repRange);
+
+  assert.strictEqual(progression.action, 'hold');
+  assert.strictEqual(progression.nextLoad, 60);
+});
+
+test('reps inside the range are built up before adding load', () => {
+  const progression = workoutLog.suggestProgression([{ date: '2025-05-01', sets: sets(3, 9, 60, 7) }], repRange);
+
+  assert.strictEqual(progression.action, 'add_reps');
+  assert.strictEqual(progression.targetReps, 10);
+});
+
+test('missing the range twice at the same load deloads', () => {
+  const history = [
+    { date: '2025-05-08', sets: sets(3, 6, 100) },
+    { date: '2025-05-01', sets: sets(3, 7, 100) }
+  ];
+  const progression = workoutLog.suggestProgression(history, repRange);
+
+  assert.strictEqual(progression.action, 'deload');
+  assert.strictEqual(progression.nextLoad, 90);
+});
+
+test('bodyweight exercises progress with reps', () => {
+  assert.strictEqual(workoutLog.suggestProgression([{ date: '2025-05-01', sets: sets(3, 10, 0) }], repRange).action, 'add_reps');
+  assert.strictEqual(workoutLog.suggestProgression([{ date: '2025-05-01', sets: sets(3, 12, 0) }], repRange).action, 'add_load');
+});